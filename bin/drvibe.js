@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+import { existsSync, writeFileSync } from 'node:fs';
+import { analyzeRepo, diagnoseTree, exportDiagnosis, EXPORTERS, PROFILES, PROVIDERS, resolveSource } from '../src/core/index.js';
+import { treeFromPath } from '../src/core/sources/fs.js';
+import { readAdvisoryPath } from '../src/core/advisories/fs.js';
+
+const USAGE = `Usage: drvibe <owner/repo | url | path | archive.zip> [options]
+
+A target that exists on disk is diagnosed locally (git checkout, plain folder or .zip).
+owner/repo, owner/repo@ref, owner/repo/tree/<ref> and owner/repo/pull/<n> (diagnoses base
+and head and reports the delta) are looked up on GitHub. GitLab, Bitbucket and Gitea/Forgejo
+repos are recognised by URL (https://gitlab.com/group/project) or prefix (gitlab:group/project,
+bitbucket:ws/repo, gitea:owner/repo for Codeberg).
+
+Options:
+  --token <token>       API token (defaults to $GITHUB_TOKEN, $GITLAB_TOKEN, $BITBUCKET_TOKEN
+                        or $GITEA_TOKEN, depending on the provider)
+  --host <host=provider[,apiBase]>
+                        Register a self-hosted instance, e.g. git.example.com=gitea
+                        or code.corp=gitlab,https://code.corp/gitlab/api/v4 (repeatable)
+  --format <format>     text, json, markdown, sarif, badge (SVG), shields
+                        (shields.io endpoint JSON), patch or script (treatment
+                        kit for the fixable prescriptions) (default: text)
+  -o, --output <file>   Write the report to a file instead of stdout
+  --threshold <score>   Exit with code 1 when the Vibe Score is below this (default: 50)
+  --profile <profile>   Scoring profile: default, library, app, monorepo or docs-site
+                        (default: the repo's .drvibe.json, else default)
+  --disable <ids>       Comma-separated rule ids to skip
+  --deep                Read file contents and scan them for hardcoded secrets
+                        and code smells
+  --budget <bytes>      Max bytes of file contents to read (default: 1048576)
+  --advisories <path>   OSV JSON file or directory to audit dependencies against
+                        (default: the bundled snapshot)
+  --api <url>           API base URL override (e.g. a mock server)
+  -h, --help            Show this help
+
+Exit codes: 0 healthy, 1 below threshold, 2 scan failed.`;
+
+const parseArgs = (argv) => {
+  const opts = { format: 'text', threshold: 50, disable: [], token: null, api: null, hosts: {} };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inline] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+    const value = () => inline !== undefined ? inline : argv[++i];
+
+    switch (flag) {
+      case '-h':
+      case '--help': opts.help = true; break;
+      case '--token': opts.token = value(); break;
+      case '--format': opts.format = value(); break;
+      case '--output':
+      case '-o': opts.output = value(); break;
+      case '--threshold': opts.threshold = Number(value()); break;
+      case '--deep': opts.deep = true; break;
+      case '--budget': opts.budget = Number(value()); break;
+      case '--advisories': opts.advisories = value(); break;
+      case '--profile': opts.profile = value(); break;
+      case '--disable': opts.disable = value().split(',').map(s => s.trim()).filter(Boolean); break;
+      case '--api': opts.api = value().replace(/\/$/, ''); break;
+      case '--host': {
+        const [host, rest = ''] = value().split('=');
+        const [provider, apiBase] = rest.split(',');
+        if (!PROVIDERS[provider]) throw new Error(`--host needs host=provider with provider one of ${Object.keys(PROVIDERS).join(', ')}.`);
+        opts.hosts[host.toLowerCase()] = { provider, ...(apiBase ? { apiBase } : {}) };
+        break;
+      }
+      default:
+        if (flag.startsWith('-')) throw new Error(`Unknown option '${flag}'.`);
+        positional.push(arg);
+    }
+  }
+
+  if (!EXPORTERS[opts.format]) throw new Error(`Unknown format '${opts.format}'. Use ${Object.keys(EXPORTERS).join(', ')}.`);
+  if (opts.profile && !PROFILES[opts.profile]) throw new Error(`Unknown profile '${opts.profile}'. Use ${Object.keys(PROFILES).join(', ')}.`);
+  if (Number.isNaN(opts.threshold)) throw new Error("--threshold must be a number.");
+  if (Number.isNaN(opts.budget)) throw new Error("--budget must be a number.");
+  opts.target = positional[0];
+  return opts;
+};
+
+const describeRateLimit = (err, tokenEnv) => {
+  const limit = err.rateLimit || {};
+  const when = limit.reset ? ` Try again at ${new Date(limit.reset).toLocaleTimeString()}.` : '';
+  if (err.code === 'ABUSE') return `The API's secondary rate limit (abuse detection) kicked in: ${(err.detail || 'too many requests at once').replace(/\.$/, '')}.${when}`;
+  const quota = limit.limit ? ` (${limit.remaining}/${limit.limit} requests left)` : '';
+  return `API rate limit hit${quota}.${when}${limit.limit > 60 ? '' : ` Pass --token or set ${tokenEnv}.`}`;
+};
+
+const main = async () => {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  if (opts.help) { console.log(USAGE); return 0; }
+  if (!opts.target) { console.error(USAGE); return 2; }
+
+  let tokenEnv = PROVIDERS.github.tokenEnv;
+  try {
+    const scanOptions = { disabledRules: opts.disable, deepScan: opts.deep, byteBudget: opts.budget, profile: opts.profile };
+    if (opts.advisories) scanOptions.advisories = readAdvisoryPath(opts.advisories);
+    let diagnosis;
+    if (existsSync(opts.target)) {
+      diagnosis = await diagnoseTree(treeFromPath(opts.target), scanOptions);
+    } else {
+      const sourceOptions = { hosts: opts.hosts, ...(opts.api ? { apiBase: opts.api } : {}) };
+      const { provider } = resolveSource(opts.target, sourceOptions);
+      tokenEnv = provider.tokenEnv;
+      const token = opts.token || process.env[tokenEnv] || null;
+      diagnosis = await analyzeRepo(opts.target, { ...scanOptions, ...sourceOptions, token });
+    }
+    const report = exportDiagnosis(diagnosis, opts.format, { threshold: opts.threshold });
+    if (opts.output) writeFileSync(opts.output, report + '\n');
+    else console.log(report);
+    return diagnosis.score < opts.threshold ? 1 : 0;
+  } catch (err) {
+    console.error(err.message === "RATELIMIT" ? describeRateLimit(err, tokenEnv) : err.message);
+    return 2;
+  }
+};
+
+main().then(code => { process.exitCode = code; });
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   Activity, 
   Heart, 
@@ -11,7 +11,6 @@ import {
   Search, 
   ArrowRight,
   ShieldAlert,
-  Cpu,
   XCircle,
   Coffee,
   Database,
@@ -19,8 +18,36 @@ import {
   Lock,
   ExternalLink,
   HelpCircle,
-  Sparkles
+  Sparkles,
+  SlidersHorizontal,
+  FolderOpen,
+  FileArchive,
+  Bug,
+  ClipboardList,
+  LayoutGrid,
+  Server,
+  Scale,
+  EyeOff,
+  Link2
 } from 'lucide-react';
+import DependencyPanel from './components/DependencyPanel.jsx';
+import HostSettings from './components/HostSettings.jsx';
+import TokenSettings from './components/TokenSettings.jsx';
+import LanguageBreakdown from './components/LanguageBreakdown.jsx';
+import ExportMenu from './components/ExportMenu.jsx';
+import PatientRecords from './components/PatientRecords.jsx';
+import PullRequestPanel from './components/PullRequestPanel.jsx';
+import RateLimitStatus from './components/RateLimitStatus.jsx';
+import RefPicker from './components/RefPicker.jsx';
+import ScanLog from './components/ScanLog.jsx';
+import VitalsPanel from './components/VitalsPanel.jsx';
+import SmellPanel from './components/SmellPanel.jsx';
+import TreatmentKit from './components/TreatmentKit.jsx';
+import Ward from './components/Ward.jsx';
+import { patientKey, saveRecord } from './records/store.js';
+import { loadVault, unlockVault, writeVault, deriveVaultKey } from './credentials.js';
+import { parseRoute, routePath, remoteTarget, diagnosisTarget, currentPath } from './routes.js';
+import { analyzeRepo, diagnoseTree, resolveSource, decodeReport, trackStage, reduceProgress, isAbort, EMPTY_PROGRESS, getRules, CONFIG_FILE, PROFILES, PROVIDERS, normalizeAdvisories, BUNDLED_ADVISORIES, treeFromDirectoryHandle, treeFromEntry, treeFromFileList, treeFromZip } from './core/index.js';
 
 /**
  * --- AYARLAR (CONFIG) ---
@@ -31,266 +58,316 @@ const CONFIG = {
   buyMeACoffeeUrl: "https://buymeacoffee.com/fyrat",
 
   // 2. GitHub Token Linki (Otomatik doldurma özellikli)
-  githubTokenUrl: "https://github.com/settings/tokens/new?scopes=public_repo&description=VibeDoctor%20Access"
+  githubTokenUrl: "https://github.com/settings/tokens/new?scopes=public_repo&description=VibeDoctor%20Access",
+
+  // 3. Kapatılan kurallar (localStorage anahtarı)
+  disabledRulesKey: "drvibe:disabledRules",
+
+  // 4. Self-hosted GitLab / Gitea / GitHub Enterprise sunucuları (localStorage anahtarı)
+  hostsKey: "drvibe:hosts",
+
+  // 5. Seçilen puanlama profili (boşsa reponun .drvibe.json dosyası kullanılır)
+  profileKey: "drvibe:profile",
+
+  // 6. Host başına API tokenları (kaydedilirse isteğe bağlı olarak parola ile şifrelenir)
+  tokensKey: "drvibe:tokens"
 };
 
-const SCANNER_LOGS = [
-  "Connecting to GitHub Satellite...",
-  "Handshaking with API...",
-  "Fetching repository skeleton...",
-  "Recursively parsing file tree...",
-  "Analyzing dependency footprint...",
-  "Scanning for security leaks (.env)...",
-  "Calculating technical debt...",
-  "Finalizing medical report..."
-];
+const loadStored = (key, fallback) => {
+  try { return JSON.parse(localStorage.getItem(key)) || fallback; }
+  catch { return fallback; }
+};
+
+const loadDisabledRules = () => loadStored(CONFIG.disabledRulesKey, []);
+const loadHosts = () => loadStored(CONFIG.hostsKey, {});
+const loadProfile = () => loadStored(CONFIG.profileKey, null);
+
+// The state a route opens (see routes.js); applied on load and on back/forward.
+const routeState = (route) => {
+  switch (route.name) {
+    case 'diagnose': return { view: 'scanning', repoUrl: route.target, scanRef: route.ref, localSource: null, shared: null };
+    case 'report': return { view: 'scanning', localSource: null, shared: { link: route.link } };
+    case 'records': return { view: 'records', recordsPatient: route.patient };
+    case 'ward': return { view: 'ward', wardOpened: true };
+    default: return { view: 'waiting' };
+  }
+};
 
 export default function VibeDoctor() {
-  const [view, setView] = useState('waiting'); // waiting, scanning, dashboard, ratelimit
-  const [repoUrl, setRepoUrl] = useState('');
-  const [userToken, setUserToken] = useState('');
-  const [scanLogIndex, setScanLogIndex] = useState(0);
+  const [boot] = useState(() => routeState(parseRoute(window.location)));
+  const [view, setView] = useState(boot.view); // waiting, scanning, dashboard, ratelimit, records, ward
+  const [repoUrl, setRepoUrl] = useState(boot.repoUrl || '');
+  const [scanRef, setScanRef] = useState(boot.scanRef || null); // null = whatever the URL says, else the default branch
+  const [vault, setVault] = useState(() => loadVault(CONFIG.tokensKey)); // { mode, tokens: { host: token }, locked }
+  const [showTokens, setShowTokens] = useState(false);
+  const [scanProgress, setScanProgress] = useState(EMPTY_PROGRESS);
   const [vibeScore, setVibeScore] = useState(0);
   const [diagnosis, setDiagnosis] = useState(null);
   const [errorMessage, setErrorMessage] = useState('');
+  const [disabledRules, setDisabledRules] = useState(loadDisabledRules);
+  const [showRules, setShowRules] = useState(false);
+  const [profile, setProfile] = useState(loadProfile);
+  const [hosts, setHosts] = useState(loadHosts);
+  const [showHosts, setShowHosts] = useState(false);
+  const [deepScan, setDeepScan] = useState(false);
+  const [advisories, setAdvisories] = useState(null); // null = bundled OSV snapshot
+  const [recordsPatient, setRecordsPatient] = useState(boot.recordsPatient || null);
+  const [localSource, setLocalSource] = useState(null); // { label, load: () => Promise<snapshot> }
+  const [isDragging, setIsDragging] = useState(false);
+  const [wardOpened, setWardOpened] = useState(!!boot.wardOpened);
+  const [rateLimit, setRateLimit] = useState(null); // last X-RateLimit-* headers seen
+  const [rateLimitHit, setRateLimitHit] = useState(null); // the quota error that opened the ratelimit view
+  const [shared, setShared] = useState(boot.shared || null); // { link, sharedAt? } while showing a permalink
+  const [tokenDraft, setTokenDraft] = useState(null); // the rate-limit screen's token field, saved on Resume
+  const [tokenError, setTokenError] = useState(null);
+  const visited = useRef(new Map()); // path -> dashboard state, so back/forward doesn't re-scan
+  const previousView = useRef(view);
+  const popped = useRef(false);
+  const vaultKey = useRef(null); // the passphrase-derived key, kept in memory once unlocked
 
-  // --- Utility: Format Bytes ---
-  const formatBytes = (bytes, decimals = 1) => {
-    if (!bytes) return '0 B';
-    const k = 1024;
-    const dm = decimals < 0 ? 0 : decimals;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+  // --- Handlers ---
+  const startDiagnosis = (e) => {
+    if (e) e.preventDefault();
+    if (!repoUrl) return;
+    setLocalSource(null);
+    setShared(null);
+    setScanRef(null);
+    setErrorMessage('');
+    setView('scanning');
   };
 
-  // --- Real Analysis Engine (Heuristic Only) ---
-  const analyzeRepo = async (url, token = null) => {
-    try {
-      const headers = token ? { Authorization: `token ${token}` } : {};
-      const cleanUrl = url.trim().replace('https://', '').replace('github.com/', '').replace(/\/$/, '');
-      const parts = cleanUrl.split('/').filter(p => p);
-      
-      if (parts.length < 2) throw new Error("Invalid format. Use 'owner/repo'");
-      const [owner, repo] = parts;
-
-      // 1. Fetch Repo Metadata
-      const repoRes = await fetch(`https://api.github.com/repos/${owner}/${repo}`, { headers });
-      if (!repoRes.ok) {
-        if (repoRes.status === 403) throw new Error("RATELIMIT"); 
-        throw new Error("Repository not found (or private).");
-      }
-      const repoData = await repoRes.json();
-      const defaultBranch = repoData.default_branch;
-
-      // 2. Fetch File Tree
-      const treeRes = await fetch(`https://api.github.com/repos/${owner}/${repo}/git/trees/${defaultBranch}?recursive=1`, { headers });
-      if (treeRes.status === 403) throw new Error("RATELIMIT");
-      const treeData = await treeRes.json();
-      
-      // 3. Heuristic Analysis
-      const files = treeData.tree || [];
-      const fileCount = files.length;
-      
-      const hasReadme = files.some(f => f.path.toLowerCase() === 'readme.md');
-      const envFile = files.find(f => f.path.includes('.env') && !f.path.includes('example') && !f.path.includes('sample'));
-      const hasNodeModules = files.some(f => f.path.includes('node_modules/'));
-      const hasLockFile = files.some(f => f.path.includes('package-lock.json') || f.path.includes('yarn.lock') || f.path.includes('pnpm-lock.yaml'));
-      const isTypeScript = files.some(f => f.path.endsWith('.ts') || f.path.endsWith('.tsx'));
-      const hasTests = files.some(f => f.path.includes('.test.') || f.path.includes('.spec.') || f.path.startsWith('test/'));
-
-      let score = 100;
-      let prescriptions = [];
-      let summary = "";
-
-      // --- SCORING LOGIC ---
-      if (fileCount > 1000) {
-        score -= 20;
-        prescriptions.push({
-          id: 'bloat',
-          severity: 'warning',
-          title: 'Massive Complexity',
-          diagnosis: `Detected ${fileCount}+ files. Project is heavy.`,
-          treatment: "Consider monorepo tools or architectural split.",
-          time: "Long-term"
-        });
-      } else if (fileCount < 5) {
-        score -= 10;
-        prescriptions.push({
-          id: 'ghost',
-          severity: 'info',
-          title: 'Ghost Town',
-          diagnosis: "Repository is extremely sparse.",
-          treatment: "Needs more features/code.",
-          time: "Ongoing"
-        });
-      }
+  // --- Local Sources (folder / zip) ---
+  const startLocalDiagnosis = (label, load) => {
+    setLocalSource({ label, load });
+    setShared(null);
+    setErrorMessage('');
+    setView('scanning');
+  };
 
-      if (hasNodeModules) {
-        score -= 30;
-        prescriptions.push({
-          id: 'modules-committed',
-          severity: 'critical',
-          title: 'The Forbidden Commit',
-          diagnosis: "'node_modules' is committed to the repo. This is a sin.",
-          treatment: "git rm -r --cached node_modules && echo 'node_modules' >> .gitignore",
-          time: "IMMEDIATE"
-        });
-      }
+  const zipLoader = (file) => async () => treeFromZip(await file.arrayBuffer(), { name: file.name });
 
-      if (!hasReadme) {
-        score -= 25;
-        prescriptions.push({
-          id: 'no-readme',
-          severity: 'critical',
-          title: 'Anonymous Code',
-          diagnosis: "No README.md found.",
-          treatment: "Add a README to explain what this is.",
-          time: "15 min"
-        });
-      }
+  const handlePickFolder = async () => {
+    if (!window.showDirectoryPicker) return document.getElementById('folder-input').click();
+    try {
+      const handle = await window.showDirectoryPicker();
+      startLocalDiagnosis(handle.name, () => treeFromDirectoryHandle(handle));
+    } catch (err) {
+      if (err.name !== 'AbortError') setErrorMessage(err.message);
+    }
+  };
 
-      if (envFile) {
-        score -= 40;
-        prescriptions.push({
-          id: 'env-leak',
-          severity: 'critical',
-          title: 'Security Breach Detected',
-          diagnosis: `Secrets leaked in ${envFile.path}.`,
-          treatment: "Remove file, rotate ALL keys, use .env.example.",
-          time: "EMERGENCY"
-        });
-      }
+  const handleFolderInput = (e) => {
+    const fileList = e.target.files;
+    if (fileList && fileList.length) startLocalDiagnosis('local folder', async () => treeFromFileList(fileList));
+    e.target.value = '';
+  };
 
-      if (!hasLockFile && (files.some(f => f.path === 'package.json'))) {
-        score -= 10;
-        prescriptions.push({
-          id: 'no-lock',
-          severity: 'warning',
-          title: 'Unstable Dependencies',
-          diagnosis: "No lockfile detected (npm/yarn/pnpm).",
-          treatment: "Commit your lockfile to ensure deterministic builds.",
-          time: "2 min"
-        });
-      }
+  const handleZipInput = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (file) startLocalDiagnosis(file.name, zipLoader(file));
+    e.target.value = '';
+  };
 
-      if (!hasTests && fileCount > 20) {
-        score -= 5;
-        prescriptions.push({
-          id: 'no-tests',
-          severity: 'info',
-          title: 'Living Dangerously',
-          diagnosis: "No obvious test files detected.",
-          treatment: "Add Jest/Vitest and write basic unit tests.",
-          time: "1 hour"
-        });
-      }
+  const handleAdvisoryInput = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setAdvisories({ name: file.name, records: normalizeAdvisories(JSON.parse(await file.text())) });
+      setErrorMessage('');
+    } catch (err) {
+      setErrorMessage(`Could not load ${file.name}: ${err.message}`);
+    }
+  };
 
-      if (!isTypeScript && fileCount > 30) {
-         score -= 5;
-         prescriptions.push({
-            id: 'js-scale',
-            severity: 'info',
-            title: 'Type Safety Gap',
-            diagnosis: "Large JavaScript codebase detected.",
-            treatment: "Migrate to TypeScript for better maintainability.",
-            time: "Elective"
-         });
-      }
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    const item = e.dataTransfer.items && e.dataTransfer.items[0];
+    const entry = item && item.webkitGetAsEntry && item.webkitGetAsEntry();
+    if (entry && entry.isDirectory) return startLocalDiagnosis(entry.name, () => treeFromEntry(entry));
+    const file = e.dataTransfer.files[0];
+    if (file && file.name.endsWith('.zip')) return startLocalDiagnosis(file.name, zipLoader(file));
+    setErrorMessage("Drop a folder or a .zip archive.");
+  };
 
-      // --- FINAL SCORE CALC ---
-      score = Math.max(0, Math.min(100, score));
+  const toggleRule = (id) => {
+    setDisabledRules((prev) => {
+      const next = prev.includes(id) ? prev.filter(r => r !== id) : [...prev, id];
+      localStorage.setItem(CONFIG.disabledRulesKey, JSON.stringify(next));
+      return next;
+    });
+  };
 
-      let status = "Healthy";
-      let color = "text-emerald-400";
-      
-      if (score < 50) {
-        status = "Critical";
-        color = "text-rose-500";
-        summary = "This repository needs immediate life support.";
-      } else if (score < 80) {
-        status = "Stable";
-        color = "text-amber-400";
-        summary = "Functional, but showing signs of fatigue.";
-      } else {
-        status = "Peak Form";
-        summary = "Excellent code hygiene. Ready for production.";
-      }
+  const pickProfile = (id) => {
+    const next = id || null;
+    localStorage.setItem(CONFIG.profileKey, JSON.stringify(next));
+    setProfile(next);
+  };
 
-      // --- FILE ANALYSIS ---
-      const sortedFiles = files
-        .filter(f => f.type === 'blob')
-        .sort((a, b) => (b.size || 0) - (a.size || 0));
+  const showRateLimit = (err) => {
+    setRateLimitHit({ code: err.code || 'RATELIMIT', ...(err.rateLimit || {}) });
+    setView('ratelimit');
+  };
 
-      const displayFiles = sortedFiles.slice(0, 5).map(f => {
-        let riskScore = 0;
-        let healthStatus = 'healthy';
-        const size = f.size || 0;
-        
-        if (f.path.includes('.env')) { riskScore = 100; healthStatus = 'critical'; }
-        else if (f.path.includes('node_modules')) { riskScore = 90; healthStatus = 'critical'; }
-        else if (size > 5 * 1024 * 1024) { riskScore = 80; healthStatus = 'warning'; } 
-        else if (size > 1 * 1024 * 1024) { riskScore = 40; healthStatus = 'healthy'; } 
-        else if (f.path.endsWith('.js') && !isTypeScript) { riskScore = 20; }
-        else { riskScore = 5; }
-
-        return {
-          name: f.path.length > 35 ? '...'+f.path.slice(-30) : f.path,
-          health: healthStatus,
-          risk: riskScore,
-          sizeStr: formatBytes(size)
-        };
-      });
-
-      return {
-        score,
-        status,
-        color,
-        summary,
-        files: displayFiles,
-        prescriptions,
-        meta: {
-          fileCount,
-          isTs: isTypeScript
-        }
-      };
+  const handlePickRef = (ref) => {
+    setRepoUrl(remoteTarget(diagnosis.meta));
+    setLocalSource(null);
+    setShared(null);
+    setScanRef(ref);
+    setErrorMessage('');
+    setView('scanning');
+  };
 
-    } catch (err) {
-      throw err;
-    }
+  const cancelScan = () => {
+    setShared(null);
+    setErrorMessage('');
+    setView('waiting');
   };
 
-  // --- Handlers ---
-  const startDiagnosis = (e) => {
-    if (e) e.preventDefault();
-    if (!repoUrl) return;
+  const handleRescanShared = () => {
+    const { target, ref } = diagnosisTarget(diagnosis);
+    setRepoUrl(target);
+    setScanRef(ref);
+    setShared(null);
     setErrorMessage('');
-    setScanLogIndex(0);
     setView('scanning');
   };
 
+  // --- Tokens (see credentials.js) ---
+  const githubToken = vault.tokens['github.com'] || null;
+
+  const tokenFor = (input) => {
+    try { return vault.tokens[resolveSource(input, { hosts }).host] || null; }
+    catch { return null; }
+  };
+
+  // Where the ref picker may send a token: the API of the host as registered here, never an
+  // apiBase carried by the diagnosis (a shared link chose it, an older record lacks it).
+  const refSource = (meta) => {
+    try {
+      const { provider, host, apiBase } = resolveSource(remoteTarget(meta), { hosts });
+      return provider.id === 'github' && meta.owner && meta.repo ? { apiBase, token: vault.tokens[host] || null } : null;
+    } catch { return null; }
+  };
+
+  // While the vault is locked, edits stay in memory; unlocking merges them over the saved tokens.
+  const saveTokens = async ({ tokens, mode = vault.mode, passphrase = null }) => {
+    if (vault.locked) return setVault({ ...vault, tokens });
+    if (passphrase) vaultKey.current = await deriveVaultKey(passphrase);
+    await writeVault(CONFIG.tokensKey, tokens, mode, vaultKey.current);
+    if (mode !== 'encrypted') vaultKey.current = null;
+    setVault({ mode, tokens, locked: false });
+  };
+
+  const unlockTokens = async (passphrase) => {
+    const unlocked = await unlockVault(CONFIG.tokensKey, passphrase);
+    vaultKey.current = unlocked.vaultKey;
+    const tokens = { ...unlocked.tokens, ...vault.tokens };
+    setVault({ mode: 'encrypted', tokens, locked: false });
+    return tokens;
+  };
+
+  const forgetTokens = () => {
+    vaultKey.current = null;
+    writeVault(CONFIG.tokensKey, {}, 'session');
+    setVault({ mode: 'session', tokens: {}, locked: false });
+  };
+
+  const saveHosts = (next) => {
+    localStorage.setItem(CONFIG.hostsKey, JSON.stringify(next));
+    setHosts(next);
+  };
+
   const handleRetryWithToken = (e) => {
     e.preventDefault();
-    startDiagnosis();
+    const token = (tokenDraft ?? githubToken ?? '').trim();
+    const next = { ...vault.tokens, 'github.com': token };
+    if (!token) delete next['github.com'];
+    saveTokens({ tokens: next }).then(() => {
+      setTokenDraft(null);
+      setTokenError(null);
+      if (!repoUrl) return setView(wardOpened ? 'ward' : 'waiting'); // the ward re-admits with the new token
+      setErrorMessage('');
+      setView('scanning');
+    }).catch(err => setTokenError(err.message));
   };
 
+  // Leaving the scanner (Cancel, back, a new route) aborts the scan and its in-flight requests.
   useEffect(() => {
-    let isMounted = true;
+    if (view !== 'scanning') return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    const onProgress = (event) => { if (!signal.aborted) setScanProgress(prev => reduceProgress(prev, event)); };
+    setScanProgress(EMPTY_PROGRESS);
+
     const runScan = async () => {
-      if (view !== 'scanning') return;
-      const logInterval = setInterval(() => { setScanLogIndex((prev) => (prev < SCANNER_LOGS.length - 1 ? prev + 1 : prev)); }, 500);
       try {
-        const result = await analyzeRepo(repoUrl, userToken);
-        setTimeout(() => { if (isMounted) { setDiagnosis(result); clearInterval(logInterval); setView('dashboard'); } }, 1000);
+        if (shared) {
+          const opened = await decodeReport(shared.link);
+          if (signal.aborted) return;
+          setDiagnosis(opened.diagnosis);
+          setShared({ ...shared, sharedAt: opened.sharedAt });
+          setView('dashboard');
+          return;
+        }
+        const scanOptions = { disabledRules, deepScan, profile, onRateLimit: setRateLimit, onProgress, signal, ...(advisories ? { advisories: advisories.records } : {}) };
+        const result = localSource
+          ? await diagnoseTree(await trackStage(scanOptions, 'tree', localSource.load), scanOptions)
+          : await analyzeRepo(repoUrl, { ...scanOptions, hosts, token: tokenFor(repoUrl), ref: scanRef });
+        if (signal.aborted) return;
+        saveRecord(result).catch(() => {}); // records are best-effort (private mode has no IndexedDB)
+        setDiagnosis(result);
+        setView('dashboard');
       } catch (err) {
-        clearInterval(logInterval);
-        if (err.message === "RATELIMIT") { if (isMounted) setView('ratelimit'); }
-        else { setTimeout(() => { if (isMounted) { setErrorMessage(err.message); setView('waiting'); } }, 1500); }
+        if (signal.aborted || isAbort(err)) return;
+        if (err.message === "RATELIMIT") showRateLimit(err);
+        else {
+          if (err.code === 'PRIVATE' || err.code === 'BAD_CREDENTIALS') setShowTokens(true);
+          setErrorMessage(err.message);
+          setView('waiting');
+        }
       }
     };
     runScan();
-    return () => { isMounted = false; };
-  }, [view, repoUrl, userToken]);
+    return () => controller.abort();
+  }, [view, repoUrl, scanRef, vault.tokens, hosts, disabledRules, profile, localSource, shared, deepScan, advisories]);
+
+  // --- Routing ---
+  // The address bar follows the view. Leaving the scanner (for its result or an error) and
+  // back/forward replace the entry; everything else pushes one.
+  useEffect(() => {
+    const viewPath = () => {
+      if (view === 'waiting') return '/';
+      if (view === 'records') return routePath({ name: 'records', patient: recordsPatient });
+      if (view === 'ward') return routePath({ name: 'ward' });
+      if (view !== 'scanning' && view !== 'dashboard') return null; // ratelimit keeps the scan's address
+      if (shared) return routePath({ name: 'report', link: shared.link });
+      if (localSource) return routePath({ name: 'local' });
+      const target = view === 'dashboard' && diagnosis ? diagnosisTarget(diagnosis) : { target: repoUrl, ref: scanRef };
+      return target ? routePath({ name: 'diagnose', ...target }) : '/';
+    };
+    const path = viewPath();
+    const from = previousView.current;
+    previousView.current = view;
+    if (view === 'dashboard' && diagnosis) visited.current.set(path, { view, diagnosis, localSource, shared });
+    const replace = popped.current || from === view || from === 'scanning';
+    popped.current = false;
+    if (!path || path === currentPath()) return;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+  }, [view, diagnosis, recordsPatient, shared, localSource, repoUrl, scanRef]);
+
+  useEffect(() => {
+    const setters = { view: setView, repoUrl: setRepoUrl, scanRef: setScanRef, localSource: setLocalSource, shared: setShared, recordsPatient: setRecordsPatient, wardOpened: setWardOpened, diagnosis: setDiagnosis };
+    const onPopState = () => {
+      popped.current = true;
+      setErrorMessage('');
+      const state = visited.current.get(currentPath()) || routeState(parseRoute(window.location));
+      Object.entries(state).forEach(([key, value]) => setters[key](value));
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
 
   useEffect(() => {
     if (view === 'dashboard' && diagnosis) {
@@ -336,7 +413,15 @@ export default function VibeDoctor() {
                <span>Buy me a coffee</span>
              </a>
 
-             {userToken && <span className="flex items-center gap-1 text-emerald-400 bg-emerald-950/30 px-2 py-0.5 rounded text-xs"><Key className="w-3 h-3" /> Pro Access</span>}
+             <button onClick={() => { setWardOpened(true); setView('ward'); }} className="flex items-center gap-1.5 text-xs text-slate-400 hover:text-white transition-colors"><LayoutGrid className="w-3.5 h-3.5" /> Ward</button>
+
+             <button onClick={() => { setRecordsPatient(null); setView('records'); }} className="flex items-center gap-1.5 text-xs text-slate-400 hover:text-white transition-colors"><ClipboardList className="w-3.5 h-3.5" /> Records</button>
+
+             {rateLimit && <span className={`hidden md:inline font-mono text-xs ${rateLimit.remaining < rateLimit.limit * 0.1 ? 'text-amber-400' : 'text-slate-500'}`} title="GitHub API requests left this hour">API {rateLimit.remaining}/{rateLimit.limit}</span>}
+
+             {vault.locked
+               ? <button onClick={() => { setShowTokens(true); setView('waiting'); }} className="flex items-center gap-1 text-amber-400 bg-amber-950/30 px-2 py-0.5 rounded text-xs" title="Unlock your saved tokens"><Lock className="w-3 h-3" /> Tokens locked</button>
+               : Object.keys(vault.tokens).length > 0 && <span className="flex items-center gap-1 text-emerald-400 bg-emerald-950/30 px-2 py-0.5 rounded text-xs" title={Object.keys(vault.tokens).join(', ')}><Key className="w-3 h-3" /> Pro Access</span>}
           </div>
         </header>
 
@@ -345,16 +430,21 @@ export default function VibeDoctor() {
           
           {/* 1. WAITING ROOM */}
           {view === 'waiting' && (
-            <div className="w-full max-w-2xl text-center space-y-8 animate-in fade-in zoom-in duration-500">
+            <div
+              className={`w-full max-w-2xl text-center space-y-8 animate-in fade-in zoom-in duration-500 rounded-2xl transition-colors ${isDragging ? 'bg-emerald-950/20 outline-dashed outline-2 outline-emerald-500/50' : ''}`}
+              onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+            >
               <div className="space-y-4">
                 <div className="inline-flex items-center gap-2 px-3 py-1 rounded-full bg-slate-900 border border-slate-800 text-xs font-medium text-emerald-400 mb-4">
-                  <Sparkles className="w-3 h-3" /> <span>Powered by GitHub API</span>
+                  <Sparkles className="w-3 h-3" /> <span>GitHub · GitLab · Bitbucket · Gitea</span>
                 </div>
                 <h1 className="text-5xl md:text-6xl font-bold tracking-tight text-white">
                   Is your code <span className="text-transparent bg-clip-text bg-gradient-to-r from-emerald-400 to-teal-200">healthy?</span>
                 </h1>
                 <p className="text-lg text-slate-400 max-w-lg mx-auto">
-                  Paste your public GitHub repository URL below. Dr. Vibe will diagnose technical debt, security leaks, and bad practices.
+                  Paste a public GitHub, GitLab, Bitbucket or Gitea/Forgejo repository URL below. Dr. Vibe will diagnose technical debt, security leaks, and bad practices.
                 </p>
               </div>
 
@@ -362,13 +452,69 @@ export default function VibeDoctor() {
                 <div className="absolute -inset-0.5 bg-gradient-to-r from-emerald-500 to-teal-500 rounded-xl opacity-20 blur transition duration-500"></div>
                 <div className="relative flex items-center bg-slate-900 rounded-xl p-1.5 border border-slate-800 shadow-2xl">
                   <div className="pl-4 text-slate-500"><Search className="w-5 h-5" /></div>
-                  <input type="text" placeholder="owner/repo (e.g. facebook/react)" className="w-full bg-transparent border-none focus:ring-0 text-slate-100 placeholder-slate-600 px-4 py-3 outline-none" value={repoUrl} onChange={(e) => setRepoUrl(e.target.value)} />
+                  <input type="text" placeholder="owner/repo, .../tree/<ref> or .../pull/<n>" className="w-full bg-transparent border-none focus:ring-0 text-slate-100 placeholder-slate-600 px-4 py-3 outline-none" value={repoUrl} onChange={(e) => setRepoUrl(e.target.value)} />
                   <button type="submit" className="bg-emerald-500 hover:bg-emerald-400 text-slate-950 font-bold py-3 px-6 rounded-lg transition-all flex items-center gap-2">
                     Diagnose <ArrowRight className="w-4 h-4" />
                   </button>
                 </div>
               </form>
+              <div className="flex items-center justify-center gap-3 text-xs text-slate-500">
+                <span>or examine local work:</span>
+                <button type="button" onClick={handlePickFolder} className="flex items-center gap-1.5 border border-slate-700 hover:border-emerald-500/50 hover:text-slate-200 rounded px-3 py-1 transition-colors"><FolderOpen className="w-3 h-3" /> Open folder</button>
+                <label className="flex items-center gap-1.5 border border-slate-700 hover:border-emerald-500/50 hover:text-slate-200 rounded px-3 py-1 transition-colors cursor-pointer"><FileArchive className="w-3 h-3" /> Upload .zip<input type="file" accept=".zip,application/zip" className="hidden" onChange={handleZipInput} /></label>
+                <input id="folder-input" type="file" webkitdirectory="" directory="" className="hidden" onChange={handleFolderInput} />
+                <span className="hidden md:inline">(or drop it here)</span>
+              </div>
               {errorMessage && <div className="flex items-center justify-center gap-2 text-rose-400 bg-rose-950/30 p-2 rounded-lg border border-rose-900/50"><XCircle className="w-4 h-4" /> {errorMessage}</div>}
+
+              <label className="flex items-center justify-center gap-2 text-xs text-slate-500 cursor-pointer" title="Reads file contents (up to 1 MB) and looks for AWS/GitHub/Stripe keys, private keys, JWTs and high-entropy strings. Uses one API request per file.">
+                <input type="checkbox" className="accent-emerald-500" checked={deepScan} onChange={(e) => setDeepScan(e.target.checked)} />
+                <ShieldAlert className="w-3 h-3" /> Deep scan for hardcoded secrets and code smells (slower, uses more API quota)
+              </label>
+
+              <div className="flex items-center justify-center gap-2 text-xs text-slate-500">
+                <Bug className="w-3 h-3" /> Advisory DB: {advisories ? `${advisories.name} (${advisories.records.length})` : `bundled snapshot (${BUNDLED_ADVISORIES.length})`}
+                <label className="text-blue-400 hover:text-blue-300 cursor-pointer">Load OSV snapshot<input type="file" accept=".json,application/json" className="hidden" onChange={handleAdvisoryInput} /></label>
+                {advisories && <button type="button" onClick={() => setAdvisories(null)} className="text-slate-600 hover:text-slate-300">reset</button>}
+              </div>
+
+              <div className="flex items-center justify-center gap-2 text-xs text-slate-500">
+                <Scale className="w-3 h-3" /> Scoring profile:
+                <select value={profile || ''} onChange={(e) => pickProfile(e.target.value)} className="bg-slate-900 border border-slate-700 rounded px-2 py-0.5 text-slate-300 focus:outline-none focus:border-emerald-500" title={profile ? PROFILES[profile].description : `Uses the repo's ${CONFIG_FILE} when it has one`}>
+                  <option value="">Auto ({CONFIG_FILE})</option>
+                  {Object.entries(PROFILES).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+                </select>
+              </div>
+
+              <div className="max-w-lg mx-auto text-left">
+                <button type="button" onClick={() => setShowHosts(!showHosts)} className="flex items-center gap-2 text-xs text-slate-500 hover:text-slate-300 transition-colors mx-auto mb-2">
+                  <Server className="w-3 h-3" /> Self-hosted Instances ({Object.keys(hosts).length})
+                </button>
+                {showHosts && <HostSettings hosts={hosts} onChange={saveHosts} />}
+              </div>
+
+              <div className="max-w-lg mx-auto text-left">
+                <button type="button" onClick={() => setShowTokens(!showTokens)} className="flex items-center gap-2 text-xs text-slate-500 hover:text-slate-300 transition-colors mx-auto mb-2">
+                  <Key className="w-3 h-3" /> Access Tokens ({vault.locked ? 'locked' : Object.keys(vault.tokens).length})
+                </button>
+                {showTokens && <TokenSettings key={vault.locked ? 'locked' : 'open'} hosts={hosts} vault={vault} onSave={saveTokens} onUnlock={unlockTokens} onForget={forgetTokens} />}
+              </div>
+
+              <div className="max-w-lg mx-auto text-left">
+                <button type="button" onClick={() => setShowRules(!showRules)} className="flex items-center gap-2 text-xs text-slate-500 hover:text-slate-300 transition-colors mx-auto">
+                  <SlidersHorizontal className="w-3 h-3" /> Diagnostic Rules ({getRules().filter(r => !disabledRules.includes(r.id)).length}/{getRules().length} active)
+                </button>
+                {showRules && (
+                  <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-2 bg-slate-900/50 border border-slate-800 rounded-xl p-4">
+                    {getRules().map(rule => (
+                      <label key={rule.id} className="flex items-center gap-2 text-xs text-slate-300 cursor-pointer">
+                        <input type="checkbox" className="accent-emerald-500" checked={!disabledRules.includes(rule.id)} onChange={() => toggleRule(rule.id)} />
+                        <span className="font-mono text-slate-500">{rule.id}</span> {rule.title}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
             </div>
           )}
 
@@ -377,13 +523,16 @@ export default function VibeDoctor() {
              <div className="w-full max-w-2xl bg-slate-900/90 border border-slate-700 rounded-2xl p-0 backdrop-blur-xl animate-in zoom-in-95 duration-300 shadow-2xl relative overflow-hidden flex flex-col md:flex-row">
                 <div className="p-8 md:w-1/2 space-y-6 flex flex-col justify-center border-b md:border-b-0 md:border-r border-slate-800">
                     <div className="w-14 h-14 bg-amber-950/30 rounded-full flex items-center justify-center border border-amber-500/20"><Lock className="w-7 h-7 text-amber-500" /></div>
-                    <div><h2 className="text-xl font-bold text-white mb-2">Too Many Requests</h2><p className="text-slate-400 text-sm">GitHub allows anonymous users only 60 scans/hour. You've hit the limit!</p></div>
+                    {rateLimitHit && rateLimitHit.code === 'ABUSE'
+                      ? <div><h2 className="text-xl font-bold text-white mb-2">Slow Down, Doctor</h2><p className="text-slate-400 text-sm">GitHub's abuse detection flagged too many requests in a short burst. This is not your hourly quota; wait for the countdown and try again.</p></div>
+                      : <div><h2 className="text-xl font-bold text-white mb-2">Too Many Requests</h2><p className="text-slate-400 text-sm">GitHub allows anonymous users only 60 requests/hour. You've hit the limit!</p></div>}
+                    <RateLimitStatus key={rateLimitHit ? rateLimitHit.reset : 'none'} hit={rateLimitHit} token={githubToken} />
                 </div>
                 <div className="p-8 md:w-1/2 bg-slate-900/50 flex flex-col">
                    <h3 className="font-bold text-white flex items-center gap-2 mb-4"><HelpCircle className="w-4 h-4 text-emerald-400" /> Quick Fix Guide</h3>
                    <ol className="relative border-l border-slate-800 space-y-6 ml-2">
                       <li className="ml-6"><span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 bg-slate-800 rounded-full ring-4 ring-slate-900 text-[10px] font-bold text-slate-400">1</span><h4 className="font-medium text-slate-200 text-sm">Get Token</h4><a href={CONFIG.githubTokenUrl} target="_blank" rel="noreferrer" className="mt-1 inline-flex items-center gap-2 text-xs text-blue-400 hover:text-blue-300">Open GitHub Settings <ExternalLink className="w-3 h-3" /></a></li>
-                      <li className="ml-6"><span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 bg-slate-800 rounded-full ring-4 ring-slate-900 text-[10px] font-bold text-slate-400">2</span><h4 className="font-medium text-slate-200 text-sm">Paste Here</h4><form onSubmit={handleRetryWithToken} className="mt-2"><input type="password" placeholder="ghp_..." className="w-full bg-slate-950 border border-slate-700 rounded px-3 py-2 text-xs text-white" value={userToken} onChange={(e) => setUserToken(e.target.value)} /><button type="submit" disabled={!userToken} className="mt-2 w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white text-xs font-bold py-2 rounded">Resume</button></form></li>
+                      <li className="ml-6"><span className="absolute -left-2.5 flex items-center justify-center w-5 h-5 bg-slate-800 rounded-full ring-4 ring-slate-900 text-[10px] font-bold text-slate-400">2</span><h4 className="font-medium text-slate-200 text-sm">Paste Here</h4><form onSubmit={handleRetryWithToken} className="mt-2"><input type="password" placeholder="ghp_..." className="w-full bg-slate-950 border border-slate-700 rounded px-3 py-2 text-xs text-white" value={tokenDraft ?? (githubToken || '')} onChange={(e) => setTokenDraft(e.target.value)} /><button type="submit" disabled={!(tokenDraft ?? githubToken ?? '').trim()} className="mt-2 w-full bg-emerald-600 hover:bg-emerald-500 disabled:opacity-50 text-white text-xs font-bold py-2 rounded">Resume</button>{tokenError && <p className="mt-2 text-xs text-rose-400">{tokenError}</p>}</form></li>
                    </ol>
                 </div>
              </div>
@@ -391,23 +540,28 @@ export default function VibeDoctor() {
 
           {/* 3. SCANNER VIEW */}
           {view === 'scanning' && (
-            <div className="w-full max-w-xl bg-black/50 border border-slate-800 rounded-lg p-8 font-mono relative overflow-hidden">
-              <div className="absolute inset-0 bg-[linear-gradient(rgba(18,16,16,0)_50%,rgba(0,0,0,0.25)_50%),linear-gradient(90deg,rgba(255,0,0,0.06),rgba(0,255,0,0.02),rgba(0,0,255,0.06))] z-20 bg-[length:100%_4px,3px_100%] pointer-events-none"></div>
-              <div className="space-y-4 relative z-30">
-                <div className="flex items-center justify-between border-b border-slate-800 pb-4 mb-6">
-                  <span className="text-emerald-500 font-bold tracking-widest uppercase flex items-center gap-2"><div className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></div> Dr. Vibe Analyzing...</span>
-                  <Cpu className="w-5 h-5 text-slate-500 animate-spin-slow" />
-                </div>
-                <div className="h-48 flex flex-col justify-end space-y-2">
-                  {SCANNER_LOGS.map((log, index) => (
-                    <div key={index} className={`flex items-center gap-3 transition-all duration-300 ${index === scanLogIndex ? 'text-emerald-400 scale-105 origin-left' : index < scanLogIndex ? 'text-slate-600 opacity-40' : 'opacity-0'}`}>
-                      {index < scanLogIndex ? <CheckCircle className="w-3 h-3 text-emerald-500/50" /> : index === scanLogIndex ? <div className="w-3 h-3 border-2 border-t-transparent border-emerald-400 rounded-full animate-spin"></div> : null}
-                      {log}
-                    </div>
-                  ))}
-                </div>
-                <div className="w-full bg-slate-900 h-1 mt-6 rounded-full overflow-hidden"><div className="h-full bg-emerald-500 transition-all duration-300 ease-out" style={{ width: `${((scanLogIndex + 1) / SCANNER_LOGS.length) * 100}%` }}></div></div>
-              </div>
+            <ScanLog
+              progress={scanProgress}
+              subject={shared ? 'Opening shared report...' : localSource ? `Opening ${localSource.label}...` : `Connecting to ${repoUrl}...`}
+              onCancel={cancelScan}
+            />
+          )}
+
+          {/* 5. PATIENT RECORDS */}
+          {view === 'records' && (
+            <PatientRecords key={recordsPatient || 'all'} initialPatient={recordsPatient} onClose={() => setView(diagnosis ? 'dashboard' : 'waiting')} />
+          )}
+
+          {/* The ward stays mounted so its table survives a trip to a patient's dashboard */}
+          {wardOpened && (
+            <div className={view === 'ward' ? 'w-full' : 'hidden'}>
+              <Ward
+                token={githubToken}
+                scanOptions={{ disabledRules, deepScan, profile, onRateLimit: setRateLimit, ...(advisories ? { advisories: advisories.records } : {}) }}
+                onOpen={(result) => { setDiagnosis(result); setLocalSource(null); setShared(null); setView('dashboard'); }}
+                onClose={() => setView('waiting')}
+                onRateLimit={showRateLimit}
+              />
             </div>
           )}
 
@@ -426,9 +580,12 @@ export default function VibeDoctor() {
                         <div className="absolute inset-0 flex flex-col items-center justify-center"><span className={`text-5xl font-bold ${diagnosis.color}`}>{vibeScore}</span><span className="text-xs text-slate-500 mt-1">/ 100</span></div>
                      </div>
                      <div className={`mt-4 px-4 py-1 rounded-full text-sm font-bold bg-opacity-10 border ${diagnosis.color.replace('text', 'border')} ${diagnosis.color.replace('text', 'bg')}`}>{diagnosis.status}</div>
+                     {!diagnosis.pullRequest && refSource(diagnosis.meta) && <RefPicker key={diagnosis.meta.name} meta={diagnosis.meta} {...refSource(diagnosis.meta)} onPick={handlePickRef} />}
                   </div>
                 </div>
 
+                <PullRequestPanel pullRequest={diagnosis.pullRequest} score={diagnosis.score} />
+
                 <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-6 backdrop-blur-sm">
                    <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-4 flex items-center gap-2"><FileCode className="w-4 h-4 text-blue-400" /> Heaviest Files</h3>
                    <div className="space-y-3">
@@ -445,7 +602,31 @@ export default function VibeDoctor() {
                    </div>
                    <div className="mt-4 pt-4 border-t border-slate-800 grid grid-cols-2 gap-2 text-xs text-slate-500">
                      <div className="flex items-center gap-2"><Database className="w-3 h-3" /> {diagnosis.meta.fileCount} Files</div>
-                     <div className="flex items-center gap-2"><Cpu className="w-3 h-3" /> {diagnosis.meta.isTs ? 'TypeScript' : 'JavaScript'}</div>
+                     <LanguageBreakdown languages={diagnosis.languages} isTs={diagnosis.meta.isTs} />
+                     {diagnosis.meta.deepScan && <div className="col-span-2 flex items-center gap-2"><ShieldAlert className="w-3 h-3" /> Deep scan: {diagnosis.meta.contents.files} files read, {diagnosis.meta.contents.skipped} over budget</div>}
+                     {diagnosis.meta.profile && <div className="col-span-2 flex items-center gap-2"><Scale className="w-3 h-3" /> Profile: {diagnosis.meta.profile.label}{diagnosis.meta.config && diagnosis.meta.config.profile === diagnosis.meta.profile.id ? ` (from ${diagnosis.meta.config.path})` : ''}</div>}
+                     {diagnosis.meta.config && diagnosis.meta.config.errors.map(err => <div key={err} className="col-span-2 flex items-center gap-2 text-amber-400"><AlertTriangle className="w-3 h-3" /> {err}</div>)}
+                     {diagnosis.meta.treeRequests && <div className="col-span-2 flex items-center gap-2" title="GitHub truncated the recursive tree, so it was fetched folder by folder"><FileCode className="w-3 h-3" /> Large tree: assembled from {diagnosis.meta.treeRequests} requests</div>}
+                     {diagnosis.meta.ignored > 0 && <div className="col-span-2 flex items-center gap-2" title="A folder is a working copy: what its root .gitignore names was never committed"><EyeOff className="w-3 h-3" /> {diagnosis.meta.ignored} local files skipped by .gitignore</div>}
+                     {diagnosis.meta.truncated && <div className="col-span-2 flex items-center gap-2 text-amber-400"><AlertTriangle className="w-3 h-3" /> Tree incomplete: too large to list fully</div>}
+                   </div>
+                </div>
+
+                <VitalsPanel vitals={diagnosis.vitals} />
+
+                <DependencyPanel dependencies={diagnosis.dependencies} />
+
+                <SmellPanel smells={diagnosis.smells} />
+
+                <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-6 backdrop-blur-sm">
+                   <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-4 flex items-center gap-2"><SlidersHorizontal className="w-4 h-4 text-emerald-400" /> Rule Chart</h3>
+                   <div className="space-y-1.5">
+                    {diagnosis.rules.map(rule => (
+                      <div key={rule.id} className="flex items-center justify-between text-xs">
+                        <span className={`font-mono ${rule.status === 'disabled' ? 'text-slate-600 line-through' : 'text-slate-300'}`}>{rule.id}</span>
+                        <span className={`font-bold uppercase tracking-wider ${rule.status === 'passed' ? 'text-emerald-500' : rule.status === 'failed' ? 'text-rose-400' : rule.status === 'suppressed' ? 'text-slate-400' : rule.status === 'error' ? 'text-amber-400' : 'text-slate-600'}`} title={rule.error}>{rule.status}</span>
+                      </div>
+                    ))}
                    </div>
                 </div>
               </div>
@@ -459,14 +640,24 @@ export default function VibeDoctor() {
                           Heuristic Diagnosis
                         </h2>
                         <p className="text-slate-400 mt-1">{diagnosis.summary}</p>
+                        {shared && (
+                          <p className="text-xs text-sky-400 mt-2 flex items-center gap-1.5">
+                            <Link2 className="w-3 h-3" /> Shared report{shared.sharedAt ? ` from ${new Date(shared.sharedAt).toLocaleString()}` : ''}, not re-scanned.
+                            {diagnosisTarget(diagnosis) && <button onClick={handleRescanShared} className="underline hover:text-sky-300">Scan it now</button>}
+                          </p>
+                        )}
+                      </div>
+                      <div className="flex gap-2">
+                        <ExportMenu diagnosis={diagnosis} />
+                        <button onClick={() => { setRecordsPatient(patientKey(diagnosis.meta)); setView('records'); }} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1">History</button>
+                        <button onClick={() => setView('waiting')} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1">New Patient</button>
                       </div>
-                      <button onClick={() => setView('waiting')} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1">New Patient</button>
                     </div>
 
                     {diagnosis.prescriptions.length > 0 ? (
                       <div className="space-y-4 flex-1">
                         {diagnosis.prescriptions.map((rx, idx) => (
-                          <div key={rx.id || idx} className={`relative border rounded-xl p-5 transition-all hover:scale-[1.01] hover:shadow-lg ${rx.severity === 'critical' ? 'bg-rose-950/10 border-rose-900/50' : rx.severity === 'warning' ? 'bg-amber-950/10 border-amber-900/50' : 'bg-slate-800/20 border-slate-700/50'}`}>
+                          <div key={`${rx.id}-${idx}`} className={`relative border rounded-xl p-5 transition-all hover:scale-[1.01] hover:shadow-lg ${rx.severity === 'critical' ? 'bg-rose-950/10 border-rose-900/50' : rx.severity === 'warning' ? 'bg-amber-950/10 border-amber-900/50' : 'bg-slate-800/20 border-slate-700/50'}`}>
                             <div className="flex items-start justify-between">
                               <div className="flex gap-4">
                                   <div className={`mt-1 p-2 rounded-lg ${rx.severity === 'critical' ? 'bg-rose-500/20 text-rose-400' : rx.severity === 'warning' ? 'bg-amber-500/20 text-amber-400' : 'bg-blue-500/20 text-blue-400'}`}>
@@ -475,7 +666,10 @@ export default function VibeDoctor() {
                                   <div>
                                     <h4 className={`font-bold text-lg ${rx.severity === 'critical' ? 'text-rose-200' : 'text-slate-200'}`}>{rx.title}</h4>
                                     <p className="text-slate-400 mt-1 text-sm leading-relaxed max-w-xl">{rx.diagnosis}</p>
+                                    {rx.location && <p className="font-mono text-xs text-slate-500 mt-1">{rx.location.path}{rx.location.line ? `:${rx.location.line}` : ''}</p>}
+                                    {rx.advisory && <a href={rx.advisory.url} target="_blank" rel="noreferrer" className="font-mono text-xs text-blue-400 hover:text-blue-300 mt-1 inline-flex items-center gap-1">{rx.advisory.id} <ExternalLink className="w-3 h-3" /></a>}
                                     <p className="text-emerald-400/90 mt-2 text-sm leading-relaxed bg-emerald-950/30 p-2 rounded border border-emerald-900/30 inline-block"><span className="text-emerald-600 uppercase text-xs font-bold tracking-wider mr-2">Rx:</span>{rx.treatment}</p>
+                                    {rx.fix && !shared && <TreatmentKit rx={rx} patient={diagnosis.meta.name} />}
                                   </div>
                               </div>
                               <div className="flex flex-col items-end gap-3 min-w-[100px] text-right">
@@ -488,8 +682,26 @@ export default function VibeDoctor() {
                     ) : (
                       <div className="flex-1 flex flex-col items-center justify-center text-slate-500"><CheckCircle className="w-16 h-16 text-emerald-500/20 mb-4" /><p>No major issues found. Good job!</p></div>
                     )}
+                    {diagnosis.suppressed && diagnosis.suppressed.length > 0 && (
+                      <div className="mt-6 space-y-2">
+                        <h4 className="text-xs uppercase tracking-wider text-slate-600 flex items-center gap-2"><EyeOff className="w-3 h-3" /> Suppressed by {diagnosis.meta.config ? diagnosis.meta.config.path : CONFIG_FILE}</h4>
+                        {diagnosis.suppressed.map((rx, idx) => (
+                          <div key={`${rx.id}-${idx}`} className="border border-slate-800 rounded-xl p-4 opacity-50 grayscale">
+                            <div className="flex items-start justify-between gap-4">
+                              <div>
+                                <h4 className="font-bold text-slate-400 line-through">{rx.title}</h4>
+                                <p className="text-slate-500 mt-1 text-sm">{rx.diagnosis}</p>
+                                {rx.location && <p className="font-mono text-xs text-slate-600 mt-1">{rx.location.path}{rx.location.line ? `:${rx.location.line}` : ''}</p>}
+                                <p className="text-slate-400 mt-2 text-xs italic">Justification: {rx.justification}</p>
+                              </div>
+                              <span className="text-xs font-mono text-slate-600 whitespace-nowrap">{rx.id}</span>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                     <div className="mt-8 pt-6 border-t border-slate-800 flex flex-col md:flex-row justify-between items-center text-slate-500 text-sm gap-4">
-                       <div className="flex flex-col"><p>Chief Surgeon: Dr. Vibe, MD</p><p className="font-mono text-xs">Analysis via GitHub REST API</p></div>
+                       <div className="flex flex-col"><p>Chief Surgeon: Dr. Vibe, MD</p><p className="font-mono text-xs">{PROVIDERS[diagnosis.meta.source] ? `Analysis via ${PROVIDERS[diagnosis.meta.source].label} REST API` : `Local examination of ${diagnosis.meta.name}`}</p></div>
                        
                        {/* BUY ME A COFFEE BUTTON - Alt taraftaki (Büyük ve renkli) */}
                        <a href={CONFIG.buyMeACoffeeUrl} target="_blank" rel="noreferrer" className="flex items-center gap-2 bg-gradient-to-r from-amber-500 to-orange-500 text-white font-bold py-2 px-4 rounded-lg hover:shadow-lg hover:shadow-orange-500/20 hover:scale-105 transition-all text-xs uppercase tracking-wide group"><Coffee className="w-4 h-4 group-hover:animate-bounce" /> Buy Dr. Vibe a Coffee</a>
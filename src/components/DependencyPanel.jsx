@@ -0,0 +1,51 @@
+import React from 'react';
+import { Package, Lock, GitMerge, AlertTriangle } from 'lucide-react';
+
+// --- Dependency Footprint Panel ---
+const PIN_COLORS = {
+  pinned: 'bg-emerald-500',
+  floating: 'bg-amber-500',
+  wildcard: 'bg-rose-500',
+  local: 'bg-slate-500'
+};
+
+export default function DependencyPanel({ dependencies }) {
+  if (!dependencies || dependencies.manifests.length === 0) return null;
+  const { total, manifests, lockfiles, ecosystems, conflicts, duplicates, deprecated, errors } = dependencies;
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-6 backdrop-blur-sm">
+      <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-4 flex items-center gap-2"><Package className="w-4 h-4 text-violet-400" /> Dependency Footprint</h3>
+
+      <div className="flex items-baseline justify-between">
+        <span className="text-3xl font-bold text-white">{total}</span>
+        <span className="text-xs text-slate-500">direct deps in {manifests.length} manifest{manifests.length === 1 ? '' : 's'}</span>
+      </div>
+
+      {total > 0 && (
+        <div className="mt-3 flex h-2 rounded-full overflow-hidden bg-slate-800">
+          {Object.keys(PIN_COLORS).map(pin => dependencies[pin] > 0 && (
+            <div key={pin} className={PIN_COLORS[pin]} style={{ width: `${(dependencies[pin] / total) * 100}%` }} title={`${dependencies[pin]} ${pin}`}></div>
+          ))}
+        </div>
+      )}
+      <div className="mt-2 grid grid-cols-2 gap-1 text-[11px] text-slate-500">
+        {Object.keys(PIN_COLORS).map(pin => (
+          <span key={pin} className="flex items-center gap-1.5"><span className={`w-2 h-2 rounded-full ${PIN_COLORS[pin]}`}></span>{dependencies[pin]} {pin}</span>
+        ))}
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-1.5">
+        {ecosystems.map(eco => <span key={eco} className="text-[10px] font-mono px-2 py-0.5 rounded bg-slate-800 text-slate-300">{eco}</span>)}
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-slate-800 grid grid-cols-2 gap-2 text-xs text-slate-500">
+        <div className="flex items-center gap-2"><Lock className="w-3 h-3" /> {lockfiles.length} lockfile{lockfiles.length === 1 ? '' : 's'}</div>
+        <div className="flex items-center gap-2"><GitMerge className="w-3 h-3" /> {conflicts.length} conflicts</div>
+        <div className="flex items-center gap-2"><Package className="w-3 h-3" /> {duplicates.length} duplicated</div>
+        <div className="flex items-center gap-2"><AlertTriangle className="w-3 h-3" /> {deprecated.length} deprecated</div>
+      </div>
+      {errors.length > 0 && <p className="mt-3 text-[11px] text-amber-400/80">Could not parse {errors.map(e => e.file).join(', ')}.</p>}
+    </div>
+  );
+}
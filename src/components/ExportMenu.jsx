@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { Download, Copy, Check, Link2 } from 'lucide-react';
+import { EXPORTERS, exportDiagnosis, exportFilename, encodeReport } from '../core/index.js';
+import { routePath } from '../routes.js';
+
+// --- Export Menu: download the medical report in any exporter format ---
+export const downloadText = (text, filename, mime) => {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export default function ExportMenu({ diagnosis }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(null); // 'markdown' | 'permalink'
+  const [copyError, setCopyError] = useState('');
+
+  const download = (format) => {
+    downloadText(exportDiagnosis(diagnosis, format), exportFilename(diagnosis, format), EXPORTERS[format].mime);
+    setOpen(false);
+  };
+
+  // The clipboard can refuse (permission denied, or no navigator.clipboard outside a secure context).
+  const copy = (what, makeText) => {
+    setCopyError('');
+    Promise.resolve()
+      .then(makeText)
+      .then(text => navigator.clipboard.writeText(text))
+      .then(() => {
+        setCopied(what);
+        setTimeout(() => setCopied(null), 1500);
+      })
+      .catch(err => setCopyError(`Couldn't copy: ${err.message}`));
+  };
+
+  const copyMarkdown = () => copy('markdown', () => exportDiagnosis(diagnosis, 'markdown'));
+
+  // The whole report rides in the link, so it opens without an API call (or access to the repo).
+  const copyPermalink = () => copy('permalink', async () => `${window.location.origin}${routePath({ name: 'report', link: await encodeReport(diagnosis) })}`);
+
+  return (
+    <div className="relative">
+      <button onClick={() => setOpen(o => !o)} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1 flex items-center gap-1"><Download className="w-3 h-3" /> Export</button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-48 bg-slate-900 border border-slate-700 rounded-lg shadow-xl z-20 py-1">
+          {Object.entries(EXPORTERS).map(([format, { label, extension }]) => (
+            <button key={format} onClick={() => download(format)} className="w-full text-left px-3 py-1.5 text-xs text-slate-300 hover:bg-slate-800 flex justify-between">
+              {label} <span className="font-mono text-slate-600">.{extension}</span>
+            </button>
+          ))}
+          <button onClick={copyMarkdown} className="w-full text-left px-3 py-1.5 text-xs text-slate-300 hover:bg-slate-800 border-t border-slate-800 flex items-center gap-2">
+            {copied === 'markdown' ? <Check className="w-3 h-3 text-emerald-400" /> : <Copy className="w-3 h-3" />} {copied === 'markdown' ? 'Copied!' : 'Copy as PR comment'}
+          </button>
+          <button onClick={copyPermalink} className="w-full text-left px-3 py-1.5 text-xs text-slate-300 hover:bg-slate-800 flex items-center gap-2">
+            {copied === 'permalink' ? <Check className="w-3 h-3 text-emerald-400" /> : <Link2 className="w-3 h-3" />} {copied === 'permalink' ? 'Link copied!' : 'Copy report permalink'}
+          </button>
+          {copyError && <p className="px-3 py-1.5 text-xs text-rose-400">{copyError}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
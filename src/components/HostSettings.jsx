@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import { Server, Plus, Trash2 } from 'lucide-react';
+import { PROVIDERS } from '../core/index.js';
+
+// --- Self-hosted Instances: host -> provider (+ optional API base URL) ---
+const SELF_HOSTABLE = Object.values(PROVIDERS).filter(p => p.selfHostedApi);
+
+export default function HostSettings({ hosts, onChange }) {
+  const [host, setHost] = useState('');
+  const [provider, setProvider] = useState('gitlab');
+  const [apiBase, setApiBase] = useState('');
+
+  const add = (e) => {
+    e.preventDefault();
+    const clean = host.trim().replace(/^https?:\/\//, '').replace(/\/.*$/, '').toLowerCase();
+    if (!clean) return;
+    onChange({ ...hosts, [clean]: { provider, ...(apiBase.trim() ? { apiBase: apiBase.trim().replace(/\/$/, '') } : {}) } });
+    setHost('');
+    setApiBase('');
+  };
+
+  const remove = (name) => {
+    const next = { ...hosts };
+    delete next[name];
+    onChange(next);
+  };
+
+  return (
+    <div className="mt-3 bg-slate-900/50 border border-slate-800 rounded-xl p-4 space-y-3 text-xs">
+      {Object.entries(hosts).map(([name, config]) => (
+        <div key={name} className="flex items-center justify-between text-slate-300">
+          <span className="flex items-center gap-2"><Server className="w-3 h-3 text-slate-500" /> <span className="font-mono">{name}</span> <span className="text-slate-500">{PROVIDERS[config.provider].label}</span></span>
+          <span className="flex items-center gap-3">
+            <span className="font-mono text-slate-600 truncate max-w-[12rem]">{config.apiBase || PROVIDERS[config.provider].selfHostedApi(name)}</span>
+            <button type="button" onClick={() => remove(name)} className="text-slate-600 hover:text-rose-400" title="Remove"><Trash2 className="w-3.5 h-3.5" /></button>
+          </span>
+        </div>
+      ))}
+      {Object.keys(hosts).length === 0 && <p className="text-slate-500 italic">No self-hosted instances yet. gitlab.com, bitbucket.org and codeberg.org work out of the box.</p>}
+      <form onSubmit={add} className="flex flex-wrap gap-2">
+        <input type="text" placeholder="git.example.com" value={host} onChange={(e) => setHost(e.target.value)} className="flex-1 min-w-[8rem] bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-200 font-mono outline-none" />
+        <select value={provider} onChange={(e) => setProvider(e.target.value)} className="bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-300">
+          {SELF_HOSTABLE.map(p => <option key={p.id} value={p.id}>{p.id === 'github' ? 'GitHub Enterprise' : p.label}</option>)}
+        </select>
+        <input type="text" placeholder="API base (optional)" value={apiBase} onChange={(e) => setApiBase(e.target.value)} className="flex-1 min-w-[8rem] bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-200 font-mono outline-none" />
+        <button type="submit" className="flex items-center gap-1 border border-slate-700 hover:border-emerald-500/50 text-slate-300 rounded px-2 py-1"><Plus className="w-3 h-3" /> Add</button>
+      </form>
+    </div>
+  );
+}
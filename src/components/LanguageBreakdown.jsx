@@ -0,0 +1,25 @@
+import React from 'react';
+import { Cpu } from 'lucide-react';
+
+// --- Language Breakdown (replaces the old TypeScript/JavaScript badge) ---
+export default function LanguageBreakdown({ languages, isTs }) {
+  if (!languages) return <div className="flex items-center gap-2"><Cpu className="w-3 h-3" /> {isTs ? 'TypeScript' : 'JavaScript'}</div>;
+  if (!languages.breakdown.length) return <div className="col-span-2 flex items-center gap-2"><Cpu className="w-3 h-3" /> No source code detected</div>;
+  const shown = languages.breakdown.slice(0, 6);
+
+  return (
+    <div className="col-span-2 mt-1">
+      <div className="flex h-2 rounded-full overflow-hidden bg-slate-800" title={languages.source === 'host' ? 'Byte counts reported by the host' : 'Estimated from file extensions'}>
+        {languages.breakdown.map(lang => (
+          <div key={lang.name} style={{ width: `${lang.share * 100}%`, backgroundColor: lang.color }} title={`${lang.name} ${(lang.share * 100).toFixed(1)}%`}></div>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-[11px]">
+        {shown.map(lang => (
+          <span key={lang.name} className="flex items-center gap-1.5"><span className="w-2 h-2 rounded-full" style={{ backgroundColor: lang.color }}></span><span className="text-slate-300">{lang.name}</span> {(lang.share * 100).toFixed(1)}%</span>
+        ))}
+        {languages.breakdown.length > shown.length && <span className="text-slate-600">+{languages.breakdown.length - shown.length} more</span>}
+      </div>
+    </div>
+  );
+}
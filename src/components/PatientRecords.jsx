@@ -0,0 +1,149 @@
+import React, { useEffect, useState } from 'react';
+import { ClipboardList, TrendingUp, GitCompare, Trash2, ArrowLeft, Plus, Minus } from 'lucide-react';
+import { diffDiagnoses } from '../core/index.js';
+import { deleteRecord, listPatients, listRecords } from '../records/store.js';
+
+// --- Patient Records: score trend + scan diff ---
+const formatDate = (ts) => new Date(ts).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const ScoreChart = ({ records }) => {
+  const width = 560;
+  const height = 160;
+  const pad = 24;
+  const x = (i) => (records.length === 1 ? width / 2 : pad + (i * (width - pad * 2)) / (records.length - 1));
+  const y = (score) => height - pad - (score / 100) * (height - pad * 2);
+  const points = records.map((r, i) => `${x(i)},${y(r.score)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40">
+      {[50, 80].map(t => (
+        <g key={t}>
+          <line x1={pad} x2={width - pad} y1={y(t)} y2={y(t)} className="stroke-slate-800" strokeDasharray="4 4" />
+          <text x={4} y={y(t) + 3} className="fill-slate-600 text-[9px] font-mono">{t}</text>
+        </g>
+      ))}
+      <polyline points={points} fill="none" className="stroke-emerald-400" strokeWidth="2" />
+      {records.map((r, i) => (
+        <circle key={r.id} cx={x(i)} cy={y(r.score)} r="4" className={r.color.replace('text', 'fill')}>
+          <title>{`${formatDate(r.timestamp)}: ${r.score} (${r.status})`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const RxList = ({ items, tone, icon: Icon }) => (
+  <ul className="space-y-1">
+    {items.map((rx, i) => (
+      <li key={i} className={`flex items-start gap-2 text-xs ${tone}`}>
+        <Icon className="w-3 h-3 mt-0.5 shrink-0" />
+        <span><span className="font-mono opacity-60">{rx.id}</span> {rx.title}</span>
+      </li>
+    ))}
+    {items.length === 0 && <li className="text-xs text-slate-600 italic">None</li>}
+  </ul>
+);
+
+export default function PatientRecords({ initialPatient = null, onClose }) {
+  const [patients, setPatients] = useState([]);
+  const [patient, setPatient] = useState(initialPatient);
+  const [records, setRecords] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    listPatients().then(setPatients).catch(err => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    if (!patient) return;
+    listRecords(patient)
+      .then(list => {
+        setRecords(list);
+        setSelected(list.slice(-2).map(r => r.id));
+      })
+      .catch(err => setError(err.message));
+  }, [patient]);
+
+  const toggle = (id) => setSelected(prev => (prev.includes(id) ? prev.filter(s => s !== id) : [...prev.slice(-1), id]));
+
+  const remove = (id) => {
+    deleteRecord(id)
+      .then(() => {
+        setRecords(prev => prev.filter(r => r.id !== id));
+        setSelected(prev => prev.filter(s => s !== id));
+      })
+      .catch(err => setError(err.message));
+  };
+
+  const [older, newer] = records.filter(r => selected.includes(r.id));
+  const diff = older && newer ? diffDiagnoses(older, newer) : null;
+
+  return (
+    <div className="w-full bg-slate-900/50 border border-slate-800 rounded-2xl p-8 backdrop-blur-sm animate-in fade-in duration-500 max-h-[80vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-white flex items-center gap-2"><ClipboardList className="w-6 h-6 text-emerald-400" /> Patient Records</h2>
+        <div className="flex gap-2">
+          {patient && <button onClick={() => setPatient(null)} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1 flex items-center gap-1"><ArrowLeft className="w-3 h-3" /> All patients</button>}
+          <button onClick={onClose} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1">Close</button>
+        </div>
+      </div>
+      {error && <p className="text-rose-400 text-sm mb-4">{error}</p>}
+
+      {!patient && (
+        <div className="space-y-2">
+          {patients.map(p => (
+            <button key={p.patient} onClick={() => setPatient(p.patient)} className="w-full flex items-center justify-between p-3 rounded-lg border border-slate-800 hover:border-emerald-500/40 hover:bg-slate-800/40 transition-colors text-left">
+              <div className="flex flex-col">
+                <span className="font-mono text-slate-200">{p.name}</span>
+                <span className="text-[11px] text-slate-500">{p.source} · {p.scans} scan{p.scans === 1 ? '' : 's'} · last {formatDate(p.last.timestamp)}</span>
+              </div>
+              <span className={`text-2xl font-bold ${p.last.color}`}>{p.last.score}</span>
+            </button>
+          ))}
+          {patients.length === 0 && <p className="text-slate-500 italic text-sm">No records yet. Every diagnosis is filed here automatically.</p>}
+        </div>
+      )}
+
+      {patient && (
+        <div className="space-y-6">
+          <div>
+            <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-2 flex items-center gap-2"><TrendingUp className="w-4 h-4 text-emerald-400" /> {records[0] ? records[0].name : patient}</h3>
+            {records.length > 0 && <ScoreChart records={records} />}
+          </div>
+
+          <div className="space-y-1">
+            {[...records].reverse().map(r => (
+              <div key={r.id} className="flex items-center justify-between text-sm p-2 rounded hover:bg-slate-800/50">
+                <label className="flex items-center gap-3 cursor-pointer">
+                  <input type="checkbox" className="accent-emerald-500" checked={selected.includes(r.id)} onChange={() => toggle(r.id)} />
+                  <span className="text-slate-300">{formatDate(r.timestamp)}</span>
+                  <span className="font-mono text-xs text-slate-500">{r.branch || ''}{r.commit ? `@${r.commit.slice(0, 7)}` : ''}</span>
+                </label>
+                <div className="flex items-center gap-3">
+                  <span className={`font-bold ${r.color}`}>{r.score}</span>
+                  <span className="text-xs text-slate-500 w-20">{r.status}</span>
+                  <button onClick={() => remove(r.id)} className="text-slate-600 hover:text-rose-400" title="Delete record"><Trash2 className="w-3.5 h-3.5" /></button>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {diff && (
+            <div className="border-t border-slate-800 pt-4">
+              <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-3 flex items-center gap-2">
+                <GitCompare className="w-4 h-4 text-blue-400" /> {formatDate(older.timestamp)} → {formatDate(newer.timestamp)}
+                <span className={`ml-auto font-bold ${diff.scoreDelta > 0 ? 'text-emerald-400' : diff.scoreDelta < 0 ? 'text-rose-400' : 'text-slate-500'}`}>{diff.scoreDelta > 0 ? '+' : ''}{diff.scoreDelta}</span>
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div><p className="text-xs font-bold text-emerald-500 uppercase tracking-wider mb-2">Resolved ({diff.resolved.length})</p><RxList items={diff.resolved} tone="text-emerald-300/80" icon={Minus} /></div>
+                <div><p className="text-xs font-bold text-rose-400 uppercase tracking-wider mb-2">New ({diff.added.length})</p><RxList items={diff.added} tone="text-rose-300/80" icon={Plus} /></div>
+              </div>
+            </div>
+          )}
+          {!diff && records.length > 1 && <p className="text-xs text-slate-500">Tick two scans to compare them.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
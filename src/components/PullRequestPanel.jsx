@@ -0,0 +1,28 @@
+import React from 'react';
+import { GitPullRequest, Plus, Minus, ExternalLink } from 'lucide-react';
+
+// --- Pull Request Delta: base vs head ---
+export default function PullRequestPanel({ pullRequest: pr, score }) {
+  if (!pr) return null;
+  const tone = pr.scoreDelta > 0 ? 'text-emerald-400' : pr.scoreDelta < 0 ? 'text-rose-400' : 'text-slate-500';
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-6 backdrop-blur-sm">
+      <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-3 flex items-center gap-2"><GitPullRequest className="w-4 h-4 text-violet-400" /> Pull Request #{pr.number}</h3>
+      <a href={pr.url} target="_blank" rel="noreferrer" className="text-sm text-slate-200 hover:text-white flex items-start gap-1">{pr.title} <ExternalLink className="w-3 h-3 mt-1 shrink-0 text-slate-500" /></a>
+      <p className="text-[11px] text-slate-500 mt-1">{pr.state} · <span className="font-mono">{pr.base.ref}</span> ← <span className="font-mono">{pr.head.repo !== pr.base.repo ? `${pr.head.repo}:` : ''}{pr.head.ref}</span></p>
+
+      <div className="flex items-center justify-between mt-4">
+        <div className="text-center"><p className="text-2xl font-bold text-slate-300">{pr.base.score}</p><p className="text-[10px] text-slate-500 uppercase">base</p></div>
+        <span className={`text-xl font-bold ${tone}`}>{pr.scoreDelta > 0 ? '+' : ''}{pr.scoreDelta}</span>
+        <div className="text-center"><p className="text-2xl font-bold text-white">{score}</p><p className="text-[10px] text-slate-500 uppercase">head</p></div>
+      </div>
+
+      <ul className="mt-4 space-y-1">
+        {pr.introduced.map((rx, i) => <li key={`in-${i}`} className="flex items-start gap-2 text-xs text-rose-300/80"><Plus className="w-3 h-3 mt-0.5 shrink-0" /> Introduces {rx.title}</li>)}
+        {pr.fixed.map((rx, i) => <li key={`fx-${i}`} className="flex items-start gap-2 text-xs text-emerald-300/80"><Minus className="w-3 h-3 mt-0.5 shrink-0" /> Fixes {rx.title}</li>)}
+        {pr.introduced.length === 0 && pr.fixed.length === 0 && <li className="text-xs text-slate-600 italic">No prescriptions change.</li>}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,46 @@
+import React, { useEffect, useState } from 'react';
+import { Clock } from 'lucide-react';
+import { fetchRateLimit } from '../core/index.js';
+
+// --- Rate Limit Status: quota left and a live reset countdown ---
+const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(total / 60);
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export default function RateLimitStatus({ hit, token }) {
+  const [limits, setLimits] = useState(hit);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (hit && hit.limit) return;
+    // No headers came with the error (proxy, mock server...): ask GitHub directly, it's free.
+    fetchRateLimit({ token }).then(result => setLimits(prev => ({ ...result, ...prev, ...(prev && prev.reset ? {} : { reset: result.reset }) }))).catch(() => {});
+  }, [hit, token]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!limits) return null;
+  const left = limits.reset ? limits.reset - now : 0;
+  const used = limits.limit ? (limits.limit - limits.remaining) / limits.limit : 1;
+
+  return (
+    <div className="space-y-2">
+      {limits.limit > 0 && (
+        <>
+          <div className="flex justify-between text-xs text-slate-400"><span>{limits.remaining} / {limits.limit} requests left</span><span className="font-mono text-slate-500">{limits.resource}</span></div>
+          <div className="h-1.5 rounded-full bg-slate-800 overflow-hidden"><div className="h-full bg-amber-500" style={{ width: `${Math.min(100, used * 100)}%` }}></div></div>
+        </>
+      )}
+      {limits.reset > 0 && (
+        <p className={`flex items-center gap-2 text-sm font-mono ${left > 0 ? 'text-amber-400' : 'text-emerald-400'}`}>
+          <Clock className="w-4 h-4" /> {left > 0 ? `${hit && hit.code === 'ABUSE' ? 'Retry in' : 'Resets in'} ${formatCountdown(left)}` : 'Quota restored. Retry now.'}
+        </p>
+      )}
+    </div>
+  );
+}
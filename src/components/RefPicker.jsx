@@ -0,0 +1,40 @@
+import React, { useEffect, useState } from 'react';
+import { GitBranch } from 'lucide-react';
+import { listGithubRefs } from '../core/index.js';
+
+// --- Ref Picker: re-diagnose another branch or tag of the same repo ---
+export default function RefPicker({ meta, apiBase, token, onPick }) {
+  const [refs, setRefs] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+    listGithubRefs({ owner: meta.owner, repo: meta.repo }, { token, apiBase })
+      .then(result => { if (isMounted) setRefs(result); })
+      .catch(() => { if (isMounted) setRefs({ branches: [], tags: [] }); });
+    return () => { isMounted = false; };
+  }, [meta.owner, meta.repo, apiBase, token]);
+
+  const current = meta.branch || meta.defaultBranch;
+  const known = refs ? [...refs.branches, ...refs.tags] : [];
+
+  return (
+    <label className="mt-3 flex items-center gap-2 text-xs text-slate-500">
+      <GitBranch className="w-3 h-3" />
+      <select
+        value={current}
+        disabled={!refs}
+        onChange={(e) => onPick(e.target.value)}
+        className="bg-slate-950 border border-slate-700 rounded px-2 py-1 font-mono text-slate-300 max-w-[14rem] outline-none focus:border-emerald-500/50"
+      >
+        {!known.includes(current) && <option value={current}>{current}</option>}
+        {refs && refs.branches.length > 0 && (
+          <optgroup label="Branches">{refs.branches.map(name => <option key={`b-${name}`} value={name}>{name}{name === meta.defaultBranch ? ' (default)' : ''}</option>)}</optgroup>
+        )}
+        {refs && refs.tags.length > 0 && (
+          <optgroup label="Tags">{refs.tags.map(name => <option key={`t-${name}`} value={name}>{name}</option>)}</optgroup>
+        )}
+      </select>
+      {!refs && <span>loading refs...</span>}
+    </label>
+  );
+}
@@ -0,0 +1,45 @@
+import React from 'react';
+import { Cpu, CheckCircle, XCircle } from 'lucide-react';
+
+// --- Scanner Log: the pipeline's real progress events (see core/progress.js) ---
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+const stageDetail = (stage) => [
+  stage.requests ? plural(stage.requests, 'request') : null,
+  stage.files ? `${plural(stage.files, 'file')} read` : null,
+  stage.rules ? `${plural(stage.rules, 'rule')}, ${plural(stage.findings, 'finding')}` : null
+].filter(Boolean).join(', ');
+
+const Spinner = () => <div className="w-3 h-3 border-2 border-t-transparent border-emerald-400 rounded-full animate-spin shrink-0"></div>;
+
+export default function ScanLog({ progress, subject, onCancel }) {
+  const { stages } = progress;
+  const done = stages.filter(s => s.state === 'done').length;
+
+  return (
+    <div className="w-full max-w-xl bg-black/50 border border-slate-800 rounded-lg p-8 font-mono relative overflow-hidden">
+      <div className="absolute inset-0 bg-[linear-gradient(rgba(18,16,16,0)_50%,rgba(0,0,0,0.25)_50%),linear-gradient(90deg,rgba(255,0,0,0.06),rgba(0,255,0,0.02),rgba(0,0,255,0.06))] z-20 bg-[length:100%_4px,3px_100%] pointer-events-none"></div>
+      <div className="space-y-4 relative z-30">
+        <div className="flex items-center justify-between border-b border-slate-800 pb-4 mb-6">
+          <span className="text-emerald-500 font-bold tracking-widest uppercase flex items-center gap-2"><div className="w-2 h-2 bg-red-500 rounded-full animate-pulse"></div> Dr. Vibe Analyzing...</span>
+          <Cpu className="w-5 h-5 text-slate-500 animate-spin-slow" />
+        </div>
+        <div className="h-48 flex flex-col justify-end space-y-2 overflow-hidden">
+          {stages.length === 0 && <div className="flex items-center gap-3 text-emerald-400"><Spinner /> {subject}</div>}
+          {stages.map(stage => (
+            <div key={stage.key} className={`flex items-center gap-3 transition-all duration-300 ${stage.state === 'done' ? 'text-slate-500' : 'text-emerald-400'}`}>
+              {stage.state === 'done' ? <CheckCircle className="w-3 h-3 text-emerald-500/50 shrink-0" /> : <Spinner />}
+              <span className="truncate">{stage.label}</span>
+              <span className="ml-auto text-[10px] text-slate-600 whitespace-nowrap">{stageDetail(stage)}</span>
+            </div>
+          ))}
+        </div>
+        <div className="w-full bg-slate-900 h-1 mt-6 rounded-full overflow-hidden"><div className="h-full bg-emerald-500 transition-all duration-300 ease-out" style={{ width: `${(done / (stages.length + 1)) * 100}%` }}></div></div>
+        <div className="flex items-center justify-between text-[10px] text-slate-500">
+          <span>{plural(progress.requests, 'request')}{progress.cached ? ` (${progress.cached} cached)` : ''}, {plural(progress.files, 'file')} read, {plural(progress.rules, 'rule')}</span>
+          <button onClick={onCancel} className="flex items-center gap-1 text-slate-400 hover:text-white transition-colors border border-slate-700 rounded px-2 py-0.5"><XCircle className="w-3 h-3" /> Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+}
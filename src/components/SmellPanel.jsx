@@ -0,0 +1,40 @@
+import React from 'react';
+import { Microscope, Bug, ListTodo, FileText, Ruler, Layers, Type } from 'lucide-react';
+
+// --- Code Smell Panel ---
+const baseName = (path) => path.split('/').pop();
+
+const Smell = ({ icon: Icon, label, value, detail, alert }) => (
+  <div className="flex items-center justify-between text-sm">
+    <span className="flex items-center gap-2 text-slate-400"><Icon className="w-3.5 h-3.5" /> {label}</span>
+    <span className="text-right">
+      <span className={`font-mono font-bold ${alert ? 'text-amber-400' : 'text-slate-200'}`}>{value}</span>
+      {detail && <span className="block text-[10px] text-slate-600 truncate max-w-[12rem]" title={detail}>{detail}</span>}
+    </span>
+  </div>
+);
+
+export default function SmellPanel({ smells }) {
+  if (!smells) return null;
+  const { debug, todos, longFiles, longFunctions, generic, limits } = smells;
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-6 backdrop-blur-sm">
+      <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-4 flex items-center gap-2"><Microscope className="w-4 h-4 text-violet-400" /> Code Smells</h3>
+
+      <div className="flex items-baseline justify-between">
+        <span className="text-3xl font-bold text-slate-200">{smells.sampled}<span className="text-lg text-slate-500"> / {smells.candidates}</span></span>
+        <span className="text-xs text-slate-500">files sampled, {smells.lines.toLocaleString()} lines</span>
+      </div>
+
+      <div className="mt-4 pt-4 border-t border-slate-800 space-y-3">
+        <Smell icon={Bug} label="Debug statements" value={debug.count} detail={debug.worst[0] && `most in ${baseName(debug.worst[0].path)}`} alert={debug.count >= 3} />
+        <Smell icon={ListTodo} label="TODO / 1000 lines" value={todos.per1000} detail={`${todos.count} marker${todos.count === 1 ? '' : 's'}`} alert={todos.count >= 5 && todos.per1000 >= 5} />
+        <Smell icon={FileText} label={`Files > ${limits.longFile} lines`} value={longFiles.length} detail={longFiles[0] && `${baseName(longFiles[0].path)}, ${longFiles[0].lines} lines`} alert={longFiles.length > 0} />
+        <Smell icon={Ruler} label={`Functions > ${limits.longFunction} lines`} value={longFunctions.length} detail={longFunctions[0] && `${longFunctions[0].name}, ${longFunctions[0].length} lines`} alert={longFunctions.length > 0} />
+        <Smell icon={Layers} label="Deepest nesting" value={smells.maxNesting} detail={`limit ${limits.nesting}`} alert={smells.maxNesting > limits.nesting} />
+        <Smell icon={Type} label="Generic names" value={generic.count} detail={generic.names.length ? generic.names.join(', ') : null} alert={generic.count >= 5} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { Key, Lock, Unlock, ShieldCheck, ShieldAlert, Trash2 } from 'lucide-react';
+import { PROVIDERS, PRIVATE_REPO_SCOPES, checkToken, resolveSource } from '../core/index.js';
+
+// --- Access Tokens: one per host, checked against the host's API ---
+const STORAGE_MODES = {
+  session: 'This session only',
+  plain: 'Remember in this browser',
+  encrypted: 'Remember, encrypted with a passphrase'
+};
+
+const CheckResult = ({ result }) => {
+  if (!result) return null;
+  if (result.error) return <p className="text-rose-400 pl-5">{result.error}</p>;
+  if (result.checking) return <p className="text-slate-500 pl-5">Checking...</p>;
+  const { login, scopes, expiresAt, rateLimit, canReadPrivate, provider } = result;
+  return (
+    <div className="pl-5 space-y-0.5 text-slate-500">
+      <p className="flex items-center gap-1.5 text-emerald-400"><ShieldCheck className="w-3 h-3" /> Valid{login ? `, signed in as ${login}` : ''}{expiresAt ? ` (expires ${new Date(expiresAt).toLocaleDateString()})` : ''}</p>
+      <p>Scopes: <span className="font-mono text-slate-400">{scopes ? (scopes.join(', ') || 'none') : 'not reported (fine-grained token)'}</span></p>
+      {canReadPrivate === false && <p className="flex items-center gap-1.5 text-amber-400"><ShieldAlert className="w-3 h-3" /> Public repositories only. Private ones need the '{PRIVATE_REPO_SCOPES[provider][0]}' scope.</p>}
+      {rateLimit && <p>API quota: <span className="font-mono text-slate-400">{rateLimit.remaining}/{rateLimit.limit}</span>, resets {new Date(rateLimit.reset).toLocaleTimeString()}</p>}
+    </div>
+  );
+};
+
+export default function TokenSettings({ hosts, vault, onSave, onUnlock, onForget }) {
+  const [drafts, setDrafts] = useState(vault.tokens);
+  const [mode, setMode] = useState(vault.mode);
+  const [passphrase, setPassphrase] = useState('');
+  const [results, setResults] = useState({});
+  const [message, setMessage] = useState(null);
+
+  const known = [...Object.values(PROVIDERS).map(p => p.host), ...Object.keys(hosts)];
+  const rows = [...new Set([...known, ...Object.keys(drafts)])];
+
+  const check = async (host) => {
+    setResults(prev => ({ ...prev, [host]: { checking: true } }));
+    try {
+      const { provider, apiBase } = resolveSource(`${host}/-/-`, { hosts });
+      const result = await checkToken({ provider: provider.id, token: drafts[host].trim(), apiBase });
+      setResults(prev => ({ ...prev, [host]: { ...result, provider: provider.id } }));
+    } catch (err) {
+      setResults(prev => ({ ...prev, [host]: { error: err.message === "RATELIMIT" ? "Rate limited; try again later." : err.message } }));
+    }
+  };
+
+  const remove = (host) => {
+    const next = { ...drafts };
+    delete next[host];
+    setDrafts(next);
+  };
+
+  const edit = (host, value) => {
+    setDrafts(prev => ({ ...prev, [host]: value }));
+    setResults(prev => ({ ...prev, [host]: null }));
+  };
+
+  const save = async (e) => {
+    e.preventDefault();
+    const tokens = Object.fromEntries(Object.entries(drafts).map(([host, token]) => [host, token.trim()]).filter(([, token]) => token));
+    try {
+      await onSave({ tokens, mode, passphrase: passphrase || null });
+      setPassphrase('');
+      setMessage({ ok: true, text: mode === 'session' ? 'Tokens set for this session.' : 'Tokens saved.' });
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  };
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    try {
+      const tokens = await onUnlock(passphrase);
+      setDrafts(tokens);
+      setPassphrase('');
+      setMessage(null);
+    } catch (err) {
+      setMessage({ ok: false, text: err.message });
+    }
+  };
+
+  if (vault.locked) {
+    return (
+      <form onSubmit={unlock} className="mt-3 bg-slate-900/50 border border-slate-800 rounded-xl p-4 space-y-3 text-xs">
+        <p className="flex items-center gap-2 text-slate-300"><Lock className="w-3 h-3 text-amber-400" /> Your saved tokens are encrypted. Enter the passphrase to use them.</p>
+        <div className="flex gap-2">
+          <input type="password" placeholder="Passphrase" value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className="flex-1 bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-200 outline-none" />
+          <button type="submit" disabled={!passphrase} className="flex items-center gap-1 border border-slate-700 hover:border-emerald-500/50 disabled:opacity-50 text-slate-300 rounded px-2 py-1"><Unlock className="w-3 h-3" /> Unlock</button>
+          <button type="button" onClick={onForget} className="text-slate-500 hover:text-rose-400" title="Delete the saved tokens">Forget</button>
+        </div>
+        {message && <p className={message.ok ? 'text-emerald-400' : 'text-rose-400'}>{message.text}</p>}
+      </form>
+    );
+  }
+
+  return (
+    <form onSubmit={save} className="mt-3 bg-slate-900/50 border border-slate-800 rounded-xl p-4 space-y-3 text-xs">
+      {rows.map(host => (
+        <div key={host} className="space-y-1">
+          <div className="flex items-center gap-2">
+            <Key className="w-3 h-3 text-slate-500 shrink-0" />
+            <span className="font-mono text-slate-300 w-32 truncate" title={host}>{host}</span>
+            <input type="password" autoComplete="off" placeholder="No token" value={drafts[host] || ''} onChange={(e) => edit(host, e.target.value)} className="flex-1 min-w-0 bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-200 font-mono outline-none" />
+            <button type="button" disabled={!(drafts[host] || '').trim()} onClick={() => check(host)} className="border border-slate-700 hover:border-emerald-500/50 disabled:opacity-50 text-slate-300 rounded px-2 py-1">Check</button>
+            {!known.includes(host) && <button type="button" onClick={() => remove(host)} className="text-slate-600 hover:text-rose-400" title="Remove"><Trash2 className="w-3.5 h-3.5" /></button>}
+          </div>
+          <CheckResult result={results[host]} />
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2 pt-3 border-t border-slate-800">
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className="bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-300">
+          {Object.entries(STORAGE_MODES).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        {mode === 'encrypted' && <input type="password" placeholder={vault.mode === 'encrypted' ? 'Passphrase (blank: keep current)' : 'Passphrase'} value={passphrase} onChange={(e) => setPassphrase(e.target.value)} className="flex-1 min-w-[8rem] bg-slate-950 border border-slate-700 rounded px-2 py-1 text-slate-200 outline-none" />}
+        <button type="submit" className="ml-auto bg-emerald-600 hover:bg-emerald-500 text-white font-bold rounded px-3 py-1">Save</button>
+      </div>
+      {mode === 'plain' && <p className="text-amber-400/80">Anything running on this page can read unencrypted tokens. Prefer read-only, short-lived tokens.</p>}
+      {message && <p className={message.ok ? 'text-emerald-400' : 'text-rose-400'}>{message.text}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useState } from 'react';
+import { Syringe, FilePlus, FilePen, Terminal, Download, Copy, Check } from 'lucide-react';
+import { renderPatch, renderScript } from '../core/index.js';
+import { downloadText } from './ExportMenu.jsx';
+
+// --- Treatment Kit: one prescription's fix as a patch or a shell script (see core/treatments.js) ---
+export default function TreatmentKit({ rx, patient }) {
+  const [open, setOpen] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [copyError, setCopyError] = useState('');
+  const { files, commands } = rx.fix;
+  const base = `drvibe-${patient.replace(/[^\w.-]+/g, '-')}-${rx.id}`;
+
+  const patch = () => renderPatch(rx.fix, { title: patient });
+  const script = () => renderScript(rx.fix, { title: patient });
+
+  // The clipboard can refuse (no permission, page not focused); the downloads still work then.
+  const copyScript = () => {
+    setCopyError('');
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(script()))
+      .then(() => {
+        setCopied(true);
+        setTimeout(() => setCopied(false), 1500);
+      })
+      .catch(err => setCopyError(`Couldn't copy the script (${err.message}). Download the .sh instead.`));
+  };
+
+  if (!open) {
+    return <button onClick={() => setOpen(true)} className="mt-2 ml-2 text-xs text-emerald-400 hover:text-emerald-300 border border-emerald-900/50 hover:border-emerald-500/50 rounded px-2 py-1 inline-flex items-center gap-1 align-top"><Syringe className="w-3 h-3" /> Prepare treatment</button>;
+  }
+
+  return (
+    <div className="mt-3 bg-slate-950/60 border border-slate-800 rounded-lg p-3 text-xs space-y-2 max-w-xl">
+      <ul className="space-y-1 font-mono">
+        {files.map(file => (
+          <li key={file.path} className="flex items-center gap-2 text-slate-300">
+            {'content' in file ? <FilePlus className="w-3 h-3 text-emerald-400 shrink-0" /> : <FilePen className="w-3 h-3 text-amber-400 shrink-0" />}
+            {file.path} <span className="text-slate-600">{'content' in file ? 'new' : `+${(file.append.match(/\n/g) || []).length} lines`}</span>
+          </li>
+        ))}
+        {commands.map(command => (
+          <li key={command} className="flex items-center gap-2 text-slate-400"><Terminal className="w-3 h-3 text-slate-500 shrink-0" /> <span className="truncate" title={command}>{command}</span></li>
+        ))}
+      </ul>
+      <details>
+        <summary className="cursor-pointer text-slate-500 hover:text-slate-300">Preview patch</summary>
+        <pre className="mt-2 max-h-64 overflow-auto bg-black/40 rounded p-2 text-[11px] text-slate-400 whitespace-pre">{patch()}</pre>
+      </details>
+      <div className="flex flex-wrap gap-2 pt-1">
+        <button onClick={() => downloadText(patch(), `${base}.patch`, 'text/x-diff')} className="border border-slate-700 hover:border-emerald-500/50 text-slate-300 rounded px-2 py-1 flex items-center gap-1"><Download className="w-3 h-3" /> .patch</button>
+        <button onClick={() => downloadText(script(), `${base}.sh`, 'application/x-sh')} className="border border-slate-700 hover:border-emerald-500/50 text-slate-300 rounded px-2 py-1 flex items-center gap-1"><Download className="w-3 h-3" /> .sh</button>
+        <button onClick={copyScript} className="border border-slate-700 hover:border-emerald-500/50 text-slate-300 rounded px-2 py-1 flex items-center gap-1">{copied ? <Check className="w-3 h-3 text-emerald-400" /> : <Copy className="w-3 h-3" />} {copied ? 'Copied!' : 'Copy script'}</button>
+        <button onClick={() => setOpen(false)} className="ml-auto text-slate-500 hover:text-white">Close</button>
+      </div>
+      {copyError && <p className="text-rose-400">{copyError}</p>}
+      {commands.length > 0 && <p className="text-slate-500">A patch can't untrack files: run the commands listed in its header after <span className="font-mono">git apply</span>, or use the script.</p>}
+    </div>
+  );
+}
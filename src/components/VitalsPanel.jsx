@@ -0,0 +1,56 @@
+import React from 'react';
+import { HeartPulse, GitCommit, Users, CircleDot, GitPullRequest, Tag, Archive } from 'lucide-react';
+import { STALE_PR_DAYS } from '../core/index.js';
+
+// --- Vital Signs Panel ---
+const ago = (days) => {
+  if (days === null || days === undefined) return 'unknown';
+  if (days < 1) return 'today';
+  if (days < 60) return `${days}d ago`;
+  if (days < 730) return `${Math.floor(days / 30)}mo ago`;
+  return `${Math.floor(days / 365)}y ago`;
+};
+
+const pulseColor = (days) => days === null ? 'text-slate-500' : days < 90 ? 'text-emerald-400' : days < 180 ? 'text-amber-400' : 'text-rose-400';
+
+const Vital = ({ icon: Icon, label, value, detail, alert }) => (
+  <div className="flex items-center justify-between text-sm">
+    <span className="flex items-center gap-2 text-slate-400"><Icon className="w-3.5 h-3.5" /> {label}</span>
+    <span className="text-right">
+      <span className={`font-mono font-bold ${alert ? 'text-amber-400' : 'text-slate-200'}`}>{value}</span>
+      {detail && <span className="block text-[10px] text-slate-600">{detail}</span>}
+    </span>
+  </div>
+);
+
+export default function VitalsPanel({ vitals }) {
+  if (!vitals) return null;
+  const { commits, busFactor, issues, pulls, releases } = vitals;
+
+  return (
+    <div className="bg-slate-900/50 border border-slate-800 rounded-2xl p-6 backdrop-blur-sm">
+      <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-4 flex items-center gap-2"><HeartPulse className="w-4 h-4 text-rose-400" /> Vital Signs</h3>
+
+      <div className="flex items-baseline justify-between">
+        <span className={`text-3xl font-bold ${pulseColor(vitals.daysSinceActivity)}`}>{ago(vitals.daysSinceActivity)}</span>
+        <span className="text-xs text-slate-500">last activity</span>
+      </div>
+      {vitals.archived && <p className="mt-2 text-xs text-amber-400 flex items-center gap-1.5"><Archive className="w-3 h-3" /> Archived by its owners</p>}
+
+      <div className="mt-4 pt-4 border-t border-slate-800 space-y-3">
+        <Vital icon={GitCommit} label="Commits / week" value={commits.perWeek} detail={`${commits.last90Days} in the last 90 days`} />
+        {busFactor && <Vital icon={Users} label="Bus factor" value={`${Math.round(busFactor.share * 100)}%`} detail={`${busFactor.topAuthor}, of ${commits.sampled} commits by ${busFactor.authors} author${busFactor.authors === 1 ? '' : 's'}`} alert={commits.sampled >= 20 && busFactor.share >= 0.8} />}
+        {issues && <Vital icon={CircleDot} label="Open issues" value={`${issues.open} / ${issues.open + issues.closed}`} detail={`${Math.round(issues.openRatio * 100)}% still open`} alert={issues.openRatio > 0.5} />}
+        {pulls && <Vital icon={GitPullRequest} label="Stale PRs" value={`${pulls.stale} / ${pulls.open}`} detail={`untouched for ${STALE_PR_DAYS}+ days`} alert={pulls.stale >= 5} />}
+        {releases && (
+          <Vital
+            icon={Tag}
+            label="Releases"
+            value={releases.count ? ago(releases.daysSinceLast) : 'none'}
+            detail={releases.cadenceDays !== null ? `every ~${Math.round(releases.cadenceDays)} days (last ${releases.count})` : releases.count ? `${releases.count} release` : null}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { LayoutGrid, Play, ArrowUpDown, Loader2, XCircle } from 'lucide-react';
+import { diagnoseWard, listOwnerRepos, parseWardInput, wardMatrix } from '../core/index.js';
+import { saveRecord } from '../records/store.js';
+
+// --- The Ward: compare several repositories side by side ---
+const SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  score: (a, b) => (a.diagnosis ? a.diagnosis.score : -1) - (b.diagnosis ? b.diagnosis.score : -1),
+  prescriptions: (a, b) => (a.diagnosis ? a.diagnosis.prescriptions.length : -1) - (b.diagnosis ? b.diagnosis.prescriptions.length : -1),
+  critical: (a, b) => countCritical(a) - countCritical(b)
+};
+
+const countCritical = (row) => (row.diagnosis ? row.diagnosis.prescriptions.filter(rx => rx.severity === 'critical').length : -1);
+
+export default function Ward({ token, scanOptions, onOpen, onClose, onRateLimit }) {
+  const [input, setInput] = useState('');
+  const [rows, setRows] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [sort, setSort] = useState({ key: 'score', dir: 1 });
+
+  const run = async (e) => {
+    e.preventDefault();
+    const { repos, owners } = parseWardInput(input);
+    if (!repos.length && !owners.length) return;
+    setError('');
+    setRunning(true);
+    try {
+      const names = [...repos];
+      for (const owner of owners) {
+        setStatus(`Listing ${owner}'s repositories...`);
+        names.push(...(await listOwnerRepos(owner, { token })));
+      }
+      const unique = [...new Set(names)];
+      setRows(unique.map(name => ({ name, diagnosis: null, error: null, pending: true })));
+      setStatus(`Diagnosing ${unique.length} patients...`);
+
+      const results = await diagnoseWard(unique, {
+        ...scanOptions,
+        token,
+        onResult: (row) => {
+          if (row.diagnosis) saveRecord(row.diagnosis).catch(() => {});
+          setRows(prev => prev.map(r => (r.name === row.name ? { ...row, pending: false } : r)));
+        }
+      });
+      setStatus('');
+      const limited = results.find(r => r.error === "RATELIMIT" && r.code);
+      if (limited) onRateLimit(limited);
+    } catch (err) {
+      setStatus('');
+      if (err.message === "RATELIMIT") onRateLimit(err);
+      else setError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const toggleSort = (key) => setSort(prev => ({ key, dir: prev.key === key ? -prev.dir : 1 }));
+  const sorted = [...rows].sort((a, b) => SORTS[sort.key](a, b) * sort.dir);
+  const matrix = wardMatrix(rows);
+
+  const Header = ({ id, children, className = '' }) => (
+    <th className={`py-2 px-3 font-medium cursor-pointer select-none hover:text-slate-200 ${className}`} onClick={() => toggleSort(id)}>
+      <span className="inline-flex items-center gap-1">{children} <ArrowUpDown className={`w-3 h-3 ${sort.key === id ? 'text-emerald-400' : 'opacity-30'}`} /></span>
+    </th>
+  );
+
+  return (
+    <div className="w-full bg-slate-900/50 border border-slate-800 rounded-2xl p-8 backdrop-blur-sm animate-in fade-in duration-500 max-h-[80vh] overflow-y-auto">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-white flex items-center gap-2"><LayoutGrid className="w-6 h-6 text-emerald-400" /> The Ward</h2>
+        <button onClick={onClose} className="text-xs text-slate-500 hover:text-white transition-colors border border-slate-700 rounded px-3 py-1">Close</button>
+      </div>
+
+      <form onSubmit={run} className="flex gap-2 mb-2">
+        <textarea rows={2} placeholder="owner/repo, owner/other-repo, or an org/user name to admit all of its repos" className="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-slate-100 placeholder-slate-600 outline-none focus:border-emerald-500/50 font-mono" value={input} onChange={(e) => setInput(e.target.value)} />
+        <button type="submit" disabled={running} className="bg-emerald-500 hover:bg-emerald-400 disabled:opacity-50 text-slate-950 font-bold px-5 rounded-lg flex items-center gap-2">
+          {running ? <Loader2 className="w-4 h-4 animate-spin" /> : <Play className="w-4 h-4" />} Admit
+        </button>
+      </form>
+      <p className="text-[11px] text-slate-500 mb-6">{status || 'Forks and archived repos are skipped when expanding an org. Three scans run at a time.'}</p>
+      {error && <p className="text-rose-400 text-sm mb-4 flex items-center gap-2"><XCircle className="w-4 h-4" /> {error}</p>}
+
+      {rows.length > 0 && (
+        <table className="w-full text-sm mb-8">
+          <thead className="text-xs text-slate-500 uppercase tracking-wider text-left border-b border-slate-800">
+            <tr>
+              <Header id="name">Patient</Header>
+              <Header id="score" className="text-right">Score</Header>
+              <th className="py-2 px-3 font-medium">Status</th>
+              <Header id="critical" className="text-right">Critical</Header>
+              <Header id="prescriptions" className="text-right">Rx</Header>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(row => (
+              <tr key={row.name} onClick={() => row.diagnosis && onOpen(row.diagnosis)} className={`border-b border-slate-800/50 ${row.diagnosis ? 'cursor-pointer hover:bg-slate-800/40' : ''}`}>
+                <td className="py-2 px-3 font-mono text-slate-200">{row.name}</td>
+                {row.diagnosis ? (
+                  <>
+                    <td className={`py-2 px-3 text-right font-bold ${row.diagnosis.color}`}>{row.diagnosis.score}</td>
+                    <td className="py-2 px-3 text-slate-400">{row.diagnosis.status}</td>
+                    <td className="py-2 px-3 text-right text-rose-400">{countCritical(row)}</td>
+                    <td className="py-2 px-3 text-right text-slate-300">{row.diagnosis.prescriptions.length}</td>
+                  </>
+                ) : (
+                  <td colSpan={4} className="py-2 px-3 text-xs">
+                    {row.pending ? <span className="text-slate-500 flex items-center gap-2"><Loader2 className="w-3 h-3 animate-spin" /> In triage...</span> : <span className="text-rose-400">{row.error === "RATELIMIT" ? 'Rate limit hit' : row.error}</span>}
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {matrix.ids.length > 0 && (
+        <div className="overflow-x-auto">
+          <h3 className="text-slate-400 font-medium text-sm uppercase tracking-wider mb-3">Prescription Matrix</h3>
+          <table className="text-xs">
+            <thead>
+              <tr>
+                <th></th>
+                {matrix.ids.map(id => <th key={id} className="px-1 pb-2 font-mono font-normal text-slate-500 align-bottom"><span className="[writing-mode:vertical-rl] rotate-180">{id}</span></th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {sorted.filter(r => r.diagnosis).map(row => (
+                <tr key={row.name}>
+                  <td className="pr-3 py-0.5 font-mono text-slate-400 whitespace-nowrap">{row.name}</td>
+                  {matrix.ids.map(id => {
+                    const count = matrix.cells[row.name][id];
+                    return <td key={id} className="p-0.5"><div title={count ? `${id} ×${count}` : ''} className={`w-5 h-5 rounded-sm text-[10px] flex items-center justify-center ${count ? 'bg-rose-500/60 text-white' : 'bg-slate-800/60'}`}>{count > 1 ? count : ''}</div></td>;
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { normalizeAdvisories } from './index.js';
+
+// --- Advisory files on disk (Node only) ---
+// A single OSV JSON file, or a directory of them such as an unzipped osv.dev ecosystem export.
+export const readAdvisoryPath = (path) => {
+  if (statSync(path).isDirectory()) {
+    return readdirSync(path)
+      .filter(name => name.endsWith('.json'))
+      .flatMap(name => normalizeAdvisories(JSON.parse(readFileSync(join(path, name), 'utf8'))));
+  }
+  return normalizeAdvisories(JSON.parse(readFileSync(path, 'utf8')));
+};
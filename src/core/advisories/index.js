@@ -0,0 +1,130 @@
+import BUNDLED_ADVISORIES from './snapshot.js';
+import { compareVersions } from './versions.js';
+import { normalizePythonName } from '../deps/manifests.js';
+
+// --- Offline Vulnerability Audit (OSV) ---
+export { BUNDLED_ADVISORIES };
+
+const SEVERITY = {
+  CRITICAL: { severity: 'critical', penalty: 40 },
+  HIGH: { severity: 'critical', penalty: 25 },
+  MODERATE: { severity: 'warning', penalty: 10 },
+  MEDIUM: { severity: 'warning', penalty: 10 },
+  LOW: { severity: 'info', penalty: 5 }
+};
+
+const packageKey = (ecosystem, name) => `${ecosystem}:${ecosystem === 'PyPI' ? normalizePythonName(name) : name}`;
+
+// Accepts one OSV record, an array of them, or an osv.dev query response ({ vulns: [...] }).
+export const normalizeAdvisories = (input) => {
+  if (!input) return [];
+  if (Array.isArray(input)) return input.flatMap(normalizeAdvisories);
+  if (Array.isArray(input.vulns)) return input.vulns;
+  if (input.id && Array.isArray(input.affected)) return [input];
+  throw new Error("Not an OSV advisory file.");
+};
+
+export const createAdvisoryIndex = (records) => {
+  const index = new Map();
+  records.forEach(record => (record.affected || []).forEach(affected => {
+    const pkg = affected.package;
+    if (!pkg || !pkg.ecosystem || !pkg.name) return;
+    const key = packageKey(pkg.ecosystem.split(':')[0], pkg.name);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ record, affected });
+  }));
+  return index;
+};
+
+const ORDER = (ev) => ev.introduced ?? ev.fixed ?? ev.last_affected ?? ev.limit;
+
+// Walks the OSV events in version order; returns { hit, fixed } for one range.
+const checkRange = (range, version) => {
+  const events = [...(range.events || [])].sort((a, b) => {
+    const x = ORDER(a);
+    const y = ORDER(b);
+    if (x === '0') return -1;
+    if (y === '0') return 1;
+    return compareVersions(x, y);
+  });
+
+  let hit = false;
+  let fixed = null;
+  events.forEach(ev => {
+    if (ev.introduced !== undefined) {
+      if (ev.introduced === '0' || compareVersions(version, ev.introduced) >= 0) hit = true;
+    } else if (ev.fixed !== undefined) {
+      if (compareVersions(version, ev.fixed) >= 0) hit = false;
+      else if (hit && !fixed) fixed = ev.fixed;
+    } else if (ev.last_affected !== undefined) {
+      if (compareVersions(version, ev.last_affected) > 0) hit = false;
+    } else if (ev.limit !== undefined && ev.limit !== '*') {
+      if (compareVersions(version, ev.limit) >= 0) hit = false;
+    }
+  });
+  return { hit, fixed: hit ? fixed : null };
+};
+
+const isAffected = (affected, version) => {
+  if ((affected.versions || []).includes(version)) return { hit: true, fixed: null };
+  for (const range of affected.ranges || []) {
+    if (range.type === 'GIT') continue;
+    const result = checkRange(range, version);
+    if (result.hit) return result;
+  }
+  return { hit: false, fixed: null };
+};
+
+const severityOf = (record) => {
+  const label = String((record.database_specific && record.database_specific.severity) || '').toUpperCase();
+  return { label: label || 'UNKNOWN', ...(SEVERITY[label] || { severity: 'warning', penalty: 10 }) };
+};
+
+/**
+ * packages: [{ ecosystem, name, version, file }]
+ * Returns one finding per (advisory, package, version).
+ */
+export const matchAdvisories = (index, packages) => {
+  const findings = [];
+  const seen = new Set();
+
+  packages.forEach(pkg => {
+    (index.get(packageKey(pkg.ecosystem, pkg.name)) || []).forEach(({ record, affected }) => {
+      const { hit, fixed } = isAffected(affected, pkg.version);
+      const key = `${record.id}|${pkg.ecosystem}|${pkg.name}|${pkg.version}`;
+      if (!hit || seen.has(key)) return;
+      seen.add(key);
+
+      const reference = (record.references || []).find(r => r.type === 'ADVISORY') || (record.references || [])[0];
+      findings.push({
+        id: record.id,
+        aliases: record.aliases || [],
+        summary: record.summary || record.details || record.id,
+        ...severityOf(record),
+        ecosystem: pkg.ecosystem,
+        name: pkg.name,
+        version: pkg.version,
+        fixed,
+        file: pkg.file,
+        url: reference ? reference.url : `https://osv.dev/vulnerability/${record.id}`
+      });
+    });
+  });
+  return findings;
+};
+
+/**
+ * What to audit from the dependency report: everything the lockfiles resolved, plus the
+ * exact versions go.mod selects (go.sum also lists versions that were never picked) and
+ * ==-pinned Python requirements when no Python lockfile exists.
+ */
+export const auditTargets = ({ resolved = [], declared = [] }) => {
+  const locked = new Set(resolved.map(r => r.ecosystem));
+  return [
+    ...resolved.filter(r => r.ecosystem !== 'Go'),
+    ...declared.filter(d => d.ecosystem === 'Go').map(d => ({ ...d, version: d.spec })),
+    ...declared
+      .filter(d => d.ecosystem === 'PyPI' && !locked.has('PyPI') && d.pin === 'pinned')
+      .map(d => ({ ...d, version: d.spec.replace(/^={2,3}\s*/, '') }))
+  ];
+};
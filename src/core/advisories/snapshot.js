@@ -0,0 +1,27 @@
+// --- Bundled Advisory Snapshot (OSV JSON) ---
+// A small starter set of well-known advisories so the audit works offline out of the box.
+// For real coverage load a full export from https://osv.dev (CLI: --advisories, UI: "Load OSV snapshot").
+const ghsa = (id, aliases, summary, severity, ecosystem, name, ranges) => ({
+  schema_version: '1.4.0',
+  id,
+  aliases,
+  summary,
+  affected: [{
+    package: { ecosystem, name },
+    ranges: [{ type: ecosystem === 'npm' || ecosystem === 'Go' ? 'SEMVER' : 'ECOSYSTEM', events: ranges.flatMap(([introduced, fixed]) => [{ introduced }, { fixed }]) }]
+  }],
+  database_specific: { severity },
+  references: [{ type: 'ADVISORY', url: `https://github.com/advisories/${id}` }]
+});
+
+export default [
+  ghsa('GHSA-35jh-r3h4-6jhm', ['CVE-2021-23337'], "Command Injection in lodash", 'HIGH', 'npm', 'lodash', [['0', '4.17.21']]),
+  ghsa('GHSA-p6mc-m468-83gw', ['CVE-2020-8203'], "Prototype Pollution in lodash", 'HIGH', 'npm', 'lodash', [['0', '4.17.19']]),
+  ghsa('GHSA-xvch-5gv4-984h', ['CVE-2021-44906'], "Prototype Pollution in minimist", 'CRITICAL', 'npm', 'minimist', [['0', '0.2.4'], ['1.0.0', '1.2.6']]),
+  ghsa('GHSA-r683-j2x4-v87g', ['CVE-2022-0235'], "node-fetch forwards secure headers to untrusted sites", 'HIGH', 'npm', 'node-fetch', [['0', '2.6.7'], ['3.0.0', '3.1.1']]),
+  ghsa('GHSA-4w2v-q235-vp99', ['CVE-2020-28168'], "Server-Side Request Forgery in axios", 'MODERATE', 'npm', 'axios', [['0', '0.21.1']]),
+  ghsa('GHSA-j8r2-6x86-q33q', ['CVE-2023-32681'], "Unintended leak of Proxy-Authorization header in requests", 'MODERATE', 'PyPI', 'requests', [['2.3.0', '2.31.0']]),
+  ghsa('GHSA-8q59-q68h-6hv4', ['CVE-2020-14343'], "Improper Input Validation in PyYAML", 'CRITICAL', 'PyPI', 'PyYAML', [['0', '5.4']]),
+  ghsa('GHSA-45x7-px36-x8w8', ['CVE-2023-48795'], "Prefix Truncation Attack against ChaCha20-Poly1305 and Encrypt-then-MAC aka Terrapin", 'MODERATE', 'Go', 'golang.org/x/crypto', [['0', '0.17.0']]),
+  ghsa('GHSA-wcg3-cvx6-7396', ['CVE-2020-26235'], "Segmentation fault in time", 'MODERATE', 'crates.io', 'time', [['0', '0.2.23']])
+];
@@ -0,0 +1,28 @@
+// --- Version Ordering ---
+// One comparator for semver, PEP 440 and RubyGems style versions. Not spec-perfect,
+// but it orders releases, pre-releases (1.0.0-rc1 < 1.0.0) and Go's leading "v" correctly.
+const tokenize = (version) => String(version)
+  .trim()
+  .replace(/^v/, '')
+  .replace(/\+.*$/, '')
+  .split(/[.\-_]/)
+  .flatMap(part => part.match(/\d+|[a-zA-Z]+/g) || [])
+  .map(t => (/^\d+$/.test(t) ? Number(t) : t.toLowerCase()));
+
+export const compareVersions = (a, b) => {
+  const x = tokenize(a);
+  const y = tokenize(b);
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    const p = x[i];
+    const q = y[i];
+    if (p === q) continue;
+    // A missing token beats a pre-release tag (1.0 > 1.0rc1) but loses to a number (1.0 < 1.0.1).
+    if (p === undefined) return typeof q === 'string' ? 1 : -1;
+    if (q === undefined) return typeof p === 'string' ? -1 : 1;
+    if (typeof p === 'number' && typeof q === 'number') return p < q ? -1 : 1;
+    if (typeof p === 'number') return 1;
+    if (typeof q === 'number') return -1;
+    return p < q ? -1 : 1;
+  }
+  return 0;
+};
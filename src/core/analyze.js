@@ -0,0 +1,137 @@
+import { collectReads, needsVitals, runRules } from '../rules/index.js';
+import { loadContents } from './contents.js';
+import { getDependencyReport } from './deps/index.js';
+import { BUNDLED_ADVISORIES, createAdvisoryIndex } from './advisories/index.js';
+import { heaviestFiles } from './files.js';
+import { clampScore, getStatus } from './scoring.js';
+import { computeVitals } from './vitals.js';
+import { detectLanguages } from './languages.js';
+import { getSmellReport } from './smells.js';
+import { CONFIG_FILE, parseRepoConfig, resolveProfile } from './profiles.js';
+import { diffDiagnoses } from './diff.js';
+import { trackStage } from './progress.js';
+import { fetchGithubTree, fetchPullRequest, parseRepoInput } from './sources/github.js';
+import { resolveSource } from './sources/providers.js';
+
+/**
+ * --- Real Analysis Engine (Heuristic Only) ---
+ * Framework-free: runs in the browser, in Node 18+ and from the CLI.
+ * diagnoseTree() takes a snapshot from any source ({ files, repo, meta, readFile, readVitals?, languages? },
+ * see core/sources), loads the file contents the active rules asked for and runs every enabled
+ * rule against it.
+ *   disabledRules  rule ids to skip
+ *   deepScan       also run deep rules (secret scanning), which read many more files
+ *   byteBudget     cap on the bytes of file contents read per scan
+ *   advisories     OSV records to audit dependencies against (defaults to the bundled snapshot)
+ *   profile        scoring profile id (see core/profiles.js); overrides the one in the repo's .drvibe.json
+ *   onProgress     receives stage, request, file and rule events (see core/progress.js)
+ *   signal         AbortSignal; aborting rejects the scan with an AbortError
+ */
+export const diagnoseTree = async (snapshot, { disabledRules = [], deepScan = false, byteBudget, advisories = BUNDLED_ADVISORIES, profile = null, onProgress = () => {}, signal = null } = {}) => {
+  const { files = [], repo = {}, meta = {} } = snapshot;
+  const fileCount = files.length;
+  const isTypeScript = files.some(f => f.path.endsWith('.ts') || f.path.endsWith('.tsx'));
+  const languages = detectLanguages(files, snapshot.languages);
+  const ctx = { files, fileCount, isTypeScript, languages, repo, contents: new Map(), advisories: createAdvisoryIndex(advisories), vitals: null, profile: resolveProfile(profile) };
+  const ruleOptions = { disabled: disabledRules, deepScan };
+  const progress = { onProgress, signal };
+
+  // --- CONTENTS (the repo's .drvibe.json plus what the active rules declared) ---
+  const hasConfig = files.some(f => f.path === CONFIG_FILE);
+  const reads = [...(hasConfig ? [{ path: CONFIG_FILE, budgeted: false }] : []), ...collectReads(ctx, ruleOptions).filter(r => r.path !== CONFIG_FILE)];
+  const { contents, stats } = await trackStage(progress, 'contents', () => loadContents({ ...snapshot, files }, reads, { byteBudget, onProgress, signal }));
+  ctx.contents = contents;
+
+  // --- PROFILE (weights, thresholds and suppressions) ---
+  const config = hasConfig ? parseRepoConfig(contents.get(CONFIG_FILE) ?? '') : null;
+  if (config && !contents.has(CONFIG_FILE)) config.errors = [`${CONFIG_FILE} could not be read.`];
+  if (config) ctx.profile = resolveProfile(profile, config);
+
+  // --- VITALS (activity data; only when a vitals rule is active and the source has it) ---
+  if (snapshot.readVitals && needsVitals(ruleOptions)) {
+    ctx.vitals = await trackStage(progress, 'vitals', () => snapshot.readVitals().then(raw => computeVitals(raw), err => {
+      if (err.message === "RATELIMIT" || err.name === 'AbortError') throw err;
+      return null; // missing activity data skips those rules instead of failing the scan
+    }));
+  }
+
+  // --- SCORING LOGIC (see src/rules) ---
+  const { penalty, prescriptions, suppressed, results } = await trackStage(progress, 'rules', async () => runRules(ctx, {
+    ...ruleOptions,
+    weights: ctx.profile.weights,
+    suppress: config ? config.suppress : [],
+    onProgress
+  }));
+  const score = clampScore(100 - penalty);
+  const { declared, resolved, ...dependencies } = getDependencyReport(ctx);
+
+  return {
+    score,
+    ...getStatus(score, ctx.profile.thresholds),
+    files: heaviestFiles(files, { isTypeScript }),
+    prescriptions,
+    suppressed,
+    rules: results,
+    dependencies,
+    languages,
+    smells: deepScan ? getSmellReport(ctx) : null,
+    vitals: ctx.vitals || null,
+    meta: {
+      ...meta,
+      fileCount,
+      isTs: isTypeScript,
+      deepScan,
+      contents: stats,
+      profile: { id: ctx.profile.id, label: ctx.profile.label },
+      config: config ? { path: CONFIG_FILE, profile: config.profile, errors: config.errors } : null,
+      advisories: advisories === BUNDLED_ADVISORIES ? 'bundled' : 'custom'
+    }
+  };
+};
+
+/**
+ * Fetches a hosted repo (GitHub, GitLab, Bitbucket, Gitea/Forgejo; see resolveSource) and
+ * diagnoses it. GitHub pull request URLs go through analyzePullRequest().
+ *   token          API token for the provider (optional)
+ *   ref            branch, tag or commit to diagnose (defaults to the ref in the URL, then the default branch)
+ *   hosts          self-hosted instances: { host: { provider, apiBase? } }
+ *   disabledRules, deepScan, byteBudget, profile  see diagnoseTree()
+ *   apiBase        API base URL override (point it at a mock server in tests)
+ *   fetch          fetch implementation, defaults to the global one
+ *   onProgress, signal  see diagnoseTree(); the signal also cancels in-flight requests
+ */
+export const analyzeRepo = async (url, options = {}) => {
+  const { provider, host, path, apiBase } = resolveSource(url, options);
+  const sourceOptions = { ...options, apiBase, host };
+  if (provider.id === 'github' && parseRepoInput(path).pull) return analyzePullRequest(path, sourceOptions);
+  return diagnoseTree(await trackStage(options, 'tree', () => provider.fetchTree(path, sourceOptions)), options);
+};
+
+/**
+ * Diagnoses the base and the head of a pull request. Returns the head diagnosis with a
+ * `pullRequest` section: the PR, the base score and the prescriptions it introduces or fixes.
+ */
+export const analyzePullRequest = async (url, options = {}) => {
+  const pull = await trackStage(options, 'pull', () => fetchPullRequest(url, options));
+  const diagnoseSide = async (side, name) => {
+    const { onProgress = () => {} } = options;
+    const sideOptions = { ...options, onProgress: (event) => onProgress({ ...event, side: name }) };
+    const snapshot = await trackStage(sideOptions, 'tree', () => fetchGithubTree(side.repo, { ...sideOptions, ref: side.sha }));
+    snapshot.meta = { ...snapshot.meta, branch: side.ref };
+    return diagnoseTree(snapshot, sideOptions);
+  };
+  const base = await diagnoseSide(pull.base, 'base');
+  const head = await diagnoseSide(pull.head, 'head');
+  const { scoreDelta, added, resolved } = diffDiagnoses(base, head);
+
+  return {
+    ...head,
+    pullRequest: {
+      ...pull,
+      base: { ...pull.base, score: base.score, status: base.status },
+      scoreDelta,
+      introduced: added,
+      fixed: resolved
+    }
+  };
+};
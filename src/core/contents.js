@@ -0,0 +1,80 @@
+// --- File Contents ---
+// Rules that need to look inside files declare the paths through `reads(ctx)`;
+// the engine fetches them once, within a byte budget, through the source's readFile().
+
+export const DEFAULT_BYTE_BUDGET = 1024 * 1024;
+export const MAX_FILE_SIZE = 256 * 1024;
+
+const BINARY_EXTENSIONS = /\.(png|jpe?g|gif|webp|ico|bmp|tiff?|psd|svgz|mp[34]|mov|avi|mkv|webm|wav|flac|ogg|zip|gz|tgz|bz2|xz|7z|rar|jar|war|class|exe|dll|so|dylib|o|a|wasm|pdf|docx?|xlsx?|pptx?|woff2?|ttf|otf|eot|sqlite|db|bin|pyc)$/i;
+
+export const isTextCandidate = (file) => file.type === 'blob' && !BINARY_EXTENSIONS.test(file.path);
+
+const decodeBase64 = (b64) => {
+  const bytes = Uint8Array.from(atob(b64.replace(/\s/g, '')), c => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+export const decodeBlob = ({ content = '', encoding }) => (encoding === 'base64' ? decodeBase64(content) : content);
+
+// Shallow reads that can still add up get an allowance of their own, apart from the deep-scan
+// budget: a monorepo's manifests and lockfiles (see core/deps) can outweigh every other read.
+export const DEFAULT_ALLOWANCES = { dependencies: 4 * 1024 * 1024 };
+
+/**
+ * Reads the requested paths in order. Items are paths or { path, maxSize, budgeted, allowance };
+ * budgeted reads (the deep scan) stop once byteBudget is spent, reads naming an `allowance`
+ * (a key of `allowances`) once that is spent, and the others are only capped by their own maxSize.
+ * Files the tree gives no size for (GitLab trees) are measured after reading: oversized ones are
+ * dropped and counted reads stop once the bytes read reach their budget.
+ * Returns { contents: Map<path, text>, stats: { files, bytes, skipped } }.
+ * Unreadable and oversized files are skipped rather than failing the scan; an aborted
+ * `signal` stops it. onProgress gets a 'file' event per file read.
+ */
+export const loadContents = async (snapshot, items, { byteBudget = DEFAULT_BYTE_BUDGET, allowances = DEFAULT_ALLOWANCES, maxFileSize = MAX_FILE_SIZE, concurrency = 6, onProgress = () => {}, signal = null } = {}) => {
+  const contents = new Map();
+  const stats = { files: 0, bytes: 0, skipped: 0 };
+  if (!snapshot.readFile || items.length === 0) return { contents, stats: { ...stats, skipped: items.length } };
+
+  const sizes = new Map(snapshot.files.filter(f => typeof f.size === 'number').map(f => [f.path, f.size]));
+  const limits = { ...allowances, deep: byteBudget };
+  const spent = {};
+  const over = (pool, bytes) => !!pool && (spent[pool] || 0) + bytes > limits[pool];
+  const spend = (pool, bytes) => { if (pool) spent[pool] = (spent[pool] || 0) + bytes; };
+  const queue = [];
+
+  items.forEach(item => {
+    const { path, maxSize = maxFileSize, budgeted = true, allowance } = typeof item === 'string' ? { path: item } : item;
+    const pool = budgeted ? 'deep' : allowance in limits ? allowance : null;
+    const size = sizes.get(path);
+    if (size === undefined) return queue.push({ path, maxSize, pool });
+    if (size > maxSize || over(pool, size)) { stats.skipped++; return; }
+    spend(pool, size);
+    queue.push({ path, size });
+  });
+
+  const worker = async () => {
+    while (queue.length) {
+      if (signal) signal.throwIfAborted();
+      const { path, size, maxSize, pool } = queue.shift();
+      if (size === undefined && pool && spent[pool] >= limits[pool]) { stats.skipped++; continue; }
+      try {
+        const text = await snapshot.readFile(path);
+        const bytes = size ?? new TextEncoder().encode(text).length;
+        if (size === undefined) {
+          spend(pool, bytes);
+          if (bytes > maxSize) { stats.skipped++; continue; }
+        }
+        contents.set(path, text);
+        stats.files++;
+        stats.bytes += bytes;
+        onProgress({ type: 'file', path });
+      } catch (err) {
+        if (err.message === "RATELIMIT" || err.name === 'AbortError') throw err;
+        stats.skipped++;
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  return { contents, stats };
+};
@@ -0,0 +1,148 @@
+import {
+  parsePackageJson, parseRequirementsTxt, parsePyprojectToml, parseGoMod, parseCargoToml, parseGemfile
+} from './manifests.js';
+import {
+  parsePackageLock, parseYarnLock, parsePnpmLock, parseCargoLock, parsePoetryLock, parseGoSum, parseGemfileLock, parsePipfileLock
+} from './lockfiles.js';
+
+// --- Dependency Footprint ---
+// Matched on the file name; manifests declare ranges, lockfiles pin what actually got installed.
+export const MANIFESTS = [
+  { match: /^package\.json$/, ecosystem: 'npm', parse: parsePackageJson },
+  { match: /^requirements([-_.][\w-]+)?\.txt$/, ecosystem: 'PyPI', parse: parseRequirementsTxt },
+  { match: /^pyproject\.toml$/, ecosystem: 'PyPI', parse: parsePyprojectToml },
+  { match: /^go\.mod$/, ecosystem: 'Go', parse: parseGoMod },
+  { match: /^Cargo\.toml$/, ecosystem: 'crates.io', parse: parseCargoToml },
+  { match: /^Gemfile$/, ecosystem: 'RubyGems', parse: parseGemfile }
+];
+
+export const LOCKFILES = [
+  { match: /^(package-lock|npm-shrinkwrap)\.json$/, ecosystem: 'npm', parse: parsePackageLock },
+  { match: /^yarn\.lock$/, ecosystem: 'npm', parse: parseYarnLock },
+  { match: /^pnpm-lock\.yaml$/, ecosystem: 'npm', parse: parsePnpmLock },
+  { match: /^bun\.lockb?$/, ecosystem: 'npm', parse: null },
+  { match: /^(poetry|uv|pdm)\.lock$/, ecosystem: 'PyPI', parse: parsePoetryLock },
+  { match: /^Pipfile\.lock$/, ecosystem: 'PyPI', parse: parsePipfileLock },
+  { match: /^go\.sum$/, ecosystem: 'Go', parse: parseGoSum },
+  { match: /^Cargo\.lock$/, ecosystem: 'crates.io', parse: parseCargoLock },
+  { match: /^Gemfile\.lock$/, ecosystem: 'RubyGems', parse: parseGemfileLock }
+];
+
+// Together they may read up to the 'dependencies' allowance (see core/contents.js), whatever the byte budget.
+export const LOCKFILE_MAX_SIZE = 2 * 1024 * 1024;
+
+const VENDORED = /(^|\/)(node_modules|vendor|third_party|\.yarn)\//;
+const baseName = (path) => path.split('/').pop();
+const findKind = (list, path) => (VENDORED.test(path) ? null : list.find(k => k.match.test(baseName(path))));
+
+export const dependencyFiles = (files) => files
+  .filter(f => f.type === 'blob' && (findKind(MANIFESTS, f.path) || findKind(LOCKFILES, f.path)))
+  .map(f => ({ path: f.path, maxSize: findKind(LOCKFILES, f.path) ? LOCKFILE_MAX_SIZE : undefined, allowance: 'dependencies' }));
+
+const SCOPES_THAT_COUNT = ['prod', 'dev', 'optional'];
+
+/**
+ * Builds the dependency report from the tree and whatever manifest contents were loaded.
+ * `declared` and `resolved` (every manifest entry and locked package) are kept for the
+ * advisory matcher; they are not part of the diagnosis.
+ */
+export const buildDependencyReport = (files, contents) => {
+  const manifests = [];
+  const lockfiles = [];
+  const errors = [];
+  const declared = [];
+  const resolved = [];
+
+  files.filter(f => f.type === 'blob').forEach(({ path }) => {
+    const manifest = findKind(MANIFESTS, path);
+    const lockfile = !manifest && findKind(LOCKFILES, path);
+    if (!manifest && !lockfile) return;
+
+    const kind = manifest || lockfile;
+    const text = contents.get(path);
+    const entry = { file: path, ecosystem: kind.ecosystem, count: 0, read: text !== undefined };
+
+    if (text !== undefined && kind.parse) {
+      try {
+        const parsed = kind.parse(text, path).map(d => ({ ...d, ecosystem: kind.ecosystem, file: path }));
+        entry.count = parsed.length;
+        (manifest ? declared : resolved).push(...parsed);
+      } catch (err) {
+        errors.push({ file: path, message: err.message });
+      }
+    }
+    (manifest ? manifests : lockfiles).push(entry);
+  });
+
+  const direct = declared.filter(d => SCOPES_THAT_COUNT.includes(d.scope));
+  const tally = (pin) => direct.filter(d => d.pin === pin).length;
+  const lockedEcosystems = new Set(lockfiles.map(l => l.ecosystem));
+
+  // Same package, different ranges in different manifests (usually sibling workspaces).
+  const byName = new Map();
+  direct.filter(d => d.pin !== 'local').forEach(d => {
+    const key = `${d.ecosystem}:${d.name}`;
+    if (!byName.has(key)) byName.set(key, []);
+    byName.get(key).push(d);
+  });
+  const conflicts = Array.from(byName.values())
+    .filter(list => new Set(list.map(d => d.spec)).size > 1 && new Set(list.map(d => d.file)).size > 1)
+    .map(list => ({ ecosystem: list[0].ecosystem, name: list[0].name, specs: list.map(({ file, spec }) => ({ file, spec })) }));
+
+  // Same package locked at several versions.
+  const versions = new Map();
+  resolved.forEach(r => {
+    const key = `${r.ecosystem}:${r.name}`;
+    if (!versions.has(key)) versions.set(key, { ecosystem: r.ecosystem, name: r.name, versions: new Set() });
+    versions.get(key).versions.add(r.version);
+  });
+  const duplicates = Array.from(versions.values())
+    .filter(v => v.versions.size > 1)
+    .map(v => ({ ...v, versions: Array.from(v.versions) }));
+
+  const seenDeprecated = new Set();
+  const deprecated = [
+    ...declared.filter(d => d.deprecated).map(d => ({ ecosystem: d.ecosystem, name: d.name, version: d.spec, file: d.file, reason: d.deprecated })),
+    ...resolved.filter(r => r.deprecated).map(r => ({ ecosystem: r.ecosystem, name: r.name, version: r.version, file: r.file, reason: r.deprecated }))
+  ].filter(d => {
+    const key = `${d.name}@${d.version}`;
+    if (seenDeprecated.has(key)) return false;
+    seenDeprecated.add(key);
+    return true;
+  });
+
+  const unlocked = manifests
+    .filter(m => m.read && !lockedEcosystems.has(m.ecosystem))
+    .map(m => {
+      const own = direct.filter(d => d.file === m.file && d.pin !== 'local');
+      return { file: m.file, ecosystem: m.ecosystem, total: own.length, floating: own.filter(d => d.pin !== 'pinned').length };
+    })
+    .filter(m => m.floating > 0);
+
+  return {
+    ecosystems: [...new Set(manifests.map(m => m.ecosystem))],
+    manifests,
+    lockfiles,
+    total: direct.length,
+    pinned: tally('pinned'),
+    floating: tally('floating'),
+    wildcard: tally('wildcard'),
+    local: tally('local'),
+    wildcards: direct.filter(d => d.pin === 'wildcard').map(({ ecosystem, name, spec, file }) => ({ ecosystem, name, spec, file })),
+    unlocked,
+    conflicts,
+    duplicates,
+    deprecated,
+    errors,
+    declared,
+    resolved
+  };
+};
+
+// Shared by every dependency rule and the engine; computed once per scan.
+const reports = new WeakMap();
+
+export const getDependencyReport = (ctx) => {
+  if (!reports.has(ctx.contents)) reports.set(ctx.contents, buildDependencyReport(ctx.files, ctx.contents));
+  return reports.get(ctx.contents);
+};
@@ -0,0 +1,112 @@
+import { parseToml } from './toml.js';
+import { normalizePythonName } from './manifests.js';
+
+// --- Lockfile Parsers ---
+// Each parser returns the resolved packages: [{ name, version, deprecated? }].
+
+// package-lock.json / npm-shrinkwrap.json, v1 (nested "dependencies") and v2/v3 ("packages")
+export const parsePackageLock = (text) => {
+  const lock = JSON.parse(text);
+  if (lock.packages) {
+    return Object.entries(lock.packages)
+      .filter(([key, pkg]) => key.includes('node_modules/') && pkg.version && !pkg.link)
+      .map(([key, pkg]) => ({
+        name: pkg.name || key.slice(key.lastIndexOf('node_modules/') + 'node_modules/'.length),
+        version: pkg.version,
+        deprecated: pkg.deprecated || null
+      }));
+  }
+  const out = [];
+  const walk = (deps = {}) => Object.entries(deps).forEach(([name, pkg]) => {
+    if (pkg.version) out.push({ name, version: pkg.version, deprecated: pkg.deprecated || null });
+    walk(pkg.dependencies);
+  });
+  walk(lock.dependencies);
+  return out;
+};
+
+const nameFromDescriptor = (descriptor) => {
+  const d = descriptor.trim().replace(/^["']|["']$/g, '');
+  const at = d.indexOf('@', 1);
+  return at > 0 ? d.slice(0, at) : d;
+};
+
+// yarn.lock, classic ("version \"1.2.3\"") and berry ("version: 1.2.3")
+export const parseYarnLock = (text) => {
+  const out = [];
+  let current = null;
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.startsWith('#')) return;
+    if (!/^\s/.test(line) && line.endsWith(':')) {
+      const name = nameFromDescriptor(line.slice(0, -1).split(',')[0]);
+      current = name === '__metadata' ? null : { name };
+      return;
+    }
+    const m = /^\s+version:?\s+"?([^"\s]+)"?/.exec(line);
+    if (current && m && !current.version) {
+      current.version = m[1];
+      if (!/^0\.0\.0-use\.local$/.test(m[1])) out.push(current);
+    }
+  });
+  return out;
+};
+
+// pnpm-lock.yaml keys: "/name/1.2.3" (v5), "/name@1.2.3" (v6), "name@1.2.3" (v9), plus "(peer)" or "_peer" suffixes
+export const parsePnpmLock = (text) => {
+  const out = [];
+  const seen = new Set();
+  let inPackages = false;
+  text.split(/\r?\n/).forEach(line => {
+    if (/^\S/.test(line)) { inPackages = /^(packages|snapshots):/.test(line); return; }
+    if (!inPackages) return;
+    const m = /^ {2}['"]?([^'"\s][^'"]*?)['"]?:\s*$/.exec(line);
+    if (!m) return;
+    const key = m[1].replace(/^\//, '').replace(/\(.*$/, '').replace(/(\/\d[^/_]*)_[^/]*$/, '$1');
+    const at = key.lastIndexOf('@');
+    const [name, version] = at > 0 ? [key.slice(0, at), key.slice(at + 1)] : [key.slice(0, key.lastIndexOf('/')), key.slice(key.lastIndexOf('/') + 1)];
+    if (!name || !version || seen.has(key)) return;
+    seen.add(key);
+    out.push({ name, version });
+  });
+  return out;
+};
+
+// Cargo.lock / poetry.lock / uv.lock: [[package]] name = "..." version = "..."
+export const parseTomlPackages = (normalize = (n) => n) => (text) => (parseToml(text).package || [])
+  .filter(p => p.name && p.version)
+  .map(p => ({ name: normalize(p.name), version: String(p.version) }));
+
+export const parseGoSum = (text) => {
+  const seen = new Set();
+  return text.split(/\r?\n/).flatMap(line => {
+    const [name, version] = line.trim().split(/\s+/);
+    if (!name || !version) return [];
+    const clean = version.replace(/\/go\.mod$/, '');
+    const key = `${name}@${clean}`;
+    if (seen.has(key)) return [];
+    seen.add(key);
+    return [{ name, version: clean }];
+  });
+};
+
+export const parseGemfileLock = (text) => {
+  const out = [];
+  let inSpecs = false;
+  text.split(/\r?\n/).forEach(line => {
+    if (/^\S/.test(line)) { inSpecs = false; return; }
+    if (/^ {2}specs:/.test(line)) { inSpecs = true; return; }
+    const m = inSpecs && /^ {4}([^\s(]+) \(([^)]+)\)$/.exec(line);
+    if (m) out.push({ name: m[1], version: m[2].split('-')[0] });
+  });
+  return out;
+};
+
+export const parsePipfileLock = (text) => {
+  const lock = JSON.parse(text);
+  return ['default', 'develop'].flatMap(section => Object.entries(lock[section] || {})
+    .filter(([, pkg]) => typeof pkg.version === 'string')
+    .map(([name, pkg]) => ({ name: normalizePythonName(name), version: pkg.version.replace(/^==/, '') })));
+};
+
+export const parsePoetryLock = parseTomlPackages(normalizePythonName);
+export const parseCargoLock = parseTomlPackages();
@@ -0,0 +1,180 @@
+import { parseToml } from './toml.js';
+
+// --- Manifest Parsers ---
+// Each parser returns [{ name, spec, scope, pin, deprecated? }] where
+//   scope  'prod' | 'dev' | 'optional' | 'peer' | 'indirect'
+//   pin    'pinned' | 'floating' | 'wildcard' (no upper bound) | 'local' (path, workspace, inherited)
+// Ecosystem names follow OSV so the advisory matcher can reuse them.
+
+// --- npm ---
+export const classifyNpmSpec = (spec) => {
+  const s = String(spec).trim();
+  if (/^(workspace|file|link|portal|patch):/.test(s)) return 'local';
+  if (s.startsWith('npm:')) return classifyNpmSpec(s.slice(s.lastIndexOf('@') + 1));
+  if (/^(git(\+[\w]+)?:|https?:|github:|[\w-]+\/[\w.-]+(#.*)?$)/.test(s)) return /#[0-9a-f]{7,40}$/.test(s) ? 'pinned' : 'floating';
+  if (s === '' || s === '*' || /^[xX]$/.test(s) || s === 'latest' || s === 'next') return 'wildcard';
+  if (/^>=?\s*v?[\w.-]+$/.test(s)) return 'wildcard';
+  if (/^=?v?\d+\.\d+\.\d+(-[\w.-]+)?(\+[\w.-]+)?$/.test(s)) return 'pinned';
+  return 'floating';
+};
+
+const npmDeprecatedSpec = (spec) => {
+  if (/^git:\/\//.test(spec)) return "git:// protocol (no longer served by GitHub)";
+  if (/^http:\/\//.test(spec)) return "plain http:// tarball";
+  return null;
+};
+
+const NPM_SCOPES = { dependencies: 'prod', devDependencies: 'dev', optionalDependencies: 'optional', peerDependencies: 'peer' };
+
+export const parsePackageJson = (text) => {
+  const pkg = JSON.parse(text);
+  return Object.entries(NPM_SCOPES).flatMap(([field, scope]) => Object.entries(pkg[field] || {}).map(([name, spec]) => ({
+    name,
+    spec: String(spec),
+    scope,
+    pin: classifyNpmSpec(spec),
+    deprecated: npmDeprecatedSpec(String(spec))
+  })));
+};
+
+// --- PyPI ---
+export const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+export const classifyPep440 = (spec) => {
+  const s = spec.replace(/\s/g, '');
+  if (!s || s === '*') return 'wildcard';
+  if (s.startsWith('@')) return 'local';
+  if (/^===?[^,*]+$/.test(s)) return 'pinned';
+  if (/^(>=?|!=)[^,]+$/.test(s)) return 'wildcard';
+  return 'floating';
+};
+
+const REQUIREMENT = /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(\[[^\]]*\])?\s*(.*)$/;
+
+const parseRequirement = (line, scope = 'prod') => {
+  const clean = line.split(';')[0].trim();
+  const m = REQUIREMENT.exec(clean);
+  if (!m) return null;
+  const spec = m[3].trim();
+  return { name: normalizePythonName(m[1]), spec, scope, pin: classifyPep440(spec) };
+};
+
+export const parseRequirementsTxt = (text, file = '') => {
+  const scope = /dev|test/i.test(file) ? 'dev' : 'prod';
+  return text.split(/\r?\n/)
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-') && !/^[a-z+]+:\/\//i.test(line))
+    .map(line => parseRequirement(line, scope))
+    .filter(Boolean);
+};
+
+// Poetry: "1.2.3" is exact, "^1.2" / "~1.2" float, "*" and ">=1" are unbounded.
+const classifyPoetrySpec = (spec) => {
+  if (typeof spec === 'object') {
+    if (spec.path || spec.workspace) return 'local';
+    if (spec.git) return spec.rev || spec.tag ? 'pinned' : 'floating';
+    return classifyPoetrySpec(spec.version || '*');
+  }
+  if (/^\d[\w.]*$/.test(spec)) return 'pinned';
+  return classifyPep440(spec);
+};
+
+const specString = (spec) => (typeof spec === 'object' ? spec.version || spec.git || spec.path || '' : String(spec));
+
+const poetryTable = (table = {}, scope) => Object.entries(table)
+  .filter(([name]) => name !== 'python')
+  .map(([name, spec]) => ({ name: normalizePythonName(name), spec: specString(spec), scope, pin: classifyPoetrySpec(spec) }));
+
+export const parsePyprojectToml = (text) => {
+  const doc = parseToml(text);
+  const project = doc.project || {};
+  const poetry = (doc.tool && doc.tool.poetry) || {};
+  const groups = poetry.group || {};
+
+  return [
+    ...(project.dependencies || []).map(r => parseRequirement(r, 'prod')),
+    ...Object.values(project['optional-dependencies'] || {}).flat().map(r => parseRequirement(r, 'optional')),
+    ...Object.values(doc['dependency-groups'] || {}).flat().filter(r => typeof r === 'string').map(r => parseRequirement(r, 'dev')),
+    ...poetryTable(poetry.dependencies, 'prod'),
+    ...poetryTable(poetry['dev-dependencies'], 'dev'),
+    ...Object.values(groups).flatMap(g => poetryTable(g.dependencies, 'dev'))
+  ].filter(Boolean);
+};
+
+// --- Go ---
+export const parseGoMod = (text) => {
+  const deps = [];
+  let inBlock = false;
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.trim();
+    if (/^require\s*\($/.test(line)) { inBlock = true; return; }
+    if (inBlock && line === ')') { inBlock = false; return; }
+    const m = (inBlock ? /^(\S+)\s+(v\S+)(.*)$/ : /^require\s+(\S+)\s+(v\S+)(.*)$/).exec(line);
+    if (!m) return;
+    deps.push({ name: m[1], spec: m[2], scope: /\/\/\s*indirect/.test(m[3]) ? 'indirect' : 'prod', pin: 'pinned' });
+  });
+  return deps;
+};
+
+// --- crates.io ---
+// Cargo treats a bare "1.2.3" as ^1.2.3, so only "=1.2.3" is pinned.
+const classifyCargoSpec = (spec) => {
+  if (typeof spec === 'object') {
+    if (spec.path || spec.workspace) return 'local';
+    if (spec.git) return spec.rev || spec.tag ? 'pinned' : 'floating';
+    return classifyCargoSpec(spec.version || '*');
+  }
+  const s = spec.trim();
+  if (!s || s === '*') return 'wildcard';
+  if (/^=\s*\d+\.\d+\.\d+/.test(s)) return 'pinned';
+  if (/^>=?[^,]+$/.test(s)) return 'wildcard';
+  return 'floating';
+};
+
+const cargoTable = (table = {}, scope) => Object.entries(table).map(([name, spec]) => ({
+  name: (typeof spec === 'object' && spec.package) || name,
+  spec: specString(spec),
+  scope,
+  pin: classifyCargoSpec(spec)
+}));
+
+export const parseCargoToml = (text) => {
+  const doc = parseToml(text);
+  return [
+    ...cargoTable(doc.dependencies, 'prod'),
+    ...cargoTable(doc['dev-dependencies'], 'dev'),
+    ...cargoTable(doc['build-dependencies'], 'dev'),
+    ...cargoTable(doc.workspace && doc.workspace.dependencies, 'prod')
+  ];
+};
+
+// --- RubyGems ---
+const classifyGemRequirements = (reqs) => {
+  if (reqs.length === 0) return 'wildcard';
+  if (reqs.length === 1 && /^(=\s*)?\d[\w.]*$/.test(reqs[0])) return 'pinned';
+  if (reqs.every(r => /^>=?/.test(r))) return 'wildcard';
+  return 'floating';
+};
+
+export const parseGemfile = (text) => {
+  const deps = [];
+  const groups = [];
+  text.split(/\r?\n/).forEach(raw => {
+    const line = raw.replace(/#.*$/, '').trim();
+    const group = /^group\s+(.+?)\s+do\b/.exec(line);
+    if (group) { groups.push(/development|test/.test(group[1]) ? 'dev' : 'prod'); return; }
+    if (line === 'end' && groups.length) { groups.pop(); return; }
+
+    const m = /^gem\s+['"]([^'"]+)['"](.*)$/.exec(line);
+    if (!m) return;
+    const args = (m[2].match(/['"][^'"]*['"]/g) || []).map(a => a.slice(1, -1)).filter(a => /^[~><=!\d]/.test(a));
+    const local = /\b(path|git|github):/.test(m[2]);
+    deps.push({
+      name: m[1],
+      spec: args.join(', '),
+      scope: groups[groups.length - 1] || 'prod',
+      pin: local ? 'local' : classifyGemRequirements(args)
+    });
+  });
+  return deps;
+};
@@ -0,0 +1,138 @@
+// --- Tiny TOML reader ---
+// Enough of TOML for Cargo.toml, pyproject.toml, Cargo.lock and poetry.lock:
+// tables, arrays of tables, dotted keys, strings, numbers, booleans, arrays and inline tables.
+// Multi-line strings and dates are not supported; lines that fail to parse are skipped.
+
+const stripComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === '\\' && quote === '"') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") quote = c;
+    else if (c === '#') return line.slice(0, i);
+  }
+  return line;
+};
+
+const splitKey = (key) => (key.match(/"[^"]*"|'[^']*'|[^.\s]+/g) || []).map(k => k.replace(/^["']|["']$/g, ''));
+
+const setPath = (target, keys, value) => {
+  let node = target;
+  keys.slice(0, -1).forEach(k => {
+    if (typeof node[k] !== 'object' || node[k] === null) node[k] = {};
+    node = Array.isArray(node[k]) ? node[k][node[k].length - 1] : node[k];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+const ensure = (root, keys, asArray) => {
+  let node = root;
+  keys.forEach((k, i) => {
+    const last = i === keys.length - 1;
+    if (last && asArray) {
+      if (!Array.isArray(node[k])) node[k] = [];
+      node[k].push({});
+      node = node[k][node[k].length - 1];
+      return;
+    }
+    if (node[k] === undefined) node[k] = {};
+    node = Array.isArray(node[k]) ? node[k][node[k].length - 1] : node[k];
+  });
+  return node;
+};
+
+const parseValue = (src) => {
+  let pos = 0;
+  const ws = () => { while (pos < src.length && /\s/.test(src[pos])) pos++; };
+
+  const value = () => {
+    ws();
+    const c = src[pos];
+    if (c === '"' || c === "'") {
+      pos++;
+      let out = '';
+      while (pos < src.length && src[pos] !== c) {
+        if (c === '"' && src[pos] === '\\') { pos++; out += src[pos] === 'n' ? '\n' : src[pos]; pos++; continue; }
+        out += src[pos++];
+      }
+      pos++;
+      return out;
+    }
+    if (c === '[') {
+      pos++;
+      const arr = [];
+      ws();
+      while (pos < src.length && src[pos] !== ']') {
+        arr.push(value());
+        ws();
+        if (src[pos] === ',') pos++;
+        ws();
+      }
+      pos++;
+      return arr;
+    }
+    if (c === '{') {
+      pos++;
+      const obj = {};
+      ws();
+      while (pos < src.length && src[pos] !== '}') {
+        const m = /^\s*("[^"]*"|'[^']*'|[\w.-]+)\s*=/.exec(src.slice(pos));
+        if (!m) throw new Error("Bad inline table.");
+        pos += m[0].length;
+        setPath(obj, splitKey(m[1]), value());
+        ws();
+        if (src[pos] === ',') pos++;
+        ws();
+      }
+      pos++;
+      return obj;
+    }
+    const m = /^[^,\]}\s]+/.exec(src.slice(pos));
+    if (!m) throw new Error("Bad value.");
+    pos += m[0].length;
+    if (m[0] === 'true') return true;
+    if (m[0] === 'false') return false;
+    const n = Number(m[0].replace(/_/g, ''));
+    return Number.isNaN(n) ? m[0] : n;
+  };
+
+  return value();
+};
+
+const isBalanced = (src) => {
+  let depth = 0;
+  let quote = null;
+  for (const c of src) {
+    if (quote) { if (c === quote) quote = null; }
+    else if (c === '"' || c === "'") quote = c;
+    else if (c === '[' || c === '{') depth++;
+    else if (c === ']' || c === '}') depth--;
+  }
+  return depth <= 0;
+};
+
+export const parseToml = (text) => {
+  const root = {};
+  let table = root;
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = stripComment(lines[i]).trim();
+    if (!line) continue;
+
+    let m;
+    if ((m = line.match(/^\[\[(.+)\]\]$/))) { table = ensure(root, splitKey(m[1]), true); continue; }
+    if ((m = line.match(/^\[(.+)\]$/))) { table = ensure(root, splitKey(m[1]), false); continue; }
+
+    const eq = line.indexOf('=');
+    if (eq < 0) continue;
+    const key = line.slice(0, eq).trim();
+    let raw = line.slice(eq + 1).trim();
+    while (!isBalanced(raw) && i + 1 < lines.length) raw += ' ' + stripComment(lines[++i]).trim();
+
+    try { setPath(table, splitKey(key), parseValue(raw)); } catch { /* unsupported value */ }
+  }
+  return root;
+};
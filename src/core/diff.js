@@ -0,0 +1,43 @@
+// --- Diagnosis Diff ---
+// Prescriptions are matched on a fingerprint that survives cosmetic changes
+// (counts in the diagnosis text, line shifts) but tells apart cards of the same rule.
+export const fingerprint = (rx) => [
+  rx.id,
+  rx.advisory && rx.advisory.id,
+  rx.location && rx.location.path,
+  rx.title
+].filter(Boolean).join('|');
+
+const countBy = (prescriptions) => {
+  const map = new Map();
+  prescriptions.forEach(rx => {
+    const key = fingerprint(rx);
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(rx);
+  });
+  return map;
+};
+
+/**
+ * Compares two diagnoses (older first). Returns
+ * { scoreDelta, added, resolved, persisting } where added/resolved/persisting are prescriptions.
+ */
+export const diffDiagnoses = (before, after) => {
+  const old = countBy(before.prescriptions || []);
+  const now = countBy(after.prescriptions || []);
+  const added = [];
+  const resolved = [];
+  const persisting = [];
+
+  now.forEach((list, key) => {
+    const previous = old.get(key) || [];
+    persisting.push(...list.slice(0, previous.length));
+    added.push(...list.slice(previous.length));
+  });
+  old.forEach((list, key) => {
+    const current = now.get(key) || [];
+    resolved.push(...list.slice(current.length));
+  });
+
+  return { scoreDelta: after.score - before.score, added, resolved, persisting };
+};
@@ -0,0 +1,39 @@
+// --- Exporter: "Vibe Score" badge (shields.io flat style) ---
+// Colors match the dashboard status colors (emerald-400 / amber-400 / rose-500).
+const STATUS_HEX = { 'Peak Form': '34d399', Stable: 'fbbf24', Critical: 'f43f5e' };
+
+const badgeColor = (status) => STATUS_HEX[status] || '94a3b8';
+const textWidth = (text) => Math.round(text.length * 6.5 + 10);
+const escapeXml = (s) => String(s).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+
+export const renderBadge = (diagnosis, { label = 'vibe score' } = {}) => {
+  const message = `${diagnosis.score} · ${diagnosis.status}`;
+  const lw = textWidth(label);
+  const mw = textWidth(message);
+  const width = lw + mw;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(label)}: ${escapeXml(message)}">
+  <title>${escapeXml(label)}: ${escapeXml(message)}</title>
+  <linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${lw}" height="20" fill="#555"/>
+    <rect x="${lw}" width="${mw}" height="20" fill="#${badgeColor(diagnosis.status)}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana,Geneva,DejaVu Sans,sans-serif" font-size="11">
+    <text x="${lw / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(label)}</text>
+    <text x="${lw / 2}" y="14">${escapeXml(label)}</text>
+    <text x="${lw + mw / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(message)}</text>
+    <text x="${lw + mw / 2}" y="14">${escapeXml(message)}</text>
+  </g>
+</svg>`;
+};
+
+// shields.io endpoint JSON: https://img.shields.io/endpoint?url=<where you host this file>
+export const renderShieldsEndpoint = (diagnosis, { label = 'vibe score' } = {}) => JSON.stringify({
+  schemaVersion: 1,
+  label,
+  message: `${diagnosis.score} · ${diagnosis.status}`,
+  color: badgeColor(diagnosis.status)
+}, null, 2);
@@ -0,0 +1,35 @@
+import { renderText } from './text.js';
+import { renderJson } from './json.js';
+import { renderMarkdown } from './markdown.js';
+import { renderSarif } from './sarif.js';
+import { renderBadge, renderShieldsEndpoint } from './badge.js';
+import { renderTreatmentPatch, renderTreatmentScript } from './treatment.js';
+
+// --- Medical Report Exporters ---
+// Shared by the dashboard download buttons and the CLI --format flag.
+export const EXPORTERS = {
+  text: { label: 'Text', extension: 'txt', mime: 'text/plain', render: renderText },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json', render: renderJson },
+  markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown', render: renderMarkdown },
+  sarif: { label: 'SARIF', extension: 'sarif', mime: 'application/sarif+json', render: renderSarif },
+  badge: { label: 'Badge', extension: 'svg', mime: 'image/svg+xml', render: renderBadge },
+  shields: { label: 'shields.io', extension: 'json', mime: 'application/json', render: renderShieldsEndpoint },
+  patch: { label: 'Treatment patch', extension: 'patch', mime: 'text/x-diff', render: renderTreatmentPatch },
+  script: { label: 'Treatment script', extension: 'sh', mime: 'application/x-sh', render: renderTreatmentScript }
+};
+
+export const exportDiagnosis = (diagnosis, format, options = {}) => {
+  const exporter = EXPORTERS[format];
+  if (!exporter) throw new Error(`Unknown format '${format}'. Use ${Object.keys(EXPORTERS).join(', ')}.`);
+  return exporter.render(diagnosis, options);
+};
+
+export const exportFilename = (diagnosis, format) => {
+  const base = `drvibe-${diagnosis.meta.name.replace(/[^\w.-]+/g, '-')}`;
+  if (format === 'badge') return `${base}-badge.svg`;
+  if (format === 'shields') return `${base}-shields.json`;
+  if (format === 'patch' || format === 'script') return `${base}-treatment.${EXPORTERS[format].extension}`;
+  return `${base}.${EXPORTERS[format].extension}`;
+};
+
+export { renderText, renderJson, renderMarkdown, renderSarif, renderBadge, renderShieldsEndpoint, renderTreatmentPatch, renderTreatmentScript };
@@ -0,0 +1,2 @@
+// --- Exporter: JSON (the full diagnosis object) ---
+export const renderJson = (diagnosis) => JSON.stringify(diagnosis, null, 2);
@@ -0,0 +1,56 @@
+import { PROVIDERS } from '../sources/providers.js';
+import { languageSummary, patientLabel, signed } from './text.js';
+
+// --- Exporter: Markdown (PR comments, wikis) ---
+const SEVERITY_ICONS = { critical: '🔴', warning: '🟠', info: '🔵' };
+
+const cell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+export const renderMarkdown = (diagnosis) => {
+  const { meta, prescriptions, rules = [] } = diagnosis;
+  const lines = [
+    `## 🩺 Dr. Vibe: \`${patientLabel(meta)}\``,
+    '',
+    `**Vibe Score: ${diagnosis.score}/100 (${diagnosis.status})**${meta.commit ? ` at \`${meta.commit.slice(0, 7)}\`` : ''}`,
+    '',
+    `> ${diagnosis.summary}`,
+    ''
+  ];
+
+  const pr = diagnosis.pullRequest;
+  if (pr) {
+    lines.push(`### Pull request [#${pr.number}](${pr.url}): ${cell(pr.title)}`, '');
+    lines.push(`\`${pr.base.ref}\` **${pr.base.score}** → \`${pr.head.ref}\` **${diagnosis.score}** (${pr.scoreDelta < 0 ? '📉' : pr.scoreDelta > 0 ? '📈' : '➖'} ${signed(pr.scoreDelta)})`, '');
+    pr.introduced.forEach(rx => lines.push(`- ➕ Introduces **${cell(rx.title)}** (\`${rx.id}\`)`));
+    pr.fixed.forEach(rx => lines.push(`- ✅ Fixes **${cell(rx.title)}** (\`${rx.id}\`)`));
+    if (pr.introduced.length || pr.fixed.length) lines.push('');
+    lines.push('### All prescriptions at head', '');
+  }
+
+  if (prescriptions.length === 0) {
+    lines.push('No major issues found. Good job! ✅');
+  } else {
+    lines.push('| | Prescription | Diagnosis | Rx | Time |', '|---|---|---|---|---|');
+    prescriptions.forEach(rx => {
+      lines.push(`| ${SEVERITY_ICONS[rx.severity] || ''} | **${cell(rx.title)}** (\`${rx.id}\`) | ${cell(rx.diagnosis)} | ${cell(rx.treatment)} | ${cell(rx.time)} |`);
+    });
+  }
+
+  const suppressed = diagnosis.suppressed || [];
+  if (suppressed.length) {
+    lines.push('', `<details><summary>${suppressed.length} suppressed by <code>${meta.config ? meta.config.path : 'config'}</code></summary>`, '');
+    suppressed.forEach(rx => lines.push(`- ~~${cell(rx.title)}~~ (\`${rx.id}\`${rx.location ? `, \`${rx.location.path}\`` : ''}): ${cell(rx.justification)}`));
+    lines.push('', '</details>');
+  }
+
+  if (rules.length) {
+    const passed = rules.filter(r => r.status === 'passed').length;
+    const failed = rules.filter(r => r.status === 'failed').length;
+    lines.push('', `<details><summary>Rules: ${passed} passed, ${failed} failed</summary>`, '');
+    rules.forEach(r => lines.push(`- \`${r.id}\`: ${r.status}`));
+    lines.push('', '</details>');
+  }
+
+  lines.push('', `<sub>${meta.fileCount} files · ${languageSummary(diagnosis)} · ${PROVIDERS[meta.source] ? `${PROVIDERS[meta.source].label} API` : `local ${meta.source}`} · Dr. Vibe</sub>`);
+  return lines.join('\n');
+};
@@ -0,0 +1,74 @@
+import { getRules } from '../../rules/index.js';
+import { fingerprint } from '../diff.js';
+
+// --- Exporter: SARIF 2.1.0 (GitHub code scanning and friends) ---
+const LEVELS = { critical: 'error', warning: 'warning', info: 'note' };
+const SECURITY_SEVERITY = { CRITICAL: '9.5', HIGH: '8.0', MODERATE: '5.5', MEDIUM: '5.5', LOW: '2.0' };
+
+// Repo-wide findings (no README, no license...) have no file to point at, and a made-up path could
+// name a file that does not exist: they get a logical location naming the repository instead.
+const location = (rx, meta) => {
+  if (!rx.location) return { logicalLocations: [{ name: meta.name, kind: 'module' }] };
+  const { path, line } = rx.location;
+  return {
+    physicalLocation: {
+      artifactLocation: { uri: path },
+      ...(line ? { region: { startLine: line } } : {})
+    }
+  };
+};
+
+// Code scanning reads security-severity from the rule, so a rule gets its worst advisory's score.
+const securitySeverity = (findings) => {
+  const scores = findings.filter(rx => rx.advisory).map(rx => SECURITY_SEVERITY[rx.advisory.severity] || '5.0');
+  return scores.length ? scores.sort((a, b) => Number(b) - Number(a))[0] : null;
+};
+
+export const renderSarif = (diagnosis) => {
+  const known = new Map(getRules().map(r => [r.id, r]));
+  // Suppressed findings stay in the log, marked the way code scanning expects.
+  const suppressed = diagnosis.suppressed || [];
+  const all = [...diagnosis.prescriptions, ...suppressed];
+  const usedIds = [...new Set(all.map(rx => rx.id))];
+
+  const rules = usedIds.map(id => {
+    const rule = known.get(id) || {};
+    const severity = securitySeverity(all.filter(rx => rx.id === id));
+    return {
+      id,
+      name: rule.title || id,
+      shortDescription: { text: rule.title || id },
+      defaultConfiguration: { level: LEVELS[rule.severity] || 'warning' },
+      properties: {
+        tags: ['drvibe', ...(/secret|env|vulnerable/.test(id) ? ['security'] : [])],
+        ...(severity ? { 'security-severity': severity } : {})
+      }
+    };
+  });
+
+  const results = all.map(rx => ({
+    ruleId: rx.id,
+    ruleIndex: usedIds.indexOf(rx.id),
+    level: LEVELS[rx.severity] || 'warning',
+    message: { text: `${rx.title}: ${rx.diagnosis} Rx: ${rx.treatment}` },
+    locations: [location(rx, diagnosis.meta)],
+    partialFingerprints: { drvibe: fingerprint(rx) },
+    ...(rx.justification ? { suppressions: [{ kind: 'inSource', justification: rx.justification }] } : {}),
+    properties: {
+      penalty: rx.penalty,
+      time: rx.time,
+      ...(rx.advisory ? { advisory: rx.advisory.id } : {})
+    }
+  }));
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: { driver: { name: 'Dr. Vibe', informationUri: 'https://drvibe.dev', rules } },
+      ...(diagnosis.meta.commit ? { versionControlProvenance: [{ repositoryUri: diagnosis.meta.url || diagnosis.meta.name, revisionId: diagnosis.meta.commit, branch: diagnosis.meta.branch }] } : {}),
+      results,
+      properties: { vibeScore: diagnosis.score, status: diagnosis.status }
+    }]
+  }, null, 2);
+};
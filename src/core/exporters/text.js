@@ -0,0 +1,75 @@
+// --- Exporter: plain text (terminal) ---
+const SEVERITY_TAGS = { critical: 'CRITICAL', warning: 'WARNING', info: 'INFO' };
+
+export const patientLabel = (meta) => `${meta.name}${meta.branch ? `@${meta.branch}` : ''}`;
+
+export const signed = (n) => `${n > 0 ? '+' : ''}${n}`;
+
+// "Python 72%, Shell 20%, +2 more" (older records without a breakdown fall back to the TS flag).
+export const languageSummary = ({ languages, meta }, limit = 3) => {
+  if (!languages) return meta.isTs ? 'TypeScript' : 'JavaScript';
+  if (!languages.breakdown.length) return 'no code detected';
+  const shown = languages.breakdown.slice(0, limit).map(l => `${l.name} ${l.share < 0.01 ? '<1' : Math.round(l.share * 100)}%`);
+  const rest = languages.breakdown.length - limit;
+  return shown.join(', ') + (rest > 0 ? `, +${rest} more` : '');
+};
+
+export const renderText = (diagnosis, { threshold } = {}) => {
+  const { meta } = diagnosis;
+  const lines = [
+    `Dr. Vibe — ${patientLabel(meta)} (${meta.source})`,
+    `Vibe Score: ${diagnosis.score}/100 (${diagnosis.status})`,
+    diagnosis.summary,
+    `${meta.fileCount} files, ${languageSummary(diagnosis)}${meta.deepScan ? `, deep scan read ${meta.contents.files} files (${meta.contents.skipped} skipped)` : ''}`
+  ];
+  if (meta.profile && meta.profile.id !== 'default') lines.push(`Scoring profile: ${meta.profile.label}`);
+  if (meta.config) meta.config.errors.forEach(err => lines.push(`WARNING: ${err}`));
+  if (meta.truncated) lines.push('WARNING: the file tree is too large to list completely; results are partial.');
+
+  const deps = diagnosis.dependencies;
+  if (deps && deps.manifests.length) {
+    lines.push(`${deps.total} direct deps (${deps.pinned} pinned, ${deps.floating} floating, ${deps.wildcard} wildcard) in ${deps.ecosystems.join(', ')}`);
+  }
+
+  const vitals = diagnosis.vitals;
+  if (vitals) {
+    const parts = [`last activity ${vitals.daysSinceActivity === null ? 'unknown' : `${vitals.daysSinceActivity}d ago`}`, `${vitals.commits.perWeek} commits/week`];
+    if (vitals.busFactor) parts.push(`top author ${Math.round(vitals.busFactor.share * 100)}%`);
+    if (vitals.issues) parts.push(`${vitals.issues.open} open / ${vitals.issues.closed} closed issues`);
+    if (vitals.pulls) parts.push(`${vitals.pulls.stale} stale of ${vitals.pulls.open} open PRs`);
+    if (vitals.releases) parts.push(`${vitals.releases.count} releases`);
+    lines.push(`Vitals: ${vitals.archived ? 'ARCHIVED, ' : ''}${parts.join(', ')}`);
+  }
+
+  const smells = diagnosis.smells;
+  if (smells) {
+    lines.push(`Smells: ${smells.sampled} of ${smells.candidates} source files sampled, ${smells.debug.count} debug statements, ${smells.todos.per1000} TODOs/1k lines, ${smells.longFunctions.length} long functions, nesting ${smells.maxNesting}, ${smells.generic.count} generic names`);
+  }
+
+  const pr = diagnosis.pullRequest;
+  if (pr) {
+    lines.push(`PR #${pr.number} ${pr.title}: ${pr.base.ref} ${pr.base.score} -> ${pr.head.ref} ${diagnosis.score} (${signed(pr.scoreDelta)}), ${pr.introduced.length} introduced, ${pr.fixed.length} fixed`);
+    pr.introduced.forEach(rx => lines.push(`  + ${rx.title} (${rx.id})`));
+    pr.fixed.forEach(rx => lines.push(`  - ${rx.title} (${rx.id})`));
+  }
+  lines.push('');
+
+  if (diagnosis.prescriptions.length === 0) lines.push('No major issues found. Good job!');
+  diagnosis.prescriptions.forEach(rx => {
+    lines.push(`[${SEVERITY_TAGS[rx.severity] || rx.severity}] ${rx.title} (${rx.id}, -${rx.penalty})`);
+    lines.push(`  ${rx.diagnosis}`);
+    lines.push(`  Rx: ${rx.treatment} [${rx.time}]`);
+  });
+
+  const suppressed = diagnosis.suppressed || [];
+  if (suppressed.length) {
+    lines.push('', `Suppressed by ${meta.config ? meta.config.path : 'config'}:`);
+    suppressed.forEach(rx => lines.push(`  ${rx.title} (${rx.id}${rx.location ? `, ${rx.location.path}` : ''}): ${rx.justification}`));
+  }
+
+  lines.push('', 'Rules: ' + diagnosis.rules.map(r => `${r.id}=${r.status}`).join(' '));
+  if (threshold !== undefined) {
+    lines.push(diagnosis.score < threshold ? `FAIL: score below threshold ${threshold}.` : `PASS: threshold ${threshold}.`);
+  }
+  return lines.join('\n');
+};
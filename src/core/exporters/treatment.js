@@ -0,0 +1,8 @@
+import { collectTreatment, renderPatch, renderScript } from '../treatments.js';
+import { patientLabel } from './text.js';
+
+// --- Exporter: treatment kit (see core/treatments.js) ---
+// Every open prescription's fix in one patch or one shell script.
+export const renderTreatmentPatch = (diagnosis) => renderPatch(collectTreatment(diagnosis.prescriptions), { title: patientLabel(diagnosis.meta) });
+
+export const renderTreatmentScript = (diagnosis) => renderScript(collectTreatment(diagnosis.prescriptions), { title: patientLabel(diagnosis.meta) });
@@ -0,0 +1,30 @@
+import { formatBytes } from './format.js';
+import { isEnvFile } from './secrets.js';
+
+// --- File Risk ---
+export const assessFile = (file, { isTypeScript = false } = {}) => {
+  let riskScore = 0;
+  let healthStatus = 'healthy';
+  const size = file.size || 0;
+
+  if (isEnvFile(file.path)) { riskScore = 100; healthStatus = 'critical'; }
+  else if (file.path.includes('node_modules')) { riskScore = 90; healthStatus = 'critical'; }
+  else if (size > 5 * 1024 * 1024) { riskScore = 80; healthStatus = 'warning'; }
+  else if (size > 1 * 1024 * 1024) { riskScore = 40; healthStatus = 'healthy'; }
+  else if (file.path.endsWith('.js') && !isTypeScript) { riskScore = 20; }
+  else { riskScore = 5; }
+
+  return {
+    name: file.path.length > 35 ? '...' + file.path.slice(-30) : file.path,
+    path: file.path,
+    health: healthStatus,
+    risk: riskScore,
+    sizeStr: formatBytes(size)
+  };
+};
+
+export const heaviestFiles = (files, { limit = 5, isTypeScript = false } = {}) => files
+  .filter(f => f.type === 'blob')
+  .sort((a, b) => (b.size || 0) - (a.size || 0))
+  .slice(0, limit)
+  .map(f => assessFile(f, { isTypeScript }));
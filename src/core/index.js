@@ -0,0 +1,33 @@
+// --- Dr. Vibe headless core (no React, no DOM) ---
+export { analyzeRepo, analyzePullRequest, diagnoseTree } from './analyze.js';
+export { diffDiagnoses, fingerprint } from './diff.js';
+export { parseWardInput, listOwnerRepos, diagnoseWard, wardMatrix } from './ward.js';
+export { clampScore, getStatus, STATUSES } from './scoring.js';
+export { assessFile, heaviestFiles } from './files.js';
+export { formatBytes } from './format.js';
+export { gitignoreFor, gitignoreAddition, envExample, readmeFor, mergeTreatments, collectTreatment, renderPatch, renderScript, shellQuote } from './treatments.js';
+export { encodeReport, decodeReport, PERMALINK_VERSION } from './permalink.js';
+export { SCAN_STAGES, trackStage, reduceProgress, isAbort, EMPTY_PROGRESS } from './progress.js';
+export { computeVitals, STALE_PR_DAYS } from './vitals.js';
+export { analyzeSource, sampleSources, summarizeSmells, getSmellReport, SMELL_SAMPLE_SIZE } from './smells.js';
+export { detectLanguages, languageOf, usesLanguage, LANGUAGES, LANGUAGE_MIN_SHARE } from './languages.js';
+export { PROFILES, DEFAULT_THRESHOLDS, CONFIG_FILE, parseRepoConfig, resolveProfile, findSuppression } from './profiles.js';
+export { loadContents, isTextCandidate, DEFAULT_BYTE_BUDGET, DEFAULT_ALLOWANCES } from './contents.js';
+export { buildDependencyReport, dependencyFiles, MANIFESTS, LOCKFILES } from './deps/index.js';
+export { parseToml } from './deps/toml.js';
+export { BUNDLED_ADVISORIES, normalizeAdvisories, createAdvisoryIndex, matchAdvisories } from './advisories/index.js';
+export { compareVersions } from './advisories/versions.js';
+export { scanText, redact, isEnvFile, DETECTORS } from './secrets.js';
+export { fetchGithubTree, fetchCompleteTree, fetchPullRequest, listGithubRefs, parseRepoInput, GITHUB_API } from './sources/github.js';
+export { createGithubClient, fetchRateLimit, githubError } from './sources/github-client.js';
+export { checkToken, PRIVATE_REPO_SCOPES } from './sources/auth.js';
+export { PROVIDERS, resolveSource, fetchRemoteTree } from './sources/providers.js';
+export { fetchGitlabTree, parseGitlabPath, GITLAB_API } from './sources/gitlab.js';
+export { fetchBitbucketTree, parseBitbucketPath, BITBUCKET_API } from './sources/bitbucket.js';
+export { fetchGiteaTree, parseGiteaPath, CODEBERG_API } from './sources/gitea.js';
+export { createApiClient, createMemoryCache, apiError } from './sources/http.js';
+export { treeFromZip, listZipEntries } from './sources/zip.js';
+export { treeFromFileList, treeFromDirectoryHandle, treeFromEntry } from './sources/local.js';
+export { buildTree, createIgnoreFilter } from './sources/tree.js';
+export { EXPORTERS, exportDiagnosis, exportFilename } from './exporters/index.js';
+export { registerRule, unregisterRule, getRules, runRules, collectReads } from '../rules/index.js';
@@ -0,0 +1,84 @@
+// --- Language Detection ---
+// Hosts that run linguist (GitHub, Gitea/Forgejo, GitLab) report a byte count or percentage per
+// language; everything else falls back to file extensions, weighted by size when the tree has
+// sizes and by file count when it doesn't (GitLab trees, some zips).
+export const LANGUAGES = [
+  { name: 'TypeScript', color: '#3178c6', match: /\.(ts|tsx|mts|cts)$/ },
+  { name: 'JavaScript', color: '#f1e05a', match: /\.(js|jsx|mjs|cjs)$/ },
+  { name: 'Python', color: '#3572A5', match: /\.(py|pyi)$/ },
+  { name: 'Go', color: '#00ADD8', match: /\.go$/ },
+  { name: 'Rust', color: '#dea584', match: /\.rs$/ },
+  { name: 'Java', color: '#b07219', match: /\.java$/ },
+  { name: 'Kotlin', color: '#A97BFF', match: /\.(kt|kts)$/ },
+  { name: 'Ruby', color: '#701516', match: /\.rb$/ },
+  { name: 'PHP', color: '#4F5D95', match: /\.php$/ },
+  { name: 'C#', color: '#178600', match: /\.cs$/ },
+  { name: 'C++', color: '#f34b7d', match: /\.(cpp|cc|cxx|hpp|hh)$/ },
+  { name: 'C', color: '#555555', match: /\.(c|h)$/ },
+  { name: 'Swift', color: '#F05138', match: /\.swift$/ },
+  { name: 'Dart', color: '#00B4AB', match: /\.dart$/ },
+  { name: 'Shell', color: '#89e051', match: /\.(sh|bash|zsh)$/ },
+  { name: 'Vue', color: '#41b883', match: /\.vue$/ },
+  { name: 'Svelte', color: '#ff3e00', match: /\.svelte$/ },
+  { name: 'HTML', color: '#e34c26', match: /\.html?$/ },
+  { name: 'SCSS', color: '#c6538c', match: /\.(scss|sass)$/ },
+  { name: 'CSS', color: '#563d7c', match: /\.css$/ }
+];
+
+const COLORS = new Map(LANGUAGES.map(l => [l.name, l.color]));
+const OTHER_COLOR = '#64748b';
+
+// Generated and vendored code says nothing about the project's own language.
+const IGNORED = /(^|\/)(node_modules|vendor|third_party|dist|build|target|\.yarn)\/|\.min\.(js|css)$/;
+
+// A language "counts" (and its rule pack runs) from this share of the code up.
+export const LANGUAGE_MIN_SHARE = 0.1;
+
+export const languageOf = (path) => {
+  const lang = LANGUAGES.find(l => l.match.test(path.toLowerCase()));
+  return lang ? lang.name : null;
+};
+
+/**
+ * files: the snapshot's file list. reported: { language: bytes or percent } from the host, or null.
+ * Returns { primary, source: 'host' | 'files', breakdown: [{ name, color, share, files }] } sorted
+ * by share, or a breakdown of [] when nothing looks like code.
+ */
+export const detectLanguages = (files, reported = null) => {
+  const counts = new Map();
+  const sizes = new Map();
+  files.forEach(f => {
+    if (f.type !== 'blob' || IGNORED.test(f.path)) return;
+    const name = languageOf(f.path);
+    if (!name) return;
+    counts.set(name, (counts.get(name) || 0) + 1);
+    sizes.set(name, (sizes.get(name) || 0) + (f.size || 0));
+  });
+
+  const fromHost = reported && Object.keys(reported).length > 0;
+  const hasSizes = Array.from(sizes.values()).some(Boolean);
+  const weights = fromHost ? new Map(Object.entries(reported)) : hasSizes ? sizes : counts;
+  const total = Array.from(weights.values()).reduce((sum, n) => sum + n, 0);
+
+  const breakdown = Array.from(weights.entries())
+    .filter(([, weight]) => weight > 0)
+    .map(([name, weight]) => ({
+      name,
+      color: COLORS.get(name) || OTHER_COLOR,
+      share: Math.round((weight / total) * 1000) / 1000,
+      files: counts.get(name) || 0
+    }))
+    .sort((a, b) => b.share - a.share);
+
+  return {
+    primary: breakdown.length ? breakdown[0].name : null,
+    source: fromHost ? 'host' : 'files',
+    breakdown
+  };
+};
+
+// True when any of `names` makes up at least LANGUAGE_MIN_SHARE of the code.
+export const usesLanguage = (languages, names) => {
+  const wanted = [].concat(names);
+  return !!languages && languages.breakdown.some(l => wanted.includes(l.name) && (l.share >= LANGUAGE_MIN_SHARE || l.name === languages.primary));
+};
@@ -0,0 +1,86 @@
+// --- Report Permalinks ---
+// A finished diagnosis packed into a URL-safe string (JSON, deflated, base64url), so a shared
+// link shows the same dashboard without touching the API again. It goes in the URL's #hash,
+// which browsers never send to the server.
+export const PERMALINK_VERSION = 1;
+
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+export const encodeReport = async (diagnosis, sharedAt = Date.now()) => {
+  const json = JSON.stringify({ v: PERMALINK_VERSION, sharedAt, diagnosis });
+  return toBase64Url(await pipe(new TextEncoder().encode(json), new CompressionStream('deflate')));
+};
+
+// A link's report is untrusted: whoever made it chose every field. Links are rendered as <a href>,
+// so any `url` (advisory.url, pr.url, meta.url, ...) that isn't http(s) is dropped.
+const SAFE_URL = /^https?:\/\//i;
+
+const dropUnsafeUrls = (value) => {
+  if (Array.isArray(value)) return value.map(dropUnsafeUrls);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .filter(([key, v]) => !/url$/i.test(key) || typeof v !== 'string' || SAFE_URL.test(v))
+    .map(([key, v]) => [key, dropUnsafeUrls(v)]));
+};
+
+// Everything the dashboard reads without checking has to be there with the right type, or a
+// hand-made link would crash it instead of showing an error.
+const isObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const isString = (v) => typeof v === 'string';
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const listOf = (v, item) => Array.isArray(v) && v.every(item);
+
+const isPrescription = (rx) => isObject(rx)
+  && [rx.id, rx.title, rx.severity, rx.time].every(isString)
+  && [rx.diagnosis, rx.treatment].every(v => v == null || isString(v))
+  && isNumber(rx.penalty)
+  && (rx.location == null || (isObject(rx.location) && isString(rx.location.path)));
+
+const isReport = (d) => isObject(d)
+  && isNumber(d.score) && isString(d.status) && isString(d.color)
+  && isObject(d.meta) && isString(d.meta.name)
+  && listOf(d.files, f => isObject(f) && isString(f.name) && isNumber(f.risk))
+  && listOf(d.prescriptions, isPrescription)
+  && (d.suppressed == null || listOf(d.suppressed, isPrescription))
+  && listOf(d.rules, r => isObject(r) && isString(r.id) && isString(r.status))
+  && (d.languages == null || (isObject(d.languages) && Array.isArray(d.languages.breakdown)))
+  && (d.vitals == null || isObject(d.vitals))
+  && (d.pullRequest == null || (isObject(d.pullRequest) && isNumber(d.pullRequest.scoreDelta)
+    && listOf(d.pullRequest.introduced, isPrescription) && listOf(d.pullRequest.fixed, isPrescription)));
+
+/**
+ * Unpacks encodeReport()'s output. Returns { diagnosis, sharedAt }; throws when the link is
+ * truncated, corrupted or from a newer version of Dr. Vibe.
+ */
+export const decodeReport = async (text) => {
+  let payload;
+  try {
+    const bytes = await pipe(fromBase64Url(text.trim()), new DecompressionStream('deflate'));
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error("This report link is damaged or incomplete. Ask for it to be copied again.");
+  }
+  if (!payload || payload.v !== PERMALINK_VERSION) {
+    throw new Error("This report link was made by a different version of Dr. Vibe.");
+  }
+  if (!isReport(payload.diagnosis)) {
+    throw new Error("This report link is damaged or incomplete. Ask for it to be copied again.");
+  }
+  // Treatment kits hold shell commands; only a local scan may hand those out.
+  const diagnosis = dropUnsafeUrls(payload.diagnosis);
+  const withoutFixes = (list) => (list || []).map(({ fix, ...rx }) => rx);
+  diagnosis.prescriptions = withoutFixes(diagnosis.prescriptions);
+  diagnosis.suppressed = withoutFixes(diagnosis.suppressed);
+  return { diagnosis, sharedAt: payload.sharedAt || null };
+};
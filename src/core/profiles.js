@@ -0,0 +1,120 @@
+// --- Scoring Profiles & .drvibe.json ---
+// A profile tunes how much each prescription costs (weights multiply a rule's penalty, 0 mutes
+// it) and where the thresholds sit: peak/stable for the status, the rest for individual rules.
+// A repo can commit a .drvibe.json to pick a profile, override weights and thresholds, and
+// suppress prescriptions it has a reason to live with:
+//   {
+//     "profile": "library",
+//     "weights": { "no-tests": 2, "js-scale": 0 },
+//     "thresholds": { "peak": 85, "bloatFiles": 5000 },
+//     "suppress": [{ "id": "env-leak", "path": "fixtures/.env", "justification": "Dummy values for tests" }]
+//   }
+export const CONFIG_FILE = '.drvibe.json';
+
+export const DEFAULT_THRESHOLDS = { peak: 80, stable: 50, bloatFiles: 1000, sparseFiles: 5, longFile: 600, longFunction: 80, nesting: 4 };
+
+export const PROFILES = {
+  default: {
+    label: 'Balanced',
+    description: 'Every rule at its stock penalty.',
+    weights: {},
+    thresholds: {}
+  },
+  library: {
+    label: 'Library',
+    description: 'Published packages: tests and types matter more, ranges are expected and lockfiles are optional.',
+    weights: { 'no-tests': 2, 'js-scale': 2, 'dep-floating': 0, 'no-lock': 0.5, 'release-cadence': 2 },
+    thresholds: { peak: 85, stable: 60 }
+  },
+  app: {
+    label: 'Application',
+    description: 'Deployed apps: reproducible installs and known vulnerabilities weigh more.',
+    weights: { 'no-lock': 2, 'dep-wildcard': 1.5, 'vulnerable-dep': 1.5, 'release-cadence': 0 },
+    thresholds: {}
+  },
+  monorepo: {
+    label: 'Monorepo',
+    description: 'Many packages in one tree: size is expected, version drift between workspaces is not.',
+    weights: { 'dep-conflict': 2 },
+    thresholds: { bloatFiles: 20000 }
+  },
+  'docs-site': {
+    label: 'Docs Site',
+    description: 'Documentation and static sites: no test suite or TypeScript expected.',
+    weights: { 'no-tests': 0, 'js-scale': 0, 'bus-factor': 0.5, 'release-cadence': 0 },
+    thresholds: { peak: 75, stable: 45, bloatFiles: 5000 }
+  }
+};
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Parses and validates .drvibe.json. Never throws: whatever is malformed is dropped and
+ * described in `errors`, so a bad config degrades to the defaults instead of failing the scan.
+ * Returns { profile, weights, thresholds, suppress: [{ id, path?, justification }], errors }.
+ */
+export const parseRepoConfig = (text) => {
+  const config = { profile: null, weights: {}, thresholds: {}, suppress: [], errors: [] };
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch (err) {
+    config.errors.push(`${CONFIG_FILE} is not valid JSON: ${err.message}`);
+    return config;
+  }
+  if (!isObject(raw)) {
+    config.errors.push(`${CONFIG_FILE} must contain an object.`);
+    return config;
+  }
+
+  if (raw.profile !== undefined) {
+    if (PROFILES[raw.profile]) config.profile = raw.profile;
+    else config.errors.push(`Unknown profile '${raw.profile}'. Use ${Object.keys(PROFILES).join(', ')}.`);
+  }
+
+  const numbers = (key) => {
+    if (raw[key] === undefined) return;
+    if (!isObject(raw[key])) { config.errors.push(`'${key}' must be an object.`); return; }
+    Object.entries(raw[key]).forEach(([id, value]) => {
+      if (typeof value === 'number' && value >= 0) config[key][id] = value;
+      else config.errors.push(`${key}.${id} must be a number of 0 or more.`);
+    });
+  };
+  numbers('weights');
+  numbers('thresholds');
+
+  if (raw.suppress !== undefined) {
+    if (!Array.isArray(raw.suppress)) config.errors.push(`'suppress' must be an array.`);
+    else raw.suppress.forEach((entry, i) => {
+      if (!isObject(entry) || typeof entry.id !== 'string') config.errors.push(`suppress[${i}] needs an 'id'.`);
+      else if (typeof entry.justification !== 'string' || !entry.justification.trim()) config.errors.push(`suppress[${i}] (${entry.id}) needs a 'justification'.`);
+      else config.suppress.push({ id: entry.id, ...(typeof entry.path === 'string' ? { path: entry.path } : {}), justification: entry.justification.trim() });
+    });
+  }
+
+  return config;
+};
+
+/**
+ * Profile to score with: an explicit `profile` option wins over the repo's config, then
+ * 'default'. The config's own weights and thresholds are layered on top.
+ * Returns { id, label, weights, thresholds }.
+ */
+export const resolveProfile = (id, config = null) => {
+  const profileId = PROFILES[id] ? id : (config && config.profile) || 'default';
+  const profile = PROFILES[profileId];
+  return {
+    id: profileId,
+    label: profile.label,
+    weights: { ...profile.weights, ...(config ? config.weights : {}) },
+    thresholds: { ...DEFAULT_THRESHOLDS, ...profile.thresholds, ...(config ? config.thresholds : {}) }
+  };
+};
+
+// True when `path` is `scope` itself or lies inside the `scope` directory.
+const withinPath = (path, scope) => path === scope || path.startsWith(scope.replace(/\/?$/, '/'));
+
+// The suppression entry that covers a prescription, if any (path-scoped entries match the file or a directory above it).
+export const findSuppression = (rx, suppress = []) => suppress.find(s =>
+  s.id === rx.id && (!s.path || (rx.location && withinPath(rx.location.path, s.path)))
+);
@@ -0,0 +1,62 @@
+// --- Scan Progress ---
+// The engine reports what it is actually doing through an `onProgress(event)` callback:
+//   { type: 'stage', stage, state: 'start' | 'done' }                  a pipeline stage (SCAN_STAGES)
+//   { type: 'request', url, status, cached }                           one API response
+//   { type: 'file', path }                                             one file's contents read
+//   { type: 'rule', id, status, hits }                                 one rule evaluated
+// Every event carries `side: 'base' | 'head'` while a pull request's two trees are diagnosed.
+export const SCAN_STAGES = {
+  pull: 'Fetching pull request',
+  tree: 'Loading file tree',
+  contents: 'Reading file contents',
+  vitals: 'Checking activity',
+  rules: 'Running diagnostic rules'
+};
+
+// Runs `fn` as a stage, announcing its start and end. An aborted `signal` stops the scan between stages.
+export const trackStage = async ({ onProgress = () => {}, signal = null }, stage, fn) => {
+  if (signal) signal.throwIfAborted();
+  onProgress({ type: 'stage', stage, state: 'start' });
+  const result = await fn();
+  if (signal) signal.throwIfAborted();
+  onProgress({ type: 'stage', stage, state: 'done' });
+  return result;
+};
+
+export const isAbort = (err) => !!err && err.name === 'AbortError';
+
+/**
+ * Folds progress events into what the scanner screen shows:
+ * { stages: [{ key, stage, side, label, state, requests, files, rules, findings }], requests, cached, files, rules, findings }.
+ * Counters are attributed to whichever stage is running.
+ */
+export const reduceProgress = (state, event) => {
+  const next = { ...state, stages: state.stages.slice() };
+  const current = next.stages.length - 1;
+  const bump = (field, by = 1) => {
+    next[field] = (next[field] || 0) + by;
+    if (current >= 0 && next.stages[current].state === 'start') next.stages[current] = { ...next.stages[current], [field]: (next.stages[current][field] || 0) + by };
+  };
+
+  if (event.type === 'stage') {
+    const key = `${event.side || ''}:${event.stage}`;
+    const index = next.stages.findIndex(s => s.key === key);
+    if (event.state === 'start' || index < 0) {
+      const label = `${event.side ? `${event.side === 'base' ? 'Base' : 'Head'}: ` : ''}${SCAN_STAGES[event.stage] || event.stage}`;
+      next.stages.push({ key, stage: event.stage, side: event.side || null, label, state: event.state, requests: 0, files: 0, rules: 0, findings: 0 });
+    } else {
+      next.stages[index] = { ...next.stages[index], state: event.state };
+    }
+  } else if (event.type === 'request') {
+    bump('requests');
+    if (event.cached) next.cached = (next.cached || 0) + 1;
+  } else if (event.type === 'file') {
+    bump('files');
+  } else if (event.type === 'rule') {
+    bump('rules');
+    if (event.hits) bump('findings', event.hits);
+  }
+  return next;
+};
+
+export const EMPTY_PROGRESS = { stages: [], requests: 0, cached: 0, files: 0, rules: 0, findings: 0 };
@@ -0,0 +1,15 @@
+// --- Vibe Score ---
+export const clampScore = (score) => Math.max(0, Math.min(100, score));
+
+export const STATUSES = [
+  { min: 80, status: "Peak Form", color: "text-emerald-400", summary: "Excellent code hygiene. Ready for production." },
+  { min: 50, status: "Stable", color: "text-amber-400", summary: "Functional, but showing signs of fatigue." },
+  { min: 0, status: "Critical", color: "text-rose-500", summary: "This repository needs immediate life support." }
+];
+
+// thresholds: { peak, stable } from the scoring profile; defaults to the mins above.
+export const getStatus = (score, { peak = STATUSES[0].min, stable = STATUSES[1].min } = {}) => {
+  const mins = [peak, stable, 0];
+  const { status, color, summary } = STATUSES.find((s, i) => score >= mins[i]) || STATUSES[STATUSES.length - 1];
+  return { status, color, summary };
+};
@@ -0,0 +1,65 @@
+// --- Secret Detectors ---
+// Findings never carry the raw secret: only a redacted preview leaves this module.
+
+const ENV_TEMPLATE = /\.(example|sample|template|dist|defaults|schema)$/i;
+
+// .env, .env.local, .env.production... but not .env.example, .envrc or src/environment.ts
+export const isEnvFile = (path) => {
+  const name = path.split('/').pop();
+  return /^\.env(\..+)?$/i.test(name) && !ENV_TEMPLATE.test(name);
+};
+
+export const shannonEntropy = (str) => {
+  const counts = {};
+  for (const ch of str) counts[ch] = (counts[ch] || 0) + 1;
+  return Object.values(counts).reduce((sum, n) => {
+    const p = n / str.length;
+    return sum - p * Math.log2(p);
+  }, 0);
+};
+
+export const redact = (secret) => {
+  const visible = secret.length > 12 ? 4 : 0;
+  return `${secret.slice(0, visible)}${'•'.repeat(8)} (${secret.length} chars)`;
+};
+
+const PLACEHOLDER = /^(x+|\*+|your[_-]|<.*>|\$\{.*\}|changeme|example|dummy|test|process\.env)/i;
+// URLs and paths under a token-ish key (githubTokenUrl, tokenPath) are where a secret lives, not the secret.
+const LOCATION = /:\/\/|^[/.]/;
+
+export const DETECTORS = [
+  { id: 'aws-access-key', label: 'AWS Access Key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: 'aws-secret-key', label: 'AWS Secret Access Key', pattern: /aws.{0,20}?(?:secret|private).{0,20}?['"=:\s]([0-9a-zA-Z/+]{40})\b/gi, group: 1 },
+  { id: 'github-pat', label: 'GitHub Token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g },
+  { id: 'stripe-key', label: 'Stripe Secret Key', pattern: /\b(?:sk|rk)_(?:live|test)_[0-9a-zA-Z]{24,}\b/g },
+  { id: 'private-key', label: 'Private Key (PEM)', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |PGP |ENCRYPTED )?PRIVATE KEY(?: BLOCK)?-----/g },
+  { id: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    id: 'high-entropy',
+    label: 'High-Entropy Secret',
+    pattern: /(?:secret|token|passw(?:or)?d|pwd|api[_-]?key|access[_-]?key|auth)[\w-]*['"]?\s*[:=]\s*['"]([^'"\s]{16,})['"]/gi,
+    group: 1,
+    accept: (value) => !PLACEHOLDER.test(value) && !LOCATION.test(value) && shannonEntropy(value) > 4
+  }
+];
+
+/**
+ * Scans one file's text. Returns [{ detector, label, path, line, preview }].
+ * A line only reports the first detector that matched it, so a JWT assigned
+ * to `token = "..."` is not reported twice.
+ */
+export const scanText = (path, text, detectors = DETECTORS) => {
+  const findings = [];
+  text.split(/\r?\n/).forEach((lineText, i) => {
+    for (const detector of detectors) {
+      detector.pattern.lastIndex = 0;
+      const match = detector.pattern.exec(lineText);
+      if (!match) continue;
+      const secret = match[detector.group || 0];
+      if (detector.accept && !detector.accept(secret)) continue;
+      findings.push({ detector: detector.id, label: detector.label, path, line: i + 1, preview: redact(secret) });
+      break;
+    }
+  });
+  return findings;
+};
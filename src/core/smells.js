@@ -0,0 +1,267 @@
+import { languageOf } from './languages.js';
+
+// --- Code Smell Sampling ---
+// A bounded sample of source files is read and tokenized just far enough to tell code from
+// comments and strings, then measured: debug statements, TODO density, file and function
+// length, nesting depth and generic names. Rules and the dashboard panel share one report.
+export const SMELL_SAMPLE_SIZE = 20;
+export const SMELL_MAX_FILE_SIZE = 100 * 1024;
+
+// Brace languages share one scanner; Python gets an indentation-based one.
+const FAMILIES = {
+  JavaScript: 'c', TypeScript: 'c', Go: 'c', Rust: 'c', Java: 'c', Kotlin: 'c', 'C#': 'c',
+  'C++': 'c', C: 'c', Swift: 'c', PHP: 'c', Dart: 'c', Python: 'python'
+};
+
+const SKIP = /(^|\/)(node_modules|vendor|third_party|dist|build|target|generated|__generated__|migrations|test|tests|__tests__|spec|fixtures)\/|\.min\.|\.d\.ts$|\.(test|spec)\.|_test\.(go|py)$|(^|\/)test_[^/]*\.py$/;
+
+const DEBUG = {
+  JavaScript: /\bconsole\.(log|debug|trace|dir|table)\s*\(|\bdebugger\b/,
+  TypeScript: /\bconsole\.(log|debug|trace|dir|table)\s*\(|\bdebugger\b/,
+  Python: /^\s*print\s*\(|\bbreakpoint\s*\(|\bpdb\.set_trace\s*\(/,
+  Go: /\bfmt\.Print(ln|f)?\s*\(|^\s*println\s*\(|\bspew\.Dump\s*\(/,
+  Rust: /\bdbg!\s*\(/,
+  Java: /\bSystem\.(out|err)\.print(ln|f)?\s*\(|\.printStackTrace\s*\(/,
+  Kotlin: /^\s*println\s*\(|\.printStackTrace\s*\(/,
+  'C#': /\bConsole\.Write(Line)?\s*\(|\bDebug\.Write(Line)?\s*\(/,
+  PHP: /\b(var_dump|print_r|dd)\s*\(/,
+  Swift: /^\s*(print|debugPrint|dump)\s*\(/,
+  Dart: /^\s*print\s*\(/
+};
+
+const TODO = /\b(TODO|FIXME|HACK|XXX)\b/g;
+const GENERIC = /^(data|temp|tmp|foo|bar|baz|qux|thing|stuff|obj|info|val)\d*$/;
+const DECLARATIONS = [
+  /\b(?:const|let|var|val|auto|mut)\s+([A-Za-z_$][\w$]*)/g,
+  /\b([A-Za-z_]\w*)\s*:=/g,
+  /\b(?:int|long|double|float|boolean|bool|char|String|string|Object|object|Map|List)(?:<[^>]*>)?\s+([a-z]\w*)\s*[=;]/g
+];
+const PY_ASSIGNMENT = /^\s*([A-Za-z_]\w*)\s*=(?!=)/;
+
+const CONTROL = /^(\}\s*)?(if|else|for|foreach|while|do|switch|match|when|try|catch|except|finally|with|loop|select)\b/;
+const TYPE_BLOCK = /\b(class|struct|interface|enum|impl|trait|namespace|module|object|record|union)\b/;
+const FUNCTION_KEYWORD = /\b(function|func|fn|fun)\b/;
+const CALL_SIGNATURE = /[A-Za-z_$][\w$]*\s*\([^;{}]*\)\s*(:\s*[\w<>[\]|.,? ]+|throws\s+[\w., ]+|->\s*[^{]+|const|override|noexcept)?\s*$/;
+
+const functionName = (header) => {
+  const match = header.match(/\b(?:function|func|fn|fun|def)\b\s*\*?\s*(?:\([^)]*\)\s*)?([A-Za-z_$][\w$]*)/)
+    || header.match(/([A-Za-z_$][\w$]*)\s*[:=]\s*(?:async\s*)?(?:function\b|\(?[^()]*\)?\s*=>)/)
+    || header.match(/([A-Za-z_$][\w$]*)\s*\([^()]*\)[^()]*$/);
+  return match ? match[1] : '(anonymous)';
+};
+
+/**
+ * Blanks strings and removes comments, keeping line breaks so line numbers survive.
+ * Returns { code: [line], comments: [{ line, text }] }.
+ */
+const strip = (text, family) => {
+  const comments = [];
+  let code = '';
+  let line = 1;
+  const lineComment = family === 'python' ? '#' : '//';
+  const quotes = family === 'python' ? ['"""', "'''", '"', "'"] : ['`', '"', "'"];
+
+  for (let i = 0; i < text.length;) {
+    if (text.startsWith(lineComment, i)) {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      comments.push({ line, text: text.slice(i, stop) });
+      i = stop;
+      continue;
+    }
+    if (family === 'c' && text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      const body = text.slice(i, stop);
+      comments.push({ line, text: body });
+      const breaks = body.split('\n').length - 1;
+      code += '\n'.repeat(breaks);
+      line += breaks;
+      i = stop;
+      continue;
+    }
+    const quote = quotes.find(q => text.startsWith(q, i));
+    if (quote) {
+      const multiline = quote.length === 3 || quote === '`';
+      let j = i + quote.length;
+      while (j < text.length && !text.startsWith(quote, j)) {
+        if (text[j] === '\\') j++;
+        else if (text[j] === '\n' && !multiline) break;
+        j++;
+      }
+      const breaks = text.slice(i, j).split('\n').length - 1;
+      code += `${quote}${quote}` + '\n'.repeat(breaks);
+      line += breaks;
+      i = text.startsWith(quote, j) ? j + quote.length : j;
+      continue;
+    }
+    if (text[i] === '\n') line++;
+    code += text[i];
+    i++;
+  }
+  return { code: code.split('\n'), comments };
+};
+
+// Control blocks open inside the innermost function (or at the top level).
+const controlDepth = (stack) => stack.slice(stack.map(f => f.kind).lastIndexOf('function') + 1).filter(f => f.kind === 'control').length;
+
+// Functions and control-flow nesting from braces. The header of a block is the code before
+// its `{`, plus the previous line for brace-on-next-line styles and `) {` continuations.
+const scanBraces = (code) => {
+  const functions = [];
+  const stack = [];
+  let nesting = { depth: 0, line: 0 };
+
+  code.forEach((text, index) => {
+    const line = index + 1;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '{') {
+        const before = text.slice(start, i).trim();
+        const header = (before && !/^[)\]]/.test(before) ? before : `${(code[index - 1] || '').trim()} ${text.slice(0, i).trim()}`).trim();
+        let kind = 'block';
+        if (CONTROL.test(header)) kind = 'control';
+        else if (!TYPE_BLOCK.test(header) && (FUNCTION_KEYWORD.test(header) || /=>\s*$/.test(header) || CALL_SIGNATURE.test(header))) kind = 'function';
+        stack.push({ kind, line, name: kind === 'function' ? functionName(header) : null });
+        if (kind === 'control') {
+          const depth = controlDepth(stack);
+          if (depth > nesting.depth) nesting = { depth, line };
+        }
+        start = i + 1;
+      } else if (text[i] === '}') {
+        const frame = stack.pop();
+        if (frame && frame.kind === 'function') functions.push({ name: frame.name, line: frame.line, length: line - frame.line + 1 });
+        start = i + 1;
+      } else if (text[i] === ';') {
+        start = i + 1;
+      }
+    }
+  });
+  return { functions, nesting };
+};
+
+const scanIndentation = (code) => {
+  const functions = [];
+  const stack = [];
+  let nesting = { depth: 0, line: 0 };
+  let lastLine = 0;
+
+  const close = (frame) => { if (frame.kind === 'function') functions.push({ name: frame.name, line: frame.line, length: lastLine - frame.line + 1 }); };
+
+  code.forEach((text, index) => {
+    if (!text.trim()) return;
+    const line = index + 1;
+    const indent = text.replace(/\t/g, '    ').match(/^ */)[0].length;
+    while (stack.length && stack[stack.length - 1].indent >= indent) close(stack.pop());
+
+    const def = text.match(/^\s*(?:async\s+)?def\s+(\w+)/);
+    if (def) stack.push({ kind: 'function', indent, line, name: def[1] });
+    else if (/^\s*(if|elif|else|for|while|with|try|except|finally|match|case)\b.*:\s*$/.test(text)) {
+      stack.push({ kind: 'control', indent, line });
+      const depth = controlDepth(stack);
+      if (depth > nesting.depth) nesting = { depth, line };
+    }
+    lastLine = line;
+  });
+  while (stack.length) close(stack.pop());
+  return { functions, nesting };
+};
+
+/**
+ * Measures one file. Returns { path, language, lines, debug: [line], todos,
+ * functions: [{ name, line, length }], nesting: { depth, line }, generic: [{ name, line }] }.
+ */
+export const analyzeSource = (path, text) => {
+  const language = languageOf(path);
+  const family = FAMILIES[language];
+  const { code, comments } = strip(text, family);
+  const { functions, nesting } = family === 'python' ? scanIndentation(code) : scanBraces(code);
+
+  const debug = [];
+  const generic = [];
+  const debugPattern = DEBUG[language];
+  code.forEach((lineText, index) => {
+    if (debugPattern && debugPattern.test(lineText)) debug.push(index + 1);
+    const names = family === 'python'
+      ? [(lineText.match(PY_ASSIGNMENT) || [])[1]]
+      : DECLARATIONS.flatMap(pattern => Array.from(lineText.matchAll(pattern), m => m[1]));
+    names.filter(name => name && GENERIC.test(name)).forEach(name => generic.push({ name, line: index + 1 }));
+  });
+
+  return {
+    path,
+    language,
+    lines: text.split('\n').length,
+    debug,
+    todos: comments.reduce((sum, c) => sum + (c.text.match(TODO) || []).length, 0),
+    functions: functions.sort((a, b) => b.length - a.length),
+    nesting,
+    generic
+  };
+};
+
+/**
+ * The files to sample: the largest half of the quota (where smells collect), the rest spread
+ * evenly over the remaining candidates so one corner of the repo can't dominate.
+ */
+export const sampleSources = (files, size = SMELL_SAMPLE_SIZE) => {
+  const candidates = files.filter(f => f.type === 'blob' && FAMILIES[languageOf(f.path)] && !SKIP.test(f.path) && (f.size || 0) <= SMELL_MAX_FILE_SIZE);
+  if (candidates.length <= size) return candidates.map(f => f.path);
+  const bySize = [...candidates].sort((a, b) => (b.size || 0) - (a.size || 0));
+  const largest = bySize[0].size ? bySize.slice(0, Math.floor(size / 2)) : [];
+  const rest = candidates.filter(f => !largest.includes(f)).sort((a, b) => a.path.localeCompare(b.path));
+  const step = rest.length / (size - largest.length);
+  const spread = Array.from({ length: size - largest.length }, (_, i) => rest[Math.floor(i * step)]);
+  return [...largest, ...spread].map(f => f.path);
+};
+
+const worst = (items, key, limit = 3) => items.filter(item => item[key] > 0).sort((a, b) => b[key] - a[key]).slice(0, limit);
+
+/**
+ * Aggregates the per-file reports. limits: { longFile, longFunction, nesting } (profile thresholds).
+ * Returns null when nothing was sampled.
+ */
+export const summarizeSmells = (reports, candidates, limits) => {
+  if (!reports.length) return null;
+  const lines = reports.reduce((sum, r) => sum + r.lines, 0);
+  const todos = reports.reduce((sum, r) => sum + r.todos, 0);
+  const perFile = reports.map(r => ({ path: r.path, line: r.debug[0], debug: r.debug.length, todos: r.todos, generic: r.generic.length }));
+  const genericNames = new Map();
+  reports.forEach(r => r.generic.forEach(g => genericNames.set(g.name, (genericNames.get(g.name) || 0) + 1)));
+
+  return {
+    sampled: reports.length,
+    candidates,
+    lines,
+    limits,
+    debug: { count: reports.reduce((sum, r) => sum + r.debug.length, 0), worst: worst(perFile, 'debug') },
+    todos: { count: todos, per1000: Math.round((todos / lines) * 10000) / 10, worst: worst(perFile, 'todos') },
+    longFiles: reports.filter(r => r.lines > limits.longFile).map(r => ({ path: r.path, lines: r.lines })).sort((a, b) => b.lines - a.lines),
+    longFunctions: reports
+      .flatMap(r => r.functions.filter(fn => fn.length > limits.longFunction).map(fn => ({ path: r.path, ...fn })))
+      .sort((a, b) => b.length - a.length),
+    nesting: reports
+      .filter(r => r.nesting.depth > limits.nesting)
+      .map(r => ({ path: r.path, ...r.nesting }))
+      .sort((a, b) => b.depth - a.depth),
+    maxNesting: Math.max(...reports.map(r => r.nesting.depth)),
+    generic: {
+      count: reports.reduce((sum, r) => sum + r.generic.length, 0),
+      names: Array.from(genericNames.entries()).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([name]) => name),
+      worst: worst(perFile, 'generic').map(f => ({ ...f, line: reports.find(r => r.path === f.path).generic[0].line }))
+    }
+  };
+};
+
+// Shared by the smell rules and the engine; computed once per scan.
+const reports = new WeakMap();
+
+export const getSmellReport = (ctx) => {
+  if (!reports.has(ctx.contents)) {
+    const { longFile, longFunction, nesting } = ctx.profile.thresholds;
+    const sample = sampleSources(ctx.files).filter(path => ctx.contents.has(path));
+    const candidates = ctx.files.filter(f => f.type === 'blob' && FAMILIES[languageOf(f.path)] && !SKIP.test(f.path)).length;
+    reports.set(ctx.contents, summarizeSmells(sample.map(path => analyzeSource(path, ctx.contents.get(path))), candidates, { longFile, longFunction, nesting }));
+  }
+  return reports.get(ctx.contents);
+};
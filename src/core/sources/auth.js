@@ -0,0 +1,49 @@
+import { createGithubClient } from './github-client.js';
+import { createGitlabClient } from './gitlab.js';
+import { createBitbucketClient } from './bitbucket.js';
+import { createGiteaClient } from './gitea.js';
+
+// --- Token Check ---
+// Who a token belongs to, what it may do and how much quota it has left, without touching a repo.
+
+// Any one of these lets a token read private repositories. Fine-grained GitHub tokens and
+// Gitea tokens don't report scopes, so for them the answer is "unknown".
+export const PRIVATE_REPO_SCOPES = {
+  github: ['repo'],
+  gitlab: ['api', 'read_api'],
+  bitbucket: ['repository', 'read:repository:bitbucket'],
+  gitea: ['read:repository', 'write:repository', 'all']
+};
+
+const CLIENTS = { github: createGithubClient, gitlab: createGitlabClient, bitbucket: createBitbucketClient, gitea: createGiteaClient };
+
+const splitScopes = (header) => (header === null || header === undefined ? null : header.split(/[,\s]+/).filter(Boolean));
+
+/**
+ * checkToken({ provider, token, apiBase, fetch }) where provider is a PROVIDERS id.
+ * Resolves { login, scopes: string[] | null, expiresAt, rateLimit, canReadPrivate: true | false | null }.
+ * A rejected token throws the client's BAD_CREDENTIALS error.
+ */
+export const checkToken = async ({ provider, token, apiBase, fetch = globalThis.fetch }) => {
+  const client = CLIENTS[provider]({ token, apiBase, fetch, cache: null });
+  const { data: user, headers } = await client.request('/user');
+  let scopes = splitScopes(headers.get('x-oauth-scopes'));
+  let expiresAt = headers.get('github-authentication-token-expiration');
+
+  if (provider === 'gitlab') {
+    const { data: self } = await client.request('/personal_access_tokens/self', { allow: [401, 403, 404] });
+    if (self) {
+      scopes = self.scopes || null;
+      expiresAt = self.expires_at;
+    }
+  }
+
+  const needed = PRIVATE_REPO_SCOPES[provider];
+  return {
+    login: user.login || user.username || user.nickname || user.display_name || null,
+    scopes,
+    expiresAt: expiresAt || null,
+    rateLimit: client.rateLimit(),
+    canReadPrivate: scopes ? scopes.some(scope => needed.includes(scope)) : null
+  };
+};
@@ -0,0 +1,97 @@
+import { apiError, createApiClient } from './http.js';
+
+// --- Source: Bitbucket Cloud REST API (2.0) ---
+export const BITBUCKET_API = 'https://api.bitbucket.org/2.0';
+
+const MAX_TREE_PAGES = 200; // 100 entries each
+const MAX_DEPTH = 64;
+
+// workspace/repo, optionally followed by /src/<ref>/... or suffixed with @ref.
+export const parseBitbucketPath = (path) => {
+  const parts = path.replace(/\/$/, '').replace(/\.git$/, '').split('/').filter(Boolean);
+  if (parts.length < 2) throw new Error("Invalid format. Use 'workspace/repo'");
+  const [workspace, repoWithRef, kind, srcRef] = parts;
+  const [repo, atRef] = repoWithRef.split('@');
+  return { workspace, repo, ref: kind === 'src' && srcRef ? srcRef : atRef || null };
+};
+
+// Access tokens go in as Bearer; "username:app-password" as Basic auth.
+export const createBitbucketClient = ({ token = null, apiBase = BITBUCKET_API, ...options } = {}) => createApiClient({
+  ...options,
+  apiBase,
+  service: 'Bitbucket',
+  token,
+  authHeaders: { Authorization: token && token.includes(':') ? `Basic ${btoa(token)}` : `Bearer ${token}` }
+});
+
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export const fetchBitbucketTree = async (path, options = {}) => {
+  const client = options.client || createBitbucketClient(options);
+  const { workspace, repo, ref } = parseBitbucketPath(path);
+  const base = `/repositories/${workspace}/${repo}`;
+
+  const repoData = await client.json(base).catch(err => {
+    if (err.code === 'NOT_FOUND' || err.code === 'FORBIDDEN') throw apiError('NOT_FOUND', `${workspace}/${repo} not found on Bitbucket${client.token ? ', or your token has no access to it' : '. If it is private, add a token'}.`, { status: err.status });
+    throw err;
+  });
+  const requestedRef = options.ref || ref;
+  const branch = requestedRef || (repoData.mainbranch && repoData.mainbranch.name) || null;
+
+  const commitRes = branch ? await client.request(`${base}/commit/${encodeURIComponent(branch)}`, { allow: [404] }) : { status: 404 };
+  const commit = commitRes.status === 200 ? commitRes.data.hash : null;
+  if (requestedRef && !commit) throw new Error(`No branch, tag or commit named '${requestedRef}' in ${workspace}/${repo}.`);
+
+  const files = [];
+  let truncated = false;
+  if (commit) {
+    let url = `${base}/src/${commit}/?max_depth=${MAX_DEPTH}&pagelen=100`;
+    for (let page = 0; url; page++) {
+      if (page >= MAX_TREE_PAGES) { truncated = true; break; }
+      const data = await client.json(url);
+      (data.values || []).forEach(e => {
+        if (e.type === 'commit_directory') files.push({ path: e.path, type: 'tree' });
+        else if (e.type === 'commit_file') files.push({ path: e.path, type: 'blob', size: e.size || 0 });
+      });
+      url = data.next || null;
+    }
+  }
+
+  const readFile = (filePath) => client.text(`${base}/src/${commit}/${encodePath(filePath)}`);
+
+  // Bitbucket has no release objects and its issue tracker is usually off, so those stay null.
+  const readVitals = async () => {
+    const [commits, pulls] = await Promise.all([
+      commit ? client.json(`${base}/commits/${commit}?pagelen=100`) : { values: [] },
+      client.json(`${base}/pullrequests?state=OPEN&pagelen=50`).catch(() => null)
+    ]);
+
+    return {
+      pushedAt: repoData.updated_on,
+      archived: false,
+      commits: (commits.values || []).map(c => ({ date: c.date, author: c.author && c.author.user ? c.author.user.nickname : c.author && c.author.raw })),
+      issues: null,
+      pulls: pulls ? { open: pulls.size ?? pulls.values.length, updated: pulls.values.map(p => p.updated_on) } : null,
+      releases: null
+    };
+  };
+
+  return {
+    files,
+    readFile,
+    readVitals,
+    repo: repoData,
+    meta: {
+      source: 'bitbucket',
+      name: `${workspace}/${repo}`,
+      owner: workspace,
+      repo,
+      host: 'bitbucket.org',
+      url: repoData.links && repoData.links.html ? repoData.links.html.href : `https://bitbucket.org/${workspace}/${repo}`,
+      branch,
+      commit,
+      defaultBranch: repoData.mainbranch ? repoData.mainbranch.name : null,
+      ...(truncated ? { truncated: true } : {})
+    }
+  };
+};
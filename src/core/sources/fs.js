@@ -0,0 +1,84 @@
+import { execFileSync } from 'node:child_process';
+import { readdirSync, readFileSync, statSync } from 'node:fs';
+import { basename, join, relative, resolve, sep } from 'node:path';
+import { buildTree, createIgnoreFilter, IGNORED_DIRS } from './tree.js';
+import { treeFromZip } from './zip.js';
+
+// --- Source: local path (Node only, kept out of core/index.js so the browser bundle stays clean) ---
+const git = (cwd, args) => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+
+// Inside a git checkout we list what git would ship: tracked files plus new, non-ignored ones.
+const listGitFiles = (dir) => {
+  try {
+    return git(dir, ['ls-files', '-z', '--cached', '--others', '--exclude-standard']).split('\0').filter(Boolean);
+  } catch {
+    return null;
+  }
+};
+
+// Anywhere else, everything on disk minus what the root .gitignore names (see createIgnoreFilter).
+const readIgnoreFilter = (dir) => {
+  try { return createIgnoreFilter(readFileSync(join(dir, '.gitignore'), 'utf8')); }
+  catch { return () => false; }
+};
+
+const walk = (dir, root = dir, ignore = readIgnoreFilter(root), out = []) => {
+  readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const full = join(dir, entry.name);
+    const path = relative(root, full).split(sep).join('/');
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name) && !ignore(path, true)) walk(full, root, ignore, out);
+    } else if (entry.isFile() && !ignore(path)) {
+      out.push(path);
+    }
+  });
+  return out;
+};
+
+const revParse = (dir, ...args) => {
+  try { return git(dir, ['rev-parse', ...args, 'HEAD']); } catch { return null; }
+};
+
+export const treeFromPath = (path) => {
+  const target = resolve(path);
+  const stats = statSync(target);
+
+  if (stats.isFile()) {
+    if (!target.endsWith('.zip')) throw new Error(`'${path}' is not a directory or .zip archive.`);
+    return treeFromZip(readFileSync(target), { name: basename(target) });
+  }
+
+  const paths = listGitFiles(target) || walk(target);
+  const entries = paths.flatMap(p => {
+    try { return [{ path: p, size: statSync(join(target, p)).size }]; }
+    catch { return []; } // deleted in the working tree but still in the index
+  });
+  const branch = revParse(target, '--abbrev-ref');
+  const commit = revParse(target);
+  const name = basename(target);
+
+  // Commit history and tags stand in for the host's activity data.
+  const readVitals = commit ? async () => {
+    const log = git(target, ['log', '-n', '100', '--format=%aI%x09%aE', 'HEAD']).split('\n').filter(Boolean);
+    const tags = git(target, ['for-each-ref', '--sort=-creatordate', '--count=30', '--format=%(creatordate:iso-strict)', 'refs/tags']).split('\n').filter(Boolean);
+    return {
+      pushedAt: null,
+      archived: false,
+      commits: log.map(line => {
+        const [date, author] = line.split('\t');
+        return { date, author };
+      }),
+      issues: null,
+      pulls: null,
+      releases: tags
+    };
+  } : undefined;
+
+  return {
+    files: buildTree(entries),
+    readFile: async (file) => readFileSync(join(target, file), 'utf8'),
+    readVitals,
+    repo: { name, default_branch: branch },
+    meta: { source: 'path', name, branch, commit }
+  };
+};
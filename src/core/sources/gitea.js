@@ -0,0 +1,107 @@
+import { decodeBlob } from '../contents.js';
+import { apiError, createApiClient } from './http.js';
+
+// --- Source: Gitea / Forgejo REST API (v1; Codeberg or self-hosted) ---
+export const CODEBERG_API = 'https://codeberg.org/api/v1';
+
+const TREE_PAGE_SIZE = 1000;
+const MAX_TREE_PAGES = 100;
+
+// owner/repo, optionally followed by /src/{branch,tag,commit}/<ref> or suffixed with @ref.
+export const parseGiteaPath = (path) => {
+  const parts = path.replace(/\/$/, '').replace(/\.git$/, '').split('/').filter(Boolean);
+  if (parts.length < 2) throw new Error("Invalid format. Use 'owner/repo'");
+  const [owner, repoWithRef, kind, refKind, ...rest] = parts;
+  const [repo, atRef] = repoWithRef.split('@');
+  const srcRef = kind === 'src' && ['branch', 'tag', 'commit'].includes(refKind) && rest.length ? rest.join('/') : null;
+  return { owner, repo, ref: srcRef || atRef || null };
+};
+
+export const createGiteaClient = ({ token = null, apiBase = CODEBERG_API, ...options } = {}) => createApiClient({
+  ...options, apiBase, service: 'Gitea', token, authHeaders: { Authorization: `Bearer ${token}` }
+});
+
+export const fetchGiteaTree = async (path, options = {}) => {
+  const client = options.client || createGiteaClient(options);
+  const { owner, repo, ref } = parseGiteaPath(path);
+  const base = `/repos/${owner}/${repo}`;
+  const host = options.host || 'codeberg.org';
+
+  const repoData = await client.json(base).catch(err => {
+    if (err.code === 'NOT_FOUND') throw apiError('NOT_FOUND', `${owner}/${repo} not found on ${host}${client.token ? ', or your token has no access to it' : '. If it is private, add a token'}.`, { status: 404 });
+    throw err;
+  });
+  const requestedRef = options.ref || ref;
+  const branch = requestedRef || repoData.default_branch;
+
+  const commitRes = repoData.empty ? { status: 409 } : await client.request(`${base}/commits?sha=${encodeURIComponent(branch)}&limit=1&stat=false&verification=false&files=false`, { allow: [404, 409, 422] });
+  const commit = commitRes.status === 200 && commitRes.data[0] ? commitRes.data[0].sha : null;
+  if (requestedRef && !commit) throw new Error(`No branch, tag or commit named '${requestedRef}' in ${owner}/${repo}.`);
+
+  // The recursive tree is paged; keep going until total_count entries arrived.
+  const files = [];
+  let truncated = false;
+  if (commit) {
+    for (let page = 1; ; page++) {
+      if (page > MAX_TREE_PAGES) { truncated = true; break; }
+      const data = await client.json(`${base}/git/trees/${commit}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`);
+      const entries = data.tree || [];
+      files.push(...entries.map(({ path: p, type, size, sha }) => ({ path: p, type, size, sha })));
+      if (!entries.length || files.length >= (data.total_count || 0)) break;
+    }
+  }
+
+  const shas = new Map(files.map(f => [f.path, f.sha]));
+  const readFile = async (filePath) => {
+    const sha = shas.get(filePath);
+    if (!sha) throw new Error(`No blob for ${filePath}.`);
+    return decodeBlob(await client.json(`${base}/git/blobs/${sha}`));
+  };
+
+  const languages = commit && branch === repoData.default_branch ? await client.json(`${base}/languages`).catch(err => {
+    if (err.message === "RATELIMIT") throw err;
+    return null; // no stats: detectLanguages() falls back to file extensions
+  }) : null;
+
+  // A listing the repo has switched off or hidden (403/404) only empties its own section.
+  const readVitals = async () => {
+    const off = [403, 404];
+    const total = (res) => Number(res.headers.get('x-total-count')) || (res.data || []).length;
+    const [commits, closedIssues, pulls, releases] = await Promise.all([
+      commit ? client.request(`${base}/commits?sha=${commit}&limit=100&stat=false&verification=false&files=false`, { allow: off }) : null,
+      repoData.has_issues === false ? null : client.request(`${base}/issues?state=closed&type=issues&limit=1`, { allow: off }),
+      repoData.has_pull_requests === false ? null : client.request(`${base}/pulls?state=open&sort=leastupdate&limit=50`, { allow: off }),
+      client.request(`${base}/releases?limit=30&draft=false`, { allow: off })
+    ]);
+    const ok = (res) => !!res && res.status === 200;
+
+    return {
+      pushedAt: repoData.updated_at,
+      archived: repoData.archived,
+      commits: ok(commits) ? commits.data.map(c => ({ date: c.commit.author && c.commit.author.date, author: c.author ? c.author.login : c.commit.author && c.commit.author.email })) : [],
+      issues: ok(closedIssues) ? { open: repoData.open_issues_count || 0, closed: total(closedIssues) } : null,
+      pulls: ok(pulls) ? { open: repoData.open_pr_counter ?? total(pulls), updated: pulls.data.map(p => p.updated_at) } : null,
+      releases: ok(releases) ? releases.data.map(r => r.published_at || r.created_at) : null
+    };
+  };
+
+  return {
+    files,
+    readFile,
+    readVitals,
+    languages,
+    repo: repoData,
+    meta: {
+      source: 'gitea',
+      name: host === 'codeberg.org' ? `${owner}/${repo}` : `${host}/${owner}/${repo}`,
+      owner,
+      repo,
+      host,
+      url: repoData.html_url,
+      branch,
+      commit,
+      defaultBranch: repoData.default_branch,
+      ...(truncated ? { truncated: true } : {})
+    }
+  };
+};
@@ -0,0 +1,26 @@
+import { apiError, createApiClient } from './http.js';
+
+// --- GitHub REST Client ---
+export const GITHUB_API = 'https://api.github.com';
+
+export const githubError = apiError;
+
+/**
+ * createGithubClient({ token, apiBase, fetch, cache, onRateLimit }), see createApiClient().
+ */
+export const createGithubClient = ({ token = null, apiBase = GITHUB_API, ...options } = {}) => createApiClient({
+  ...options,
+  apiBase,
+  service: 'GitHub',
+  token,
+  authHeaders: { Authorization: `Bearer ${token}` },
+  accept: 'application/vnd.github+json'
+});
+
+// Current quota without spending any (GET /rate_limit is free).
+export const fetchRateLimit = async ({ token = null, apiBase = GITHUB_API, fetch = globalThis.fetch } = {}) => {
+  const client = createGithubClient({ token, apiBase, fetch, cache: null });
+  const { data } = await client.request('/rate_limit');
+  const core = data.resources ? data.resources.core : data.rate;
+  return { limit: core.limit, remaining: core.remaining, used: core.used, reset: core.reset * 1000, resource: 'core' };
+};
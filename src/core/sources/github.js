@@ -0,0 +1,220 @@
+import { decodeBlob } from '../contents.js';
+import { createGithubClient, githubError, GITHUB_API } from './github-client.js';
+
+// --- Source: GitHub REST API ---
+export { GITHUB_API };
+
+/**
+ * Accepts owner/repo, a github.com URL, owner/repo@ref, owner/repo/tree/<ref> (the ref may
+ * contain slashes) and owner/repo/pull/<n>. Returns { owner, repo, ref?, pull? }.
+ */
+export const parseRepoInput = (url) => {
+  const cleanUrl = url.trim().replace(/^https?:\/\//, '').replace(/^(www\.)?github\.com\//, '').replace(/\/$/, '').replace(/\.git$/, '');
+  const parts = cleanUrl.split('/').filter(p => p);
+
+  if (parts.length < 2) throw new Error("Invalid format. Use 'owner/repo'");
+  const [owner, repoWithRef, kind, ...rest] = parts;
+  const [repo, atRef] = repoWithRef.split('@');
+  const parsed = { owner, repo };
+
+  if (atRef) parsed.ref = atRef;
+  if (kind === 'tree' && rest.length) parsed.ref = rest.join('/');
+  if (kind === 'pull' || kind === 'pulls') {
+    parsed.pull = Number(rest[0]);
+    if (!Number.isInteger(parsed.pull) || parsed.pull < 1) throw new Error("Invalid pull request number.");
+  }
+  return parsed;
+};
+
+const encodeRef = (ref) => ref.split('/').map(encodeURIComponent).join('/');
+const clientFor = (options) => options.client || createGithubClient(options);
+
+// A 404 means "missing" or "private and you can't see it"; narrow it down where we can.
+const explainNotFound = async (client, err, owner, repo) => {
+  if (err.code !== 'NOT_FOUND') return err;
+  if (client.token) return githubError('NOT_FOUND', `${owner}/${repo} not found, or your token has no access to it.`, { status: 404 });
+  const { status } = await client.request(`/users/${owner}`, { allow: [404] }).catch(() => ({ status: 0 }));
+  if (status === 404) return githubError('NOT_FOUND', `No GitHub user or org named '${owner}'.`, { status: 404 });
+  return githubError('PRIVATE', `${owner}/${repo} is private or does not exist. Add a token that can read it.`, { status: 404 });
+};
+
+// With per_page=1 the page number of rel="last" is the total count.
+export const countFromLink = ({ data, headers }) => {
+  const last = (headers.get('link') || '').match(/[?&]page=(\d+)[^>]*>;\s*rel="last"/);
+  return last ? Number(last[1]) : (data || []).length;
+};
+
+const TREE_CONCURRENCY = 4;
+const MAX_TREE_REQUESTS = 300;
+
+/**
+ * The recursive tree endpoint stops at 100k entries / 7 MB and sets `truncated`. When that
+ * happens, list the folder one level deep and fetch every subtree on its own (recursing
+ * again for subtrees that are still too big). `truncated` in the result is only true when
+ * even that ran into MAX_TREE_REQUESTS.
+ */
+export const fetchCompleteTree = async (client, base, sha) => {
+  let requests = 0;
+  let truncated = false;
+
+  const walk = async (treeSha, prefix) => {
+    if (requests >= MAX_TREE_REQUESTS) { truncated = true; return []; }
+    requests++;
+    const recursive = await client.json(`${base}/git/trees/${treeSha}?recursive=1`);
+    const entries = recursive.tree || [];
+    if (!recursive.truncated) return entries.map(e => ({ ...e, path: prefix + e.path }));
+
+    requests++;
+    const level = (await client.json(`${base}/git/trees/${treeSha}`)).tree || [];
+    const files = level.map(e => ({ ...e, path: prefix + e.path }));
+    const queue = level.filter(e => e.type === 'tree');
+    const worker = async () => {
+      while (queue.length) {
+        const entry = queue.shift();
+        files.push(...(await walk(entry.sha, `${prefix}${entry.path}/`)));
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(TREE_CONCURRENCY, queue.length) }, worker));
+    return files;
+  };
+
+  const files = await walk(sha, '');
+  return { files, requests, truncated };
+};
+
+/**
+ * Snapshot of one ref (branch, tag or commit SHA; `ref` option > ref in the URL > default branch).
+ * Options: token, apiBase, fetch, cache, onRateLimit (see createGithubClient) or a ready `client`.
+ */
+export const fetchGithubTree = async (url, options = {}) => {
+  const client = clientFor(options);
+  const parsed = parseRepoInput(url);
+  const { owner, repo } = parsed;
+  const base = `/repos/${owner}/${repo}`;
+
+  // 1. Fetch Repo Metadata
+  const repoData = await client.json(base).catch(async err => { throw await explainNotFound(client, err, owner, repo); });
+  const requestedRef = options.ref || parsed.ref || null;
+  const branch = requestedRef || repoData.default_branch;
+
+  // 2. Commit SHA: pins the tree to one commit and lets patient records tell scans apart.
+  // Optional for the default branch, required when a ref was asked for (so typos fail loudly).
+  const commitRes = await client.request(`${base}/commits/${encodeRef(branch)}`, { accept: 'application/vnd.github.sha', allow: [404, 409, 422] });
+  const commitText = commitRes.status === 200 ? String(commitRes.data).trim() : '';
+  const commit = /^[0-9a-f]{40}$/.test(commitText) ? commitText : null;
+  if (requestedRef && !commit) throw new Error(`No branch, tag or commit named '${requestedRef}' in ${owner}/${repo}.`);
+
+  // 3. Fetch File Tree (complete, even past the recursive endpoint's truncation limit)
+  const tree = await fetchCompleteTree(client, base, commit || encodeRef(branch)).catch(err => {
+    if (err.code === 'EMPTY') return { files: [], requests: 1, truncated: false }; // no commits yet: a textbook ghost town
+    if (err.code === 'NOT_FOUND' && repoData.private) throw githubError('PRIVATE', `Your token can see ${owner}/${repo} but not its contents. Grant it read access to repository contents.`, { status: 404 });
+    throw err;
+  });
+  const { files } = tree;
+  const shas = new Map(files.map(f => [f.path, f.sha]));
+
+  // 4. Blob reader for rules that look inside files (blobs are content-addressed, so the ETag cache always hits on rescans)
+  const readFile = async (path) => {
+    const sha = shas.get(path);
+    if (!sha) throw new Error(`No blob for ${path}.`);
+    return decodeBlob(await client.json(`${base}/git/blobs/${sha}`));
+  };
+
+  // 5. Linguist byte counts (only describe the default branch, so other refs use file extensions)
+  const languages = branch === repoData.default_branch ? await client.json(`${base}/languages`).catch(err => {
+    if (err.message === "RATELIMIT") throw err;
+    return null; // no stats: detectLanguages() falls back to file extensions
+  }) : null;
+
+  // 6. Activity data for the vitals rules (up to six requests, only made when one of them is active).
+  // A listing the repo has switched off (404/410) only empties its own section.
+  const readVitals = async () => {
+    const ref = commit || branch;
+    const gone = [404, 410];
+    const hasIssues = repoData.has_issues !== false;
+    const [commits, openPulls, oldestPulls, closedIssues, closedPulls, releases] = await Promise.all([
+      client.request(`${base}/commits?sha=${encodeRef(ref)}&per_page=100`, { allow: [404, 409] }),
+      client.request(`${base}/pulls?state=open&per_page=1`, { allow: gone }),
+      client.request(`${base}/pulls?state=open&sort=updated&direction=asc&per_page=100`, { allow: gone }),
+      hasIssues ? client.request(`${base}/issues?state=closed&per_page=1`, { allow: gone }) : null,
+      hasIssues ? client.request(`${base}/pulls?state=closed&per_page=1`, { allow: gone }) : null,
+      client.request(`${base}/releases?per_page=30`, { allow: gone })
+    ]);
+    const ok = (res) => !!res && res.status === 200;
+    const openPullCount = ok(openPulls) ? countFromLink(openPulls) : 0;
+
+    return {
+      pushedAt: repoData.pushed_at,
+      archived: repoData.archived,
+      commits: (commits.data || []).map(c => ({ date: c.commit.author && c.commit.author.date, author: c.author ? c.author.login : c.commit.author && c.commit.author.email })),
+      // open_issues_count counts open PRs too; the closed issues listing includes closed PRs.
+      issues: !ok(closedIssues) ? null : {
+        open: Math.max(0, (repoData.open_issues_count || 0) - openPullCount),
+        closed: Math.max(0, countFromLink(closedIssues) - (ok(closedPulls) ? countFromLink(closedPulls) : 0))
+      },
+      pulls: ok(openPulls) && ok(oldestPulls) ? { open: openPullCount, updated: oldestPulls.data.map(p => p.updated_at) } : null,
+      releases: ok(releases) ? releases.data.filter(r => !r.draft).map(r => r.published_at || r.created_at) : null
+    };
+  };
+
+  return {
+    files,
+    readFile,
+    readVitals,
+    languages,
+    repo: repoData,
+    meta: {
+      source: 'github',
+      name: options.host && options.host !== 'github.com' ? `${options.host}/${owner}/${repo}` : `${owner}/${repo}`,
+      owner,
+      repo,
+      host: options.host || 'github.com',
+      apiBase: client.apiBase,
+      url: repoData.html_url || `https://github.com/${owner}/${repo}`,
+      branch,
+      commit,
+      defaultBranch: repoData.default_branch,
+      ...(tree.requests > 1 ? { treeRequests: tree.requests } : {}),
+      ...(tree.truncated ? { truncated: true } : {})
+    }
+  };
+};
+
+// Branches and tags for the ref picker (first 100 of each, which covers nearly every repo).
+// `target` is owner/repo (or a URL) or a snapshot's meta: its owner and repo are used as they are,
+// since meta.name carries the host for GitHub Enterprise. Pass the host's apiBase along for those.
+export const listGithubRefs = async (target, options = {}) => {
+  const client = clientFor(options);
+  const { owner, repo } = typeof target === 'string' ? parseRepoInput(target) : target;
+  const names = async (kind) => {
+    const { data } = await client.request(`/repos/${owner}/${repo}/${kind}?per_page=100`, { allow: [404] });
+    return (data || []).map(r => r.name);
+  };
+  const [branches, tags] = await Promise.all([names('branches'), names('tags')]);
+  return { branches, tags };
+};
+
+// Base and head of a pull request. The head may live in a fork. The base side is the merge-base,
+// not the base branch's tip: what landed on the base branch since the PR branched off would
+// otherwise show up as "fixed" by the PR. (The PR's commits are in the base repo too, as
+// refs/pull/N/head, so the comparison works for forks.)
+export const fetchPullRequest = async (url, options = {}) => {
+  const client = clientFor(options);
+  const { owner, repo, pull } = parseRepoInput(url);
+  const data = await client.json(`/repos/${owner}/${repo}/pulls/${pull}`).catch(err => {
+    if (err.code === 'NOT_FOUND') throw githubError('NOT_FOUND', `Pull request #${pull} not found in ${owner}/${repo}.`, { status: 404 });
+    throw err;
+  });
+  const side = (s) => ({ ref: s.ref, sha: s.sha, repo: s.repo ? s.repo.full_name : `${owner}/${repo}` });
+  const { data: compare } = await client.request(`/repos/${owner}/${repo}/compare/${data.base.sha}...${data.head.sha}`, { allow: [404] });
+  const mergeBase = compare && compare.merge_base_commit ? compare.merge_base_commit.sha : data.base.sha;
+
+  return {
+    number: data.number,
+    title: data.title,
+    url: data.html_url,
+    state: data.merged_at ? 'merged' : data.state,
+    base: { ...side(data.base), sha: mergeBase, tip: data.base.sha },
+    head: side(data.head)
+  };
+};
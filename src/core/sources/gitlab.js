@@ -0,0 +1,115 @@
+import { apiError, createApiClient } from './http.js';
+
+// --- Source: GitLab REST API (v4; gitlab.com or self-hosted) ---
+export const GITLAB_API = 'https://gitlab.com/api/v4';
+
+const MAX_TREE_PAGES = 500; // 100 entries each
+
+/**
+ * group/subgroup/project, optionally followed by /-/tree/<ref> (the ref may contain slashes)
+ * or suffixed with @ref. Returns { project, ref }.
+ */
+export const parseGitlabPath = (path) => {
+  const [projectPart, rest = ''] = path.replace(/\/$/, '').replace(/\.git$/, '').split('/-/');
+  const parts = projectPart.split('/').filter(Boolean);
+  if (parts.length < 2) throw new Error("Invalid format. Use 'group/project'");
+  const [last, atRef] = parts.pop().split('@');
+  const tree = rest.match(/^tree\/(.+)$/);
+  return { project: [...parts, last].join('/'), ref: tree ? tree[1] : atRef || null };
+};
+
+export const createGitlabClient = ({ token = null, apiBase = GITLAB_API, ...options } = {}) => createApiClient({
+  ...options, apiBase, service: 'GitLab', token, authHeaders: { Authorization: `Bearer ${token}` }
+});
+
+// Follows the Link header (works for both offset and keyset pagination).
+const nextLink = (headers) => {
+  const match = (headers.get('link') || '').match(/<([^>]+)>;\s*rel="next"/);
+  return match ? match[1] : null;
+};
+
+export const fetchGitlabTree = async (path, options = {}) => {
+  const client = options.client || createGitlabClient(options);
+  const { project, ref } = parseGitlabPath(path);
+  const id = encodeURIComponent(project);
+
+  const repoData = await client.json(`/projects/${id}`).catch(err => {
+    if (err.code === 'NOT_FOUND') throw apiError('NOT_FOUND', `${project} not found on GitLab${client.token ? ', or your token has no access to it' : '. If it is private, add a token'}.`, { status: 404 });
+    throw err;
+  });
+  const requestedRef = options.ref || ref;
+  const branch = requestedRef || repoData.default_branch;
+
+  const commitRes = branch ? await client.request(`/projects/${id}/repository/commits/${encodeURIComponent(branch)}`, { allow: [404] }) : { status: 404 };
+  const commit = commitRes.status === 200 ? commitRes.data.id : null;
+  if (requestedRef && !commit) throw new Error(`No branch, tag or commit named '${requestedRef}' in ${project}.`);
+
+  const files = [];
+  let truncated = false;
+  if (commit) {
+    let url = `/projects/${id}/repository/tree?recursive=true&per_page=100&pagination=keyset&ref=${commit}`;
+    for (let page = 0; url; page++) {
+      if (page >= MAX_TREE_PAGES) { truncated = true; break; }
+      const { data, headers } = await client.request(url);
+      // GitLab trees carry no sizes; blobs are { id, path, type }. loadContents() measures what it reads instead.
+      data.forEach(e => files.push({ path: e.path, type: e.type, sha: e.id }));
+      url = nextLink(headers);
+    }
+  }
+
+  const shas = new Map(files.map(f => [f.path, f.sha]));
+  const readFile = async (filePath) => {
+    const sha = shas.get(filePath);
+    if (!sha) throw new Error(`No blob for ${filePath}.`);
+    return client.text(`/projects/${id}/repository/blobs/${sha}/raw`);
+  };
+
+  // Percentages rather than bytes; detectLanguages() only needs the proportions.
+  const languages = commit && branch === repoData.default_branch ? await client.json(`/projects/${id}/languages`).catch(err => {
+    if (err.message === "RATELIMIT") throw err;
+    return null; // no stats: detectLanguages() falls back to file extensions
+  }) : null;
+
+  // A listing the project has switched off or hidden (403/404) only empties its own section.
+  const readVitals = async () => {
+    const off = [403, 404];
+    const [commits, issues, merges, releases] = await Promise.all([
+      commit ? client.request(`/projects/${id}/repository/commits?ref_name=${commit}&per_page=100`, { allow: off }) : null,
+      repoData.issues_enabled === false ? null : client.request(`/projects/${id}/issues_statistics`, { allow: off }),
+      repoData.merge_requests_enabled === false ? null : client.request(`/projects/${id}/merge_requests?state=opened&order_by=updated_at&sort=asc&per_page=100`, { allow: off }),
+      client.request(`/projects/${id}/releases?per_page=30`, { allow: off })
+    ]);
+    const ok = (res) => !!res && res.status === 200;
+    const counts = ok(issues) && issues.data.statistics ? issues.data.statistics.counts : null;
+
+    return {
+      pushedAt: repoData.last_activity_at,
+      archived: repoData.archived,
+      commits: ok(commits) ? commits.data.map(c => ({ date: c.committed_date || c.created_at, author: c.author_email || c.author_name })) : [],
+      issues: counts ? { open: counts.opened, closed: counts.closed } : null,
+      pulls: ok(merges) ? { open: Number(merges.headers.get('x-total')) || merges.data.length, updated: merges.data.map(m => m.updated_at) } : null,
+      releases: ok(releases) ? releases.data.map(r => r.released_at || r.created_at) : null
+    };
+  };
+
+  const namespace = project.split('/').slice(0, -1).join('/');
+  return {
+    files,
+    readFile,
+    readVitals,
+    languages,
+    repo: repoData,
+    meta: {
+      source: 'gitlab',
+      name: options.host && options.host !== 'gitlab.com' ? `${options.host}/${project}` : project,
+      owner: namespace,
+      repo: project.split('/').pop(),
+      host: options.host || 'gitlab.com',
+      url: repoData.web_url,
+      branch,
+      commit,
+      defaultBranch: repoData.default_branch,
+      ...(truncated ? { truncated: true } : {})
+    }
+  };
+};
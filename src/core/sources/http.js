@@ -0,0 +1,115 @@
+// --- REST Client (shared by every hosted provider) ---
+// Auth headers, rate-limit bookkeeping, ETag caching and error triage in one place.
+
+/**
+ * Errors carry a `code` so callers can tell them apart. Quota problems keep the historical
+ * message "RATELIMIT" (what the UI and the content loader check) for both the primary limit
+ * (code RATELIMIT) and abuse detection / secondary limits (code ABUSE); `rateLimit` says when
+ * it is safe to try again.
+ */
+export const apiError = (code, message, extra = {}) => Object.assign(new Error(message), { code, ...extra });
+
+// GitHub and Gitea send X-RateLimit-*, GitLab sends RateLimit-* (reset is epoch seconds on all three).
+const readRateLimit = (headers) => {
+  const header = (name) => headers.get(`x-ratelimit-${name}`) ?? headers.get(`ratelimit-${name}`);
+  const remaining = header('remaining');
+  if (remaining === null || remaining === undefined) return null;
+  return {
+    limit: Number(header('limit')),
+    remaining: Number(remaining),
+    used: Number(header('used') || 0),
+    reset: Number(header('reset')) * 1000, // epoch ms
+    resource: header('resource') || 'core'
+  };
+};
+
+// Responses are cached per (credentials, url, accept) with their ETag. A 304 costs no quota.
+const MAX_CACHE_ENTRIES = 2000;
+
+export const createMemoryCache = (store = new Map(), limit = MAX_CACHE_ENTRIES) => ({
+  get: (key) => store.get(key),
+  set: (key, value) => {
+    store.delete(key);
+    store.set(key, value);
+    if (store.size > limit) store.delete(store.keys().next().value);
+  },
+  clear: () => store.clear()
+});
+
+export const defaultCache = createMemoryCache();
+
+const parseJson = (text) => {
+  try { return JSON.parse(text); } catch { return text; }
+};
+
+/**
+ * createApiClient({ apiBase, service, token, authHeaders, accept, fetch, cache, onRateLimit, onProgress, signal })
+ *   service      name used in error messages ("GitHub", "GitLab", ...)
+ *   authHeaders  headers that carry `token` (omitted when there is no token)
+ *   cache        { get(key), set(key, value) } (default: an in-memory cache shared by all
+ *                clients; pass null to disable)
+ *   onRateLimit  called with { limit, remaining, used, reset, resource } after every response
+ *   onProgress   called with a 'request' event after every response (see core/progress.js)
+ *   signal       AbortSignal that cancels in-flight requests (they reject with an AbortError)
+ *
+ * client.request(path, { accept, allow, raw }) resolves { status, data, headers }. JSON is
+ * parsed unless `raw` is set or the accept type is not JSON; statuses listed in `allow`
+ * (e.g. [404]) come back with data null instead of throwing.
+ */
+export const createApiClient = ({ apiBase, service = 'API', token = null, authHeaders = {}, accept: defaultAccept = 'application/json', fetch = globalThis.fetch, cache = defaultCache, onRateLimit = () => {}, onProgress = () => {}, signal = null }) => {
+  let rateLimit = null;
+
+  const request = async (path, { accept = defaultAccept, allow = [], raw = false } = {}) => {
+    const url = path.startsWith('http') ? path : `${apiBase}${path}`;
+    const key = `${token || ''}|${accept}|${url}`;
+    const cached = cache ? cache.get(key) : undefined;
+    const headers = { Accept: accept, ...(token ? authHeaders : {}) };
+    if (cached) headers['If-None-Match'] = cached.etag;
+
+    const res = await fetch(url, { headers, ...(signal ? { signal } : {}) });
+    const limits = readRateLimit(res.headers);
+    if (limits) {
+      rateLimit = limits;
+      onRateLimit(limits);
+    }
+    onProgress({ type: 'request', url, status: res.status, cached: res.status === 304 && !!cached });
+
+    const parse = !raw && accept.includes('json') ? parseJson : (text) => text;
+    if (res.status === 304 && cached) return { status: 200, data: parse(cached.body), headers: res.headers, cached: true };
+    if (res.ok) {
+      const body = await res.text();
+      const etag = res.headers.get('etag');
+      if (cache && etag) cache.set(key, { etag, body });
+      return { status: res.status, data: parse(body), headers: res.headers, cached: false };
+    }
+    if (allow.includes(res.status)) return { status: res.status, data: null, headers: res.headers };
+
+    const body = parseJson(await res.text().catch(() => ''));
+    const message = (body && (body.message || (body.error && (body.error.message || body.error)))) || res.statusText || `HTTP ${res.status}`;
+    const retryAfter = res.headers.get('retry-after');
+
+    const exhausted = limits && limits.remaining === 0;
+    if ((res.status === 403 || res.status === 429) && (exhausted || (!retryAfter && /^API rate limit exceeded/i.test(message)))) {
+      throw apiError('RATELIMIT', "RATELIMIT", { status: res.status, rateLimit: limits, detail: message });
+    }
+    if (res.status === 429 || (res.status === 403 && (retryAfter || /secondary rate limit|abuse/i.test(message)))) {
+      const wait = Number(retryAfter || 60) * 1000;
+      throw apiError('ABUSE', "RATELIMIT", { status: res.status, rateLimit: { ...(limits || {}), reset: Date.now() + wait, retryAfter: wait / 1000 }, detail: message });
+    }
+    if (res.status === 401) throw apiError('BAD_CREDENTIALS', `${service} rejected the token (bad credentials). Check it or remove it.`, { status: 401 });
+    if (res.status === 403) throw apiError('FORBIDDEN', `${service} refused the request: ${message}`, { status: 403 });
+    if (res.status === 404) throw apiError('NOT_FOUND', 'Not found.', { status: 404 });
+    if (res.status === 409) throw apiError('EMPTY', 'Repository is empty.', { status: 409 });
+    if (res.status === 451) throw apiError('BLOCKED', 'Repository is unavailable for legal reasons (DMCA).', { status: 451 });
+    throw apiError('HTTP', `${service} API error ${res.status}: ${message}`, { status: res.status });
+  };
+
+  return {
+    token,
+    apiBase,
+    request,
+    json: async (path, options) => (await request(path, options)).data,
+    text: async (path, options) => (await request(path, { ...options, raw: true })).data,
+    rateLimit: () => rateLimit
+  };
+};
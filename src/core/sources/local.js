@@ -0,0 +1,78 @@
+import { buildTree, normalizePath, stripCommonRoot, createIgnoreFilter, IGNORED_DIRS } from './tree.js';
+
+// --- Source: dropped or picked folder (browser) ---
+// Each raw entry carries open(), resolving to the File, so contents are only read on demand.
+// A folder is a working copy, not what git ships: paths the root .gitignore names are left out
+// (meta.ignored counts them). The walkers below also skip ignored directories as they go.
+const readIgnoreFilter = async (open) => {
+  try { return createIgnoreFilter(await (await open()).text()); }
+  catch { return null; }
+};
+
+const snapshot = async (raw, fallbackName) => {
+  const { root, entries: all } = stripCommonRoot(raw);
+  const name = root || fallbackName || 'local folder';
+  const gitignore = all.find(e => normalizePath(e.path) === '.gitignore');
+  const ignore = gitignore ? await readIgnoreFilter(gitignore.open) : null;
+  const entries = ignore ? all.filter(e => !ignore(normalizePath(e.path))) : all;
+  const openers = new Map(entries.map(e => [normalizePath(e.path), e.open]));
+
+  return {
+    files: buildTree(entries),
+    readFile: async (path) => (await openers.get(path)()).text(),
+    repo: { name },
+    meta: { source: 'folder', name, ...(ignore ? { ignored: all.length - entries.length } : {}) }
+  };
+};
+
+// <input type="file" webkitdirectory> gives a flat FileList with relative paths.
+export const treeFromFileList = (fileList) => snapshot(
+  Array.from(fileList, file => ({ path: file.webkitRelativePath || file.name, size: file.size, open: async () => file }))
+);
+
+// File System Access API (window.showDirectoryPicker / DataTransferItem.getAsFileSystemHandle).
+export const treeFromDirectoryHandle = async (handle) => {
+  const entries = [];
+  const ignore = await readIgnoreFilter(async () => (await handle.getFileHandle('.gitignore')).getFile());
+  const walk = async (dir, prefix) => {
+    for await (const [name, child] of dir.entries()) {
+      if (child.kind === 'directory') {
+        if (!IGNORED_DIRS.includes(name) && !(ignore && ignore(`${prefix}${name}`, true))) await walk(child, `${prefix}${name}/`);
+      } else {
+        const file = await child.getFile();
+        entries.push({ path: `${prefix}${name}`, size: file.size, open: async () => file });
+      }
+    }
+  };
+  await walk(handle, '');
+  return snapshot(entries, handle.name);
+};
+
+// Drag and drop fallback: DataTransferItem.webkitGetAsEntry().
+export const treeFromEntry = async (rootEntry) => {
+  const entries = [];
+  const readAll = (reader) => new Promise((resolve, reject) => {
+    const batch = [];
+    const next = () => reader.readEntries(items => {
+      if (!items.length) return resolve(batch);
+      batch.push(...items);
+      next();
+    }, reject);
+    next();
+  });
+  const ignore = await readIgnoreFilter(() => new Promise((resolve, reject) => rootEntry.getFile('.gitignore', {}, file => file.file(resolve, reject), reject)));
+  // Paths below carry the root folder's name; the .gitignore is relative to it.
+  const ignored = (path) => !!ignore && path.includes('/') && ignore(path.slice(path.indexOf('/') + 1), true);
+  const walk = async (entry, prefix) => {
+    if (entry.isDirectory) {
+      if (IGNORED_DIRS.includes(entry.name) || ignored(`${prefix}${entry.name}`)) return;
+      const children = await readAll(entry.createReader());
+      for (const child of children) await walk(child, `${prefix}${entry.name}/`);
+    } else {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      entries.push({ path: `${prefix}${entry.name}`, size: file.size, open: async () => file });
+    }
+  };
+  await walk(rootEntry, '');
+  return snapshot(entries, rootEntry.name);
+};
@@ -0,0 +1,65 @@
+import { fetchGithubTree, GITHUB_API } from './github.js';
+import { fetchGitlabTree, GITLAB_API } from './gitlab.js';
+import { fetchBitbucketTree, BITBUCKET_API } from './bitbucket.js';
+import { fetchGiteaTree, CODEBERG_API } from './gitea.js';
+
+// --- Hosted Providers ---
+// Every provider turns a repo path into the same snapshot ({ files, repo, meta, readFile }).
+export const PROVIDERS = {
+  github: { id: 'github', label: 'GitHub', host: 'github.com', apiBase: GITHUB_API, selfHostedApi: (host) => `https://${host}/api/v3`, tokenEnv: 'GITHUB_TOKEN', fetchTree: fetchGithubTree },
+  gitlab: { id: 'gitlab', label: 'GitLab', host: 'gitlab.com', apiBase: GITLAB_API, selfHostedApi: (host) => `https://${host}/api/v4`, tokenEnv: 'GITLAB_TOKEN', fetchTree: fetchGitlabTree },
+  bitbucket: { id: 'bitbucket', label: 'Bitbucket', host: 'bitbucket.org', apiBase: BITBUCKET_API, selfHostedApi: null, tokenEnv: 'BITBUCKET_TOKEN', fetchTree: fetchBitbucketTree },
+  gitea: { id: 'gitea', label: 'Gitea/Forgejo', host: 'codeberg.org', apiBase: CODEBERG_API, selfHostedApi: (host) => `https://${host}/api/v1`, tokenEnv: 'GITEA_TOKEN', fetchTree: fetchGiteaTree }
+};
+
+const PREFIXES = { github: 'github', gitlab: 'gitlab', bitbucket: 'bitbucket', gitea: 'gitea', forgejo: 'gitea', codeberg: 'gitea' };
+
+/**
+ * Works out which provider serves a pasted URL or path.
+ *   https://gitlab.com/group/project, bitbucket.org/ws/repo, codeberg.org/owner/repo
+ *   gitlab:group/project                 explicit provider, default host
+ *   git.example.com/owner/repo           self-hosted, looked up in `hosts`
+ *   owner/repo                           GitHub
+ * Options:
+ *   hosts     { 'git.example.com': { provider: 'gitea', apiBase?: 'https://git.example.com/api/v1' } }
+ *   provider  force a provider id
+ *   apiBase   force the API base URL (mock servers, unusual reverse proxies)
+ * Returns { provider, host, path, apiBase }.
+ */
+export const resolveSource = (input, { hosts = {}, provider: forced = null, apiBase = null } = {}) => {
+  let text = input.trim().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/$/, '');
+  let id = forced;
+
+  const prefix = text.match(/^([a-z]+):(?!\d)(.*)$/);
+  if (prefix && PREFIXES[prefix[1]]) {
+    id = PREFIXES[prefix[1]];
+    text = prefix[2].replace(/^\/+/, '');
+  }
+
+  const first = text.split('/')[0].toLowerCase();
+  const host = first.includes('.') || first.includes(':') || hosts[first] ? first : null;
+  if (host) text = text.slice(first.length + 1);
+  const configured = host ? hosts[host] : null;
+
+  if (!id) {
+    const known = host && Object.values(PROVIDERS).find(p => p.host === host);
+    id = !host ? 'github' : configured ? configured.provider : known ? known.id : null;
+    if (!id) throw new Error(`Unknown host '${host}'. Register it as a self-hosted GitLab, Gitea/Forgejo or GitHub Enterprise instance.`);
+  }
+
+  const provider = PROVIDERS[id];
+  if (!provider) throw new Error(`Unknown provider '${id}'. Use ${Object.keys(PROVIDERS).join(', ')}.`);
+  const effectiveHost = host || provider.host;
+  const base = apiBase
+    || (configured && configured.apiBase)
+    || (effectiveHost === provider.host ? provider.apiBase : provider.selfHostedApi && provider.selfHostedApi(effectiveHost));
+  if (!base) throw new Error(`${provider.label} has no self-hosted API support (${effectiveHost}).`);
+
+  return { provider, host: effectiveHost, path: text, apiBase: base.replace(/\/$/, '') };
+};
+
+// Snapshot from whichever provider hosts `input`.
+export const fetchRemoteTree = (input, options = {}) => {
+  const { provider, host, path, apiBase } = resolveSource(input, options);
+  return provider.fetchTree(path, { ...options, apiBase, host });
+};
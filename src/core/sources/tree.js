@@ -0,0 +1,59 @@
+// --- Tree Shape ---
+// Every source produces the same list GitHub's recursive tree endpoint returns:
+// { path, type: 'blob' | 'tree', size }, with '/' separators and no leading './'.
+export const IGNORED_DIRS = ['.git'];
+
+export const normalizePath = (path) => path.replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+
+export const isIgnoredPath = (path) => path.split('/').some(part => IGNORED_DIRS.includes(part));
+
+// Folders that aren't git checkouts on the CLI, and every dropped folder, would otherwise list
+// the local node_modules/, build output and .env that git never ships. Only the root .gitignore
+// is honoured (no nested ones, no global excludes). Returns (path, isDir) => true when ignored.
+export const createIgnoreFilter = (text) => {
+  const rules = text.split(/\r?\n/)
+    .map(line => line.replace(/\s+$/, ''))
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => {
+      const negate = line.startsWith('!');
+      let pattern = (negate ? line.slice(1) : line).replace(/^\\/, '');
+      const dirOnly = pattern.endsWith('/');
+      pattern = pattern.replace(/\/+$/, '');
+      const anchored = pattern.includes('/');
+      const source = pattern.replace(/^\//, '').replace(/[.+^${}()|\\]/g, '\\$&').replace(/\[!/g, '[^')
+        .replace(/\*\*\//g, '\u0000').replace(/\/\*\*$/, '\u0001').replace(/\*\*/g, '\u0002')
+        .replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')
+        .replace(/\u0000/g, '(.*/)?').replace(/\u0001/g, '/.*').replace(/\u0002/g, '.*');
+      return { negate, dirOnly, regex: new RegExp(`^${anchored ? '' : '(.*/)?'}${source}$`) };
+    });
+  const matches = (path, isDir) => rules.reduce((ignored, rule) => ((!rule.dirOnly || isDir) && rule.regex.test(path) ? !rule.negate : ignored), false);
+  // As in git, nothing inside an ignored directory can be re-included.
+  return (path, isDir = false) => {
+    const parts = path.split('/');
+    return parts.some((_, i) => matches(parts.slice(0, i + 1).join('/'), i < parts.length - 1 || isDir));
+  };
+};
+
+// Dropped folders and GitHub "Download ZIP" archives wrap everything in one root folder.
+export const stripCommonRoot = (entries) => {
+  const roots = new Set(entries.map(e => e.path.split('/')[0]));
+  if (roots.size !== 1 || entries.some(e => !e.path.includes('/'))) return { root: null, entries };
+  const [root] = roots;
+  return { root, entries: entries.map(e => ({ ...e, path: e.path.slice(root.length + 1) })) };
+};
+
+export const buildTree = (entries) => {
+  const dirs = new Set();
+  const blobs = [];
+
+  entries.forEach(({ path, size = 0 }) => {
+    const clean = normalizePath(path);
+    if (!clean || isIgnoredPath(clean)) return;
+    const parts = clean.split('/');
+    for (let i = 1; i < parts.length; i++) dirs.add(parts.slice(0, i).join('/'));
+    blobs.push({ path: clean, type: 'blob', size });
+  });
+
+  return [...Array.from(dirs, path => ({ path, type: 'tree' })), ...blobs]
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+};
@@ -0,0 +1,72 @@
+import { buildTree, normalizePath, stripCommonRoot } from './tree.js';
+
+// --- Source: .zip archive ---
+// The tree comes from the central directory alone; entries are only inflated when a rule reads them.
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const findEndOfCentralDirectory = (view) => {
+  const min = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= min; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error("Not a zip archive (no central directory found).");
+};
+
+const toBytes = (data) => (data instanceof Uint8Array ? data : new Uint8Array(data));
+
+export const listZipEntries = (data) => {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+
+  const eocd = findEndOfCentralDirectory(view);
+  const total = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  if (total === 0xffff || offset === 0xffffffff) throw new Error("ZIP64 archives are not supported.");
+
+  const entries = [];
+  for (let i = 0; i < total; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error("Corrupt zip central directory.");
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    if (!path.endsWith('/')) entries.push({ path, size, method, compressedSize, headerOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const inflateRaw = (data) => new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer();
+
+export const readZipEntry = async (data, entry) => {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint32(entry.headerOffset, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt zip entry ${entry.path}.`);
+
+  const start = entry.headerOffset + 30 + view.getUint16(entry.headerOffset + 26, true) + view.getUint16(entry.headerOffset + 28, true);
+  const raw = bytes.subarray(start, start + entry.compressedSize);
+  if (entry.method === 0) return raw;
+  if (entry.method === 8) return new Uint8Array(await inflateRaw(raw));
+  throw new Error(`Unsupported zip compression method ${entry.method}.`);
+};
+
+export const treeFromZip = (data, { name = 'archive.zip' } = {}) => {
+  const bytes = toBytes(data);
+  const { root, entries } = stripCommonRoot(listZipEntries(bytes));
+  const byPath = new Map(entries.map(e => [normalizePath(e.path), e]));
+
+  return {
+    files: buildTree(entries),
+    readFile: async (path) => new TextDecoder().decode(await readZipEntry(bytes, byPath.get(path))),
+    repo: { name: root || name },
+    meta: { source: 'zip', name: root || name }
+  };
+};
@@ -0,0 +1,275 @@
+import { usesLanguage } from './languages.js';
+
+// --- Treatment Kits ---
+// Rules with a mechanical cure add `fix(finding, ctx)` next to prescribe(). It returns
+//   { files: [{ path, content } | { path, append, base }], commands: [] }
+// where `content` creates a file, `append` adds lines to an existing one (`base` is its current
+// text, or null when it wasn't read) and `commands` are shell lines a diff can't express
+// (untracking files, regenerating a lockfile). A kit renders as a git patch or a shell script.
+
+export const shellQuote = (text) => (/^[\w./@%+=:,-]+$/.test(text) ? text : `'${text.replace(/'/g, `'\\''`)}'`);
+
+const lines = (text) => (text === '' ? [] : text.split('\n').slice(0, text.endsWith('\n') ? -1 : undefined));
+const withNewline = (text) => (text === '' || text.endsWith('\n') ? text : `${text}\n`);
+
+// --- .gitignore ---
+const IGNORE_SETS = {
+  Node: ['node_modules/', 'dist/', 'coverage/', '*.tsbuildinfo', 'npm-debug.log*', 'yarn-error.log*'],
+  Python: ['__pycache__/', '*.py[cod]', '.venv/', 'venv/', '*.egg-info/', '.pytest_cache/', '.mypy_cache/', 'build/', 'dist/'],
+  Go: ['/bin/', '*.exe', '*.test', '*.out'],
+  Rust: ['target/'],
+  JVM: ['target/', 'build/', '.gradle/', '*.class'],
+  Ruby: ['.bundle/', 'vendor/bundle/', 'log/', 'tmp/'],
+  PHP: ['vendor/'],
+  '.NET': ['bin/', 'obj/', '*.user'],
+  'C/C++': ['build/', '*.o', '*.obj', '*.a', '*.so', '*.dylib', '*.exe'],
+  Swift: ['.build/', 'DerivedData/', 'xcuserdata/'],
+  Dart: ['.dart_tool/', 'build/'],
+  Secrets: ['.env', '.env.*', '!.env.example'],
+  'Logs, OS and editors': ['*.log', '.DS_Store', 'Thumbs.db', '.idea/', '.vscode/', '*.swp']
+};
+const IGNORE_SET_FOR = {
+  JavaScript: 'Node', TypeScript: 'Node', Vue: 'Node', Svelte: 'Node', Python: 'Python', Go: 'Go', Rust: 'Rust',
+  Java: 'JVM', Kotlin: 'JVM', Ruby: 'Ruby', PHP: 'PHP', 'C#': '.NET', 'C++': 'C/C++', C: 'C/C++', Swift: 'Swift', Dart: 'Dart'
+};
+
+const ignoreKey = (pattern) => pattern.trim().replace(/^\//, '').replace(/\/$/, '');
+
+// A .gitignore for the languages that make up a real share of the code (plus Node when there is a
+// root package.json), then secrets, logs and OS/editor files. Patterns shared by two sets appear once.
+export const gitignoreFor = (languages, files = []) => {
+  const names = languages ? languages.breakdown.map(l => l.name).filter(name => usesLanguage(languages, name)) : [];
+  const sets = new Set(names.map(name => IGNORE_SET_FOR[name]).filter(Boolean));
+  if (files.some(f => f.path === 'package.json')) sets.add('Node');
+  const seen = new Set();
+  const sections = [...Object.keys(IGNORE_SETS).filter(set => sets.has(set)), 'Secrets', 'Logs, OS and editors']
+    .map(set => [set, IGNORE_SETS[set].filter(p => !seen.has(p) && seen.add(p))])
+    .filter(([, patterns]) => patterns.length)
+    .map(([set, patterns]) => `# ${set}\n${patterns.join('\n')}\n`);
+  return sections.join('\n');
+};
+
+// The `patterns` the repo's .gitignore doesn't list yet, as a kit file entry (none when all are there).
+export const gitignoreAddition = ({ files, contents }, patterns) => {
+  const base = contents.has('.gitignore') ? contents.get('.gitignore') : null;
+  const listed = new Set((base || '').split(/\r?\n/).map(ignoreKey));
+  const missing = patterns.filter(p => !listed.has(ignoreKey(p)));
+  if (!missing.length) return [];
+  const text = `${missing.join('\n')}\n`;
+  return files.some(f => f.path === '.gitignore') ? [{ path: '.gitignore', append: text, base }] : [{ path: '.gitignore', content: text }];
+};
+
+// --- .env.example ---
+// Keys only: values, comments (which often hold example values too) and multi-line values are dropped.
+export const envExample = (text) => {
+  const out = [];
+  const seen = new Set();
+  let open = null; // quote of a value that continues on the next line
+  text.split(/\r?\n/).forEach(raw => {
+    if (open) {
+      if (raw.includes(open)) open = null;
+      return;
+    }
+    const line = raw.trim();
+    if (!line) {
+      if (out.length && out[out.length - 1] !== '') out.push('');
+      return;
+    }
+    const m = line.match(/^(export\s+)?([A-Za-z_][\w.-]*)\s*[=:]\s*(.*)$/);
+    if (!m) return;
+    const quote = /^["'`]/.test(m[3]) ? m[3][0] : null;
+    if (quote && !m[3].slice(1).includes(quote)) open = quote;
+    if (seen.has(m[2])) return;
+    seen.add(m[2]);
+    out.push(`${m[1] || ''}${m[2]}=`);
+  });
+  while (out.length && out[out.length - 1] === '') out.pop();
+  return `# Copy to .env and fill in the values. Never commit the copy.\n${out.join('\n')}\n`;
+};
+
+// --- README ---
+const SETUP = [
+  { group: 'node', file: 'pnpm-lock.yaml', install: 'pnpm install', run: 'pnpm' },
+  { group: 'node', file: 'yarn.lock', install: 'yarn install', run: 'yarn' },
+  { group: 'node', file: 'package.json', install: 'npm install', run: 'npm run' },
+  { group: 'python', file: 'pyproject.toml', install: 'pip install -e .', test: 'pytest' },
+  { group: 'python', file: 'requirements.txt', install: 'pip install -r requirements.txt', test: 'pytest' },
+  { group: 'go', file: 'go.mod', install: 'go build ./...', test: 'go test ./...' },
+  { group: 'rust', file: 'Cargo.toml', install: 'cargo build', test: 'cargo test' },
+  { group: 'jvm', file: 'pom.xml', install: 'mvn package', test: 'mvn test' },
+  { group: 'jvm', file: 'build.gradle', install: './gradlew build', test: './gradlew test' },
+  { group: 'jvm', file: 'build.gradle.kts', install: './gradlew build', test: './gradlew test' },
+  { group: 'ruby', file: 'Gemfile', install: 'bundle install' },
+  { group: 'php', file: 'composer.json', install: 'composer install' }
+];
+const NPM_SCRIPTS = ['dev', 'start', 'build', 'test'];
+
+const cloneUrl = (repo) => repo.clone_url || repo.http_url_to_repo
+  || (repo.links && Array.isArray(repo.links.clone) && (repo.links.clone.find(l => l.name === 'https') || {}).href) || null;
+
+const packageScripts = (contents) => {
+  try { return Object.keys(JSON.parse(contents.get('package.json')).scripts || {}); }
+  catch { return []; }
+};
+
+// A README skeleton: what the host knows about the repo, setup commands for the manifests at the
+// root and placeholders (in italics) for what only the authors can write.
+export const readmeFor = ({ repo = {}, files = [], contents = new Map() }) => {
+  const has = (path) => files.some(f => f.path === path);
+  const name = repo.name || 'Project name';
+  const setup = SETUP.filter(s => has(s.file)).filter((s, i, all) => all.findIndex(o => o.group === s.group) === i);
+  const node = setup.find(s => s.group === 'node');
+  const scripts = node ? packageScripts(contents).filter(s => NPM_SCRIPTS.includes(s)) : [];
+  const usage = [
+    ...scripts.map(s => (node.run === 'npm run' && (s === 'start' || s === 'test') ? `npm ${s}` : `${node.run} ${s}`)),
+    ...setup.filter(s => s.test).map(s => s.test)
+  ];
+  const clone = cloneUrl(repo);
+  const homepage = repo.homepage || repo.website;
+  const license = repo.license && repo.license.spdx_id && repo.license.spdx_id !== 'NOASSERTION' ? repo.license.spdx_id : null;
+  const licenseFile = files.find(f => !f.path.includes('/') && /^(licen[cs]e|copying)/i.test(f.path));
+  const contributing = files.find(f => /^(\.github\/|docs\/)?contributing(\.md)?$/i.test(f.path));
+
+  return [
+    `# ${name}`,
+    '',
+    repo.description || '_One or two sentences: what this does and who it is for._',
+    ...(homepage ? ['', homepage] : []),
+    '',
+    '## Getting started',
+    '',
+    '```sh',
+    ...(clone ? [`git clone ${clone}`, `cd ${repo.path || name}`] : []),
+    ...(setup.length ? setup.map(s => s.install) : ['# install dependencies']),
+    '```',
+    '',
+    '## Usage',
+    '',
+    ...(usage.length ? ['```sh', ...usage, '```'] : ['_The most common command, or a short code example._']),
+    '',
+    '## Contributing',
+    '',
+    `Issues and pull requests are welcome.${contributing ? ` See [${contributing.path}](${contributing.path}).` : ''}`,
+    '',
+    '## License',
+    '',
+    licenseFile ? `${license ? `${license}. ` : ''}See [${licenseFile.path}](${licenseFile.path}).` : '_No license yet: pick one at https://choosealicense.com._',
+    ''
+  ].join('\n');
+};
+
+// --- Kits ---
+// Several prescriptions may touch the same file (junk-committed and env-leak both extend
+// .gitignore): later entries only add the lines the earlier ones don't have yet. Of two new
+// versions of a file the longer one (no-gitignore's full template) comes first.
+export const mergeTreatments = (kits) => {
+  const files = new Map();
+  const commands = [];
+  kits.filter(Boolean).forEach(kit => {
+    (kit.files || []).forEach(file => {
+      let prev = files.get(file.path);
+      if (!prev) return files.set(file.path, { ...file });
+      if ('content' in prev && 'content' in file && file.content.length > prev.content.length) {
+        [prev, file] = [{ ...file }, prev];
+        files.set(prev.path, prev);
+      }
+      const known = new Set(lines(`${prev.base || ''}\n${prev.content ?? prev.append}`).map(l => l.trim()));
+      const added = lines(file.content ?? file.append).filter(l => l.trim() && !known.has(l.trim()));
+      if (!added.length) return;
+      const key = 'content' in prev ? 'content' : 'append';
+      prev[key] = `${withNewline(prev[key])}${added.join('\n')}\n`;
+    });
+    (kit.commands || []).forEach(c => { if (!commands.includes(c)) commands.push(c); });
+  });
+  return { files: Array.from(files.values()), commands };
+};
+
+// Appends to a file whose text wasn't read can't be diffed; the patch runs them as commands instead.
+const appendCommand = ({ path, append }) => `printf '%s\\n' ${lines(append).map(shellQuote).join(' ')} >> ${shellQuote(path)}`;
+
+const newFileDiff = ({ path, content }) => {
+  const added = lines(content);
+  return [
+    `diff --git a/${path} b/${path}`,
+    'new file mode 100644',
+    '--- /dev/null',
+    `+++ b/${path}`,
+    `@@ -0,0 +1,${added.length} @@`,
+    ...added.map(l => `+${l}`),
+    ...(content.endsWith('\n') ? [] : ['\\ No newline at end of file'])
+  ];
+};
+
+// The hunk keeps up to three lines of context from the end of the file. When the file lacks a
+// final newline its last line changes too (git shows it removed and re-added with one).
+const appendDiff = ({ path, append, base }) => {
+  const old = lines(base);
+  const context = old.slice(-3);
+  const start = old.length - context.length + 1;
+  const added = lines(append);
+  const body = context.map(l => ` ${l}`);
+  if (old.length && !base.endsWith('\n')) {
+    const last = context[context.length - 1];
+    body.splice(-1, 1, `-${last}`, '\\ No newline at end of file', `+${last}`);
+  }
+  return [
+    `diff --git a/${path} b/${path}`,
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    `@@ -${context.length ? start : 0},${context.length} +${context.length ? start : 1},${context.length + added.length} @@`,
+    ...body,
+    ...added.map(l => `+${l}`)
+  ];
+};
+
+/**
+ * A unified diff `git apply` accepts. Commands go in the preamble (git skips it), to run after applying.
+ * Returns a preamble-only text when the kit is empty.
+ */
+export const renderPatch = ({ files, commands }, { title = 'this repository' } = {}) => {
+  const unread = files.filter(f => 'append' in f && f.base === null);
+  const steps = [...unread.map(appendCommand), ...commands];
+  const preamble = [
+    `# Dr. Vibe treatment for ${title}`,
+    ...(files.length - unread.length ? ['# Apply it from the repository root with `git apply <this file>`.'] : []),
+    ...(steps.length ? ['#', '# Then run (a patch cannot untrack files):', ...steps.map(s => `#   ${s}`)] : []),
+    ...(!files.length && !commands.length ? ['# Nothing to treat.'] : [])
+  ];
+  const diffs = files.filter(f => !unread.includes(f)).flatMap(f => ('content' in f ? newFileDiff(f) : appendDiff(f)));
+  return `${[...preamble, ...diffs].join('\n')}\n`;
+};
+
+const heredocTag = (text) => {
+  let tag = 'DRVIBE_EOF';
+  while (lines(text).includes(tag)) tag += '_';
+  return tag;
+};
+
+// The same kit as one POSIX shell script: write the files, then run the commands.
+export const renderScript = ({ files, commands }, { title = 'this repository' } = {}) => {
+  const writes = files.flatMap(file => {
+    const text = withNewline(file.content ?? file.append);
+    const tag = heredocTag(text);
+    const dir = file.path.includes('/') ? file.path.slice(0, file.path.lastIndexOf('/')) : null;
+    const target = shellQuote(file.path);
+    return [
+      ...(dir && 'content' in file ? [`mkdir -p ${shellQuote(dir)}`] : []),
+      ...('append' in file ? [`[ -z "$(tail -c 1 ${target})" ] || echo >> ${target}`] : []),
+      `cat ${'append' in file ? '>>' : '>'} ${target} <<'${tag}'`,
+      `${text}${tag}`,
+      ''
+    ];
+  });
+  return [
+    '#!/bin/sh',
+    `# Dr. Vibe treatment for ${title}. Run it from the repository root, then review and commit.`,
+    'set -e',
+    '',
+    ...writes,
+    ...commands,
+    ...(!files.length && !commands.length ? ['# Nothing to treat.'] : [])
+  ].join('\n').replace(/\n*$/, '\n');
+};
+
+// Every fix in a diagnosis (or a single prescription's), merged into one kit.
+export const collectTreatment = (prescriptions) => mergeTreatments(prescriptions.map(rx => rx.fix));
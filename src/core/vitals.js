@@ -0,0 +1,75 @@
+// --- Vital Signs (activity and maintenance) ---
+// Providers hand over raw activity data (see readVitals() on the snapshot); this turns it into
+// the numbers the vitals rules and the dashboard panel read. Every section is null when the
+// source could not supply it (a zip has no issues, Bitbucket often has no tracker...).
+export const DAY = 24 * 60 * 60 * 1000;
+export const STALE_PR_DAYS = 30;
+
+const daysSince = (date, now) => (date ? Math.floor((now - new Date(date).getTime()) / DAY) : null);
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * raw: {
+ *   pushedAt   last activity the host reports (ISO date)
+ *   archived   read-only on the host
+ *   commits    [{ date, author }] newest first, usually the last 100 on the scanned ref
+ *   issues     { open, closed } or null
+ *   pulls      { open, updated: [ISO date of each open PR's last update] } or null
+ *   releases   [ISO date] newest first, or null
+ * }
+ */
+export const computeVitals = (raw, now = Date.now()) => {
+  const commits = (raw.commits || []).filter(c => c.date).sort((a, b) => new Date(b.date) - new Date(a.date));
+  const lastCommitAt = commits.length ? commits[0].date : null;
+  const lastActivityAt = [lastCommitAt, raw.pushedAt].filter(Boolean).sort().pop() || null;
+
+  // Commit frequency over the sampled window (or the last 90 days when the sample covers them).
+  const recent = commits.filter(c => daysSince(c.date, now) <= 90);
+  const spanDays = commits.length > 1 ? Math.max(1, daysSince(commits[commits.length - 1].date, now)) : 90;
+  const windowDays = recent.length < commits.length ? 90 : Math.min(spanDays, 90);
+  const perWeek = commits.length ? Math.round((recent.length / Math.max(windowDays, 7)) * 7 * 10) / 10 : 0;
+
+  const authors = new Map();
+  commits.forEach(c => authors.set(c.author || 'unknown', (authors.get(c.author || 'unknown') || 0) + 1));
+  const [topAuthor, topCount] = Array.from(authors.entries()).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+  const releases = raw.releases ? raw.releases.filter(Boolean).sort().reverse() : null;
+  const gaps = releases ? releases.slice(1).map((date, i) => daysSince(date, now) - daysSince(releases[i], now)) : [];
+
+  const stale = raw.pulls ? raw.pulls.updated.filter(date => daysSince(date, now) > STALE_PR_DAYS).length : 0;
+
+  return {
+    lastActivityAt,
+    daysSinceActivity: daysSince(lastActivityAt, now),
+    archived: !!raw.archived,
+    commits: {
+      sampled: commits.length,
+      lastAt: lastCommitAt,
+      last90Days: recent.length,
+      perWeek
+    },
+    busFactor: commits.length ? {
+      topAuthor,
+      share: Math.round((topCount / commits.length) * 100) / 100,
+      authors: authors.size
+    } : null,
+    issues: raw.issues ? {
+      open: raw.issues.open,
+      closed: raw.issues.closed,
+      openRatio: raw.issues.open + raw.issues.closed ? Math.round((raw.issues.open / (raw.issues.open + raw.issues.closed)) * 100) / 100 : 0
+    } : null,
+    pulls: raw.pulls ? { open: raw.pulls.open, stale } : null,
+    releases: releases ? {
+      count: releases.length,
+      lastAt: releases[0] || null,
+      daysSinceLast: daysSince(releases[0], now),
+      cadenceDays: median(gaps)
+    } : null
+  };
+};
@@ -0,0 +1,105 @@
+import { analyzeRepo } from './analyze.js';
+import { createGithubClient } from './sources/github-client.js';
+
+// --- The Ward: many patients, one table ---
+const PAGE_SIZE = 100;
+
+/**
+ * Splits free-form input ("a/b, c/d\norg") into repos and owners to expand.
+ * Entries with a slash are repositories; bare names are orgs or users.
+ */
+export const parseWardInput = (text) => {
+  const repos = [];
+  const owners = [];
+  text.split(/[\s,]+/).map(s => s.trim().replace(/^https?:\/\/(www\.)?github\.com\//, '').replace(/\/$/, '')).filter(Boolean).forEach(entry => {
+    const parts = entry.split('/').filter(Boolean);
+    if (parts.length >= 2) repos.push(`${parts[0]}/${parts[1]}`);
+    else owners.push(parts[0].replace(/^@/, ''));
+  });
+  return { repos: [...new Set(repos)], owners: [...new Set(owners)] };
+};
+
+/**
+ * Lists an org's repositories (or a user's, when the org endpoint 404s).
+ * Forks and archived repos are left out unless asked for.
+ */
+export const listOwnerRepos = async (owner, { includeForks = false, includeArchived = false, limit = 200, ...options } = {}) => {
+  const client = options.client || createGithubClient(options);
+  const fetchPage = async (kind, page) => {
+    const { data } = await client.request(`/${kind}/${owner}/repos?per_page=${PAGE_SIZE}&page=${page}&sort=pushed`, { allow: [404] });
+    return data;
+  };
+
+  let kind = 'orgs';
+  let page = await fetchPage(kind, 1);
+  if (page === null) {
+    kind = 'users';
+    page = await fetchPage(kind, 1);
+  }
+  if (page === null) throw new Error(`No org or user named ${owner}.`);
+
+  const all = [...page];
+  for (let n = 2; page.length === PAGE_SIZE && all.length < limit; n++) {
+    page = (await fetchPage(kind, n)) || [];
+    all.push(...page);
+  }
+
+  return all
+    .filter(r => (includeForks || !r.fork) && (includeArchived || !r.archived))
+    .slice(0, limit)
+    .map(r => r.full_name);
+};
+
+/**
+ * Runs analyzeRepo on every repo, `concurrency` at a time. onResult fires as each one
+ * finishes so a UI can fill the table progressively. A rate limit stops the remaining
+ * scans instead of burning more requests; those rows come back with error "RATELIMIT".
+ * Returns rows in input order: { name, diagnosis } or { name, error, code?, rateLimit? }.
+ */
+export const diagnoseWard = async (repos, { concurrency = 3, onResult = () => {}, analyze = analyzeRepo, ...options } = {}) => {
+  const rows = repos.map(name => ({ name, diagnosis: null, error: null }));
+  const queue = rows.slice();
+  let rateLimited = false;
+
+  const worker = async () => {
+    while (queue.length) {
+      const row = queue.shift();
+      if (rateLimited) {
+        row.error = "RATELIMIT";
+      } else {
+        try {
+          row.diagnosis = await analyze(row.name, options);
+        } catch (err) {
+          row.error = err.message;
+          if (err.code) row.code = err.code;
+          if (err.message === "RATELIMIT") {
+            rateLimited = true;
+            row.rateLimit = err.rateLimit;
+          }
+        }
+      }
+      onResult(row);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, queue.length) }, worker));
+
+  return rows;
+};
+
+/**
+ * Which prescription ids hit which repo: { ids, cells: { [repo]: { [id]: count } } }.
+ * Ids are ordered by how many repos they hit, most widespread first.
+ */
+export const wardMatrix = (rows) => {
+  const cells = {};
+  const spread = new Map();
+  rows.filter(r => r.diagnosis).forEach(({ name, diagnosis }) => {
+    cells[name] = {};
+    diagnosis.prescriptions.forEach(rx => {
+      if (!cells[name][rx.id]) spread.set(rx.id, (spread.get(rx.id) || 0) + 1);
+      cells[name][rx.id] = (cells[name][rx.id] || 0) + 1;
+    });
+  });
+  const ids = Array.from(spread.keys()).sort((a, b) => spread.get(b) - spread.get(a) || a.localeCompare(b));
+  return { ids, cells };
+};
@@ -0,0 +1,57 @@
+// --- Credential Vault (localStorage) ---
+// API tokens per host ({ 'github.com': 'github_pat_...', 'git.example.com': '...' }). Three ways to keep them:
+//   session    memory only, gone on reload (the default; nothing is written)
+//   plain      saved as-is in this browser
+//   encrypted  AES-GCM with a key derived from a passphrase (PBKDF2-SHA-256); unlocked once per visit
+const KDF_ITERATIONS = 250000;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+// { key, salt }: what writeVault() needs to re-encrypt after a token changes. The key can't be exported.
+export const deriveVaultKey = async (passphrase, salt = crypto.getRandomValues(new Uint8Array(16))) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  const key = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+  return { key, salt };
+};
+
+const readStored = (storageKey) => {
+  try { return JSON.parse(localStorage.getItem(storageKey)); }
+  catch { return null; }
+};
+
+// What was saved: { mode, tokens } for plain vaults, { mode: 'encrypted', locked: true } until unlocked.
+export const loadVault = (storageKey) => {
+  const stored = readStored(storageKey);
+  if (stored && stored.mode === 'plain') return { mode: 'plain', tokens: stored.tokens || {}, locked: false };
+  if (stored && stored.mode === 'encrypted') return { mode: 'encrypted', tokens: {}, locked: true };
+  return { mode: 'session', tokens: {}, locked: false };
+};
+
+// Resolves { tokens, vaultKey }; throws on a wrong passphrase.
+export const unlockVault = async (storageKey, passphrase) => {
+  const stored = readStored(storageKey);
+  if (!stored || stored.mode !== 'encrypted') throw new Error("There are no encrypted tokens to unlock.");
+  const vaultKey = await deriveVaultKey(passphrase, fromBase64(stored.salt));
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(stored.iv) }, vaultKey.key, fromBase64(stored.data));
+    return { tokens: JSON.parse(new TextDecoder().decode(plain)), vaultKey };
+  } catch {
+    throw new Error("Wrong passphrase.");
+  }
+};
+
+export const writeVault = async (storageKey, tokens, mode, vaultKey = null) => {
+  if (mode === 'plain') return localStorage.setItem(storageKey, JSON.stringify({ mode, tokens }));
+  if (mode !== 'encrypted') return localStorage.removeItem(storageKey);
+  if (!vaultKey) throw new Error("Set a passphrase to encrypt the tokens.");
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, vaultKey.key, new TextEncoder().encode(JSON.stringify(tokens)));
+  localStorage.setItem(storageKey, JSON.stringify({ mode, salt: toBase64(vaultKey.salt), iv: toBase64(iv), data: toBase64(data) }));
+};
@@ -0,0 +1,75 @@
+// --- Patient Records (IndexedDB) ---
+// Every finished diagnosis is filed under its patient ("github:owner/repo", "zip:name", ...).
+const DB_NAME = 'drvibe';
+const DB_VERSION = 1;
+const STORE = 'records';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') return reject(new Error("IndexedDB is not available."));
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('patient', 'patient');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+const run = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request && request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const patientKey = (meta) => `${meta.source}:${meta.name}`;
+
+export const saveRecord = (diagnosis, timestamp = Date.now()) => {
+  const { meta } = diagnosis;
+  return run('readwrite', store => store.add({
+    patient: patientKey(meta),
+    name: meta.name,
+    source: meta.source,
+    branch: meta.branch || null,
+    commit: meta.commit || null,
+    timestamp,
+    score: diagnosis.score,
+    status: diagnosis.status,
+    color: diagnosis.color,
+    summary: diagnosis.summary,
+    prescriptions: diagnosis.prescriptions,
+    meta
+  }));
+};
+
+// Oldest first, which is the order the chart and the diff want.
+export const listRecords = async (patient) => {
+  const records = await run('readonly', store => store.index('patient').getAll(patient));
+  return records.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+// One summary per patient: latest score, scan count, last visit.
+export const listPatients = async () => {
+  const records = await run('readonly', store => store.getAll());
+  const patients = new Map();
+  records.forEach(r => {
+    const p = patients.get(r.patient) || { patient: r.patient, name: r.name, source: r.source, scans: 0, last: null };
+    p.scans++;
+    if (!p.last || r.timestamp > p.last.timestamp) p.last = r;
+    patients.set(r.patient, p);
+  });
+  return Array.from(patients.values()).sort((a, b) => b.last.timestamp - a.last.timestamp);
+};
+
+export const deleteRecord = (id) => run('readwrite', store => store.delete(id));
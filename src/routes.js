@@ -0,0 +1,67 @@
+// --- Clinic Routes ---
+// What the address bar can point at:
+//   /                                   waiting room
+//   /diagnose/owner/repo[@ref]          scan a GitHub repo on load (refs may contain slashes)
+//   /diagnose/gitlab.com/group/project  other hosts keep their host name, like the search box
+//   /diagnose/owner/repo/pull/42        scan a pull request
+//   /report#<permalink>                 a finished report someone shared (see core/permalink.js)
+//   /records[/patient]                  patient records, optionally opened on one patient
+//   /ward                               the ward
+//   /local                              a folder or zip scan; it can't be reloaded, the files never left the browser
+// The server has to answer every path with index.html (vite dev and preview already do).
+
+// The search box accepts full URLs; routes carry the short form.
+export const routeTarget = (input) => input.trim()
+  .replace(/^https?:\/\//, '')
+  .replace(/^www\./, '')
+  .replace(/^github\.com\//, '')
+  .replace(/\/$/, '')
+  .replace(/\.git$/, '');
+
+const decode = (text) => {
+  try { return decodeURIComponent(text); }
+  catch { return text; }
+};
+
+export const parseRoute = ({ pathname, hash = '' }) => {
+  const path = decode(pathname).replace(/\/+$/, '') || '/';
+  const diagnose = path.match(/^\/diagnose\/([^@]+?)(?:@(.+))?$/);
+  if (diagnose) return { name: 'diagnose', target: diagnose[1], ref: diagnose[2] || null };
+  if (path === '/report' && hash.length > 1) return { name: 'report', link: hash.slice(1) };
+  const records = path.match(/^\/records(?:\/(.+))?$/);
+  if (records) return { name: 'records', patient: records[1] || null };
+  if (path === '/ward') return { name: 'ward' };
+  if (path === '/local') return { name: 'local' };
+  return { name: 'waiting' };
+};
+
+// Each segment on its own: encodeURI() would leave # and ? in refs and patient names as they are.
+const encodePath = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+export const routePath = (route) => {
+  switch (route.name) {
+    case 'diagnose': return `/diagnose/${encodePath(routeTarget(route.target))}${route.ref ? `@${encodePath(route.ref)}` : ''}`;
+    case 'report': return `/report#${route.link}`;
+    case 'records': return route.patient ? `/records/${encodePath(route.patient)}` : '/records';
+    case 'ward': return '/ward';
+    case 'local': return '/local';
+    default: return '/';
+  }
+};
+
+// What to type in the search box to scan a hosted repo again, or null for folders and zips.
+export const remoteTarget = (meta) => {
+  if (!meta.host) return null;
+  return meta.host === 'github.com' || meta.name.startsWith(`${meta.host}/`) ? meta.name : `${meta.host}/${meta.name}`;
+};
+
+// The /diagnose route that reproduces a diagnosis: its pull request, or its ref when that isn't the default branch.
+export const diagnosisTarget = (diagnosis) => {
+  const target = remoteTarget(diagnosis.meta);
+  if (!target) return null;
+  if (diagnosis.pullRequest) return { target: `${target}/pull/${diagnosis.pullRequest.number}`, ref: null };
+  const { branch, defaultBranch } = diagnosis.meta;
+  return { target, ref: branch && branch !== defaultBranch ? branch : null };
+};
+
+export const currentPath = () => `${window.location.pathname}${window.location.search}${window.location.hash}`;
@@ -0,0 +1,13 @@
+// --- Rule: Massive Complexity ---
+export default {
+  id: 'bloat',
+  severity: 'warning',
+  penalty: 20,
+  title: 'Massive Complexity',
+  time: 'Long-term',
+  detect: ({ fileCount, profile }) => fileCount > profile.thresholds.bloatFiles && { fileCount },
+  prescribe: ({ fileCount }) => ({
+    diagnosis: `Detected ${fileCount}+ files. Project is heavy.`,
+    treatment: "Consider monorepo tools or architectural split."
+  })
+};
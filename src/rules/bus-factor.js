@@ -0,0 +1,15 @@
+// --- Rule: Single Surgeon ---
+// Bus factor: share of the sampled commits written by the most active author.
+export default {
+  id: 'bus-factor',
+  severity: 'info',
+  penalty: 5,
+  title: 'Single Surgeon',
+  time: 'Ongoing',
+  vitals: true,
+  detect: ({ vitals }) => vitals.busFactor && vitals.commits.sampled >= 20 && vitals.busFactor.share >= 0.8 && vitals,
+  prescribe: ({ busFactor, commits }) => ({
+    diagnosis: `${Math.round(busFactor.share * 100)}% of the last ${commits.sampled} commits come from one author (${busFactor.topAuthor}). If they step away, so does the project.`,
+    treatment: "Document the release process, review others' PRs and grant a second maintainer merge rights."
+  })
+};
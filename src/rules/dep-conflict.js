@@ -0,0 +1,20 @@
+import { dependencyFiles, getDependencyReport } from '../core/deps/index.js';
+
+// --- Rule: Split Personality ---
+export default {
+  id: 'dep-conflict',
+  severity: 'warning',
+  penalty: 5,
+  title: 'Split Personality',
+  time: '30 min',
+  reads: ({ files }) => dependencyFiles(files),
+  detect: (ctx) => {
+    const { conflicts } = getDependencyReport(ctx);
+    return conflicts.length > 0 && { conflicts };
+  },
+  prescribe: ({ conflicts }) => ({
+    diagnosis: `${conflicts.length} package${conflicts.length === 1 ? ' is' : 's are'} declared with different ranges across manifests: ${conflicts.slice(0, 3).map(c => `${c.name} (${c.specs.map(s => s.spec).join(' vs ')})`).join(', ')}${conflicts.length > 3 ? ', ...' : ''}.`,
+    treatment: "Align the ranges across workspaces (syncpack, pnpm catalogs, Cargo [workspace.dependencies]).",
+    location: { path: conflicts[0].specs[0].file }
+  })
+};
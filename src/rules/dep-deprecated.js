@@ -0,0 +1,20 @@
+import { dependencyFiles, getDependencyReport } from '../core/deps/index.js';
+
+// --- Rule: Expired Medication ---
+export default {
+  id: 'dep-deprecated',
+  severity: 'warning',
+  penalty: 5,
+  title: 'Expired Medication',
+  time: '1 hour',
+  reads: ({ files }) => dependencyFiles(files),
+  detect: (ctx) => {
+    const { deprecated } = getDependencyReport(ctx);
+    return deprecated.length > 0 && { deprecated };
+  },
+  prescribe: ({ deprecated }) => ({
+    diagnosis: `${deprecated.length} deprecated ${deprecated.length === 1 ? 'dependency or specifier' : 'dependencies or specifiers'}: ${deprecated.slice(0, 3).map(d => `${d.name}@${d.version} (${d.reason})`).join('; ')}${deprecated.length > 3 ? '; ...' : ''}.`,
+    treatment: "Upgrade or replace them; follow each deprecation notice for the successor package.",
+    location: { path: deprecated[0].file }
+  })
+};
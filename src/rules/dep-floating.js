@@ -0,0 +1,24 @@
+import { dependencyFiles, getDependencyReport } from '../core/deps/index.js';
+
+// --- Rule: Floating Without a Lock ---
+// One card per manifest whose ecosystem has no lockfile anywhere in the repo
+// (npm is left to no-lock, which has said this since day one, and Cargo and Go to their
+// language packs).
+const OWN_LOCK_RULES = ['npm', 'crates.io', 'Go'];
+
+export default {
+  id: 'dep-floating',
+  severity: 'warning',
+  penalty: 5,
+  title: 'Floating Without a Lock',
+  time: '5 min',
+  reads: ({ files }) => dependencyFiles(files),
+  detect: (ctx) => getDependencyReport(ctx).unlocked.filter(m => !OWN_LOCK_RULES.includes(m.ecosystem)),
+  prescribe: ({ file, ecosystem, floating, total }) => ({
+    diagnosis: `${file}: ${floating} of ${total} ${ecosystem} dependencies float and nothing locks them.`,
+    treatment: ecosystem === 'PyPI'
+      ? "Pin with == (pip-compile / uv pip compile) or commit poetry.lock / uv.lock."
+      : "Commit the lockfile your package manager generates.",
+    location: { path: file }
+  })
+};
@@ -0,0 +1,22 @@
+import { dependencyFiles, getDependencyReport } from '../core/deps/index.js';
+
+// --- Rule: Russian Roulette Ranges ---
+const list = (items) => items.slice(0, 5).map(d => `${d.name}@${d.spec || '*'}`).join(', ') + (items.length > 5 ? ` +${items.length - 5} more` : '');
+
+export default {
+  id: 'dep-wildcard',
+  severity: 'warning',
+  penalty: 10,
+  title: 'Russian Roulette Ranges',
+  time: '10 min',
+  reads: ({ files }) => dependencyFiles(files),
+  detect: (ctx) => {
+    const { wildcards } = getDependencyReport(ctx);
+    return wildcards.length > 0 && { wildcards };
+  },
+  prescribe: ({ wildcards }) => ({
+    diagnosis: `${wildcards.length} ${wildcards.length === 1 ? 'dependency accepts' : 'dependencies accept'} any future version: ${list(wildcards)}.`,
+    treatment: "Replace *, latest and open-ended >= ranges with a bounded range (^1.2.3, ~=1.2, ~> 1.2).",
+    location: { path: wildcards[0].file }
+  })
+};
@@ -0,0 +1,41 @@
+import { isEnvFile } from '../core/secrets.js';
+import { envExample, gitignoreAddition, shellQuote } from '../core/treatments.js';
+
+const envFileOf = (files) => files.find(f => f.type === 'blob' && isEnvFile(f.path));
+
+// --- Rule: Security Breach Detected ---
+export default {
+  id: 'env-leak',
+  severity: 'critical',
+  penalty: 40,
+  title: 'Security Breach Detected',
+  time: 'EMERGENCY',
+  // The leaked file's keys (never its values) become the .env.example.
+  reads: ({ files }) => {
+    const envFile = envFileOf(files);
+    return [...(envFile ? [{ path: envFile.path, maxSize: 64 * 1024 }] : []), ...(files.some(f => f.path === '.gitignore') ? ['.gitignore'] : [])];
+  },
+  detect: ({ files }) => {
+    const envFile = envFileOf(files);
+    return envFile && { path: envFile.path };
+  },
+  prescribe: ({ path }) => ({
+    diagnosis: `Secrets leaked in ${path}.`,
+    treatment: "Remove file, rotate ALL keys, use .env.example.",
+    location: { path }
+  }),
+  fix: ({ path }, ctx) => {
+    const example = `${path.slice(0, path.lastIndexOf('/') + 1)}.env.example`;
+    const text = ctx.contents.get(path);
+    return {
+      files: [
+        ...(text !== undefined && !ctx.files.some(f => f.path === example) ? [{ path: example, content: envExample(text) }] : []),
+        ...gitignoreAddition(ctx, ['.env', '.env.*', '!.env.example'])
+      ],
+      commands: [
+        `git rm -q --cached ${shellQuote(path)}`,
+        `# Rotate every key in ${path}: untracking it doesn't remove it from the history.`
+      ]
+    };
+  }
+};
@@ -0,0 +1,39 @@
+// --- Rule: Ghost Town ---
+// Inactivity, not size: nothing has been pushed or committed in months.
+const months = (days) => Math.floor(days / 30);
+
+export default {
+  id: 'ghost',
+  severity: 'info',
+  penalty: 5,
+  title: 'Ghost Town',
+  time: 'Ongoing',
+  vitals: true,
+  detect: ({ vitals }) => {
+    if (vitals.archived) return { archived: true, days: vitals.daysSinceActivity };
+    return vitals.daysSinceActivity !== null && vitals.daysSinceActivity >= 180 && { days: vitals.daysSinceActivity };
+  },
+  prescribe: ({ archived, days }) => {
+    if (archived) {
+      return {
+        title: 'Ghost Town (Archived)',
+        penalty: 15,
+        severity: 'warning',
+        diagnosis: "The owners archived this repository: it is read-only and no longer maintained.",
+        treatment: "Move to a maintained fork or alternative before depending on it."
+      };
+    }
+    if (days >= 365) {
+      return {
+        penalty: 15,
+        severity: 'warning',
+        diagnosis: `No activity for ${months(days)} months. Issues, security fixes and dependency updates are piling up unattended.`,
+        treatment: "Find a new maintainer, archive it explicitly, or schedule a dependency refresh."
+      };
+    }
+    return {
+      diagnosis: `The pulse is fading: no activity for ${months(days)} months.`,
+      treatment: "Land a small maintenance release (dependency bumps, CI fixes) to show it's alive."
+    };
+  }
+};
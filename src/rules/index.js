@@ -0,0 +1,175 @@
+import bloat from './bloat.js';
+import ghost from './ghost.js';
+import modulesCommitted from './modules-committed.js';
+import noReadme from './no-readme.js';
+import envLeak from './env-leak.js';
+import noLock from './no-lock.js';
+import noTests from './no-tests.js';
+import jsScale from './js-scale.js';
+import secretLeak from './secret-leak.js';
+import depWildcard from './dep-wildcard.js';
+import depFloating from './dep-floating.js';
+import depConflict from './dep-conflict.js';
+import depDeprecated from './dep-deprecated.js';
+import vulnerableDep from './vulnerable-dep.js';
+import sparse from './sparse.js';
+import stalePrs from './stale-prs.js';
+import issueBacklog from './issue-backlog.js';
+import busFactor from './bus-factor.js';
+import releaseCadence from './release-cadence.js';
+import pythonPack from './packs/python.js';
+import goPack from './packs/go.js';
+import rustPack from './packs/rust.js';
+import javaPack from './packs/java.js';
+import hygienePack from './packs/hygiene.js';
+import smellsPack from './packs/smells.js';
+import { findSuppression } from '../core/profiles.js';
+import { usesLanguage } from '../core/languages.js';
+
+/**
+ * --- RULE REGISTRY ---
+ * A rule is a plain object:
+ *   id         unique prescription id
+ *   severity   'critical' | 'warning' | 'info'
+ *   penalty    points taken off the Vibe Score per finding
+ *   title      prescription card heading
+ *   time       estimated treatment time
+ *   detect     (ctx) => falsy when the repo passes, otherwise a finding
+ *              (any truthy value, or an array for one card per hit)
+ *   prescribe  (finding, ctx) => { diagnosis, treatment } plus optional
+ *              title/severity/time/penalty overrides
+ *   fix        optional (finding, ctx) => a treatment kit (files to write and commands
+ *              to run, see core/treatments.js) for cures that are mechanical; attached
+ *              to the prescription as `fix` unless it returns nothing
+ *   reads      optional (ctx) => paths (or { path, maxSize }) whose text the rule
+ *              needs; they are loaded before detect() runs and exposed as
+ *              ctx.contents (a Map). Only deep rules count against the byte budget.
+ *   deep       optional, true when the rule only runs in deep-scan mode
+ *   vitals     optional, true when the rule reads ctx.vitals (activity data, see
+ *              core/vitals.js); the source is only asked for it when such a rule is
+ *              active, and the rule is reported as skipped when the source has none
+ *   language   optional language name (or array of names, see core/languages.js); the rule
+ *              only runs when one of them makes up a real share of the code, so ecosystem
+ *              packs (rules/packs) stay quiet in repos written in something else
+ *
+ * ctx is { files, fileCount, isTypeScript, languages, repo, contents, advisories, vitals, profile } built from
+ * the snapshot. Rules with a size cut-off read it from ctx.profile.thresholds (see core/profiles.js).
+ */
+const rules = new Map();
+
+export const registerRule = (rule) => {
+  if (!rule || !rule.id) throw new Error("Rule needs an id.");
+  if (typeof rule.detect !== 'function') throw new Error(`Rule '${rule.id}' needs a detect() function.`);
+  rules.set(rule.id, rule);
+  return rule;
+};
+
+export const unregisterRule = (id) => rules.delete(id);
+
+export const getRules = () => Array.from(rules.values());
+
+[
+  bloat, ghost, modulesCommitted, noReadme, envLeak, noLock, noTests, jsScale, secretLeak,
+  depWildcard, depFloating, depConflict, depDeprecated, vulnerableDep,
+  sparse, stalePrs, issueBacklog, busFactor, releaseCadence,
+  ...hygienePack, ...smellsPack, ...pythonPack, ...goPack, ...rustPack, ...javaPack
+].forEach(registerRule);
+
+const isActive = (rule, { disabled = [], deepScan = false } = {}) => !disabled.includes(rule.id) && (!rule.deep || deepScan);
+
+const speaksLanguage = (rule, ctx) => !rule.language || usesLanguage(ctx.languages, rule.language);
+
+export const needsVitals = (options = {}) => getRules().some(rule => rule.vitals && isActive(rule, options));
+
+// Files the active rules want to read, shallow rules first so the deep scan cannot starve them.
+export const collectReads = (ctx, options = {}) => {
+  const active = getRules().filter(rule => rule.reads && isActive(rule, options) && speaksLanguage(rule, ctx));
+  const ordered = [...active.filter(r => !r.deep), ...active.filter(r => r.deep)];
+  const seen = new Set();
+  return ordered.flatMap(rule => {
+    let wanted;
+    try { wanted = rule.reads(ctx) || []; } catch { return []; }
+    return wanted
+      .map(item => ({ ...(typeof item === 'string' ? { path: item } : item), budgeted: !!rule.deep }))
+      .filter(item => !seen.has(item.path) && seen.add(item.path));
+  });
+};
+
+const toFindings = (hit) => {
+  if (!hit) return [];
+  if (Array.isArray(hit)) return hit.filter(Boolean);
+  return [hit];
+};
+
+/**
+ * Runs every registered rule against ctx.
+ *   weights     multiplier per rule id applied to each finding's penalty (0 mutes the rule)
+ *   suppress    [{ id, path?, justification }]: matching findings move to `suppressed` and cost nothing
+ *   onProgress  gets a 'rule' event as each rule is evaluated (see core/progress.js)
+ * Returns the penalties, the prescriptions, the suppressed prescriptions (with their justification)
+ * and a per-rule report
+ * ({ id, title, severity, status: 'passed' | 'failed' | 'suppressed' | 'disabled' | 'skipped' | 'error', hits }).
+ */
+export const runRules = (ctx, { disabled = [], deepScan = false, weights = {}, suppress = [], onProgress = () => {} } = {}) => {
+  const prescriptions = [];
+  const suppressed = [];
+  const results = [];
+  let penalty = 0;
+  const record = (result) => {
+    results.push(result);
+    onProgress({ type: 'rule', id: result.id, status: result.status, hits: result.hits });
+  };
+
+  getRules().forEach(rule => {
+    const base = { id: rule.id, title: rule.title, severity: rule.severity, hits: 0 };
+
+    if (disabled.includes(rule.id)) {
+      record({ ...base, status: 'disabled' });
+      return;
+    }
+    if (!isActive(rule, { deepScan }) || (rule.vitals && !ctx.vitals) || !speaksLanguage(rule, ctx)) {
+      record({ ...base, status: 'skipped' });
+      return;
+    }
+
+    // A throwing detect(), prescribe() or fix() marks this rule as errored instead of failing the scan.
+    let findings;
+    try {
+      findings = toFindings(rule.detect(ctx)).map(finding => {
+        const rx = {
+          id: rule.id,
+          severity: rule.severity,
+          title: rule.title,
+          time: rule.time,
+          penalty: rule.penalty || 0,
+          ...(rule.prescribe ? rule.prescribe(finding, ctx) : {})
+        };
+        const fix = rule.fix ? rule.fix(finding, ctx) : null;
+        if (fix && (fix.files.length || fix.commands.length)) rx.fix = fix;
+        return rx;
+      });
+    } catch (err) {
+      record({ ...base, status: 'error', error: err.message });
+      return;
+    }
+
+    const weight = weights[rule.id] ?? 1;
+    let open = 0;
+    findings.forEach(rx => {
+      rx.penalty = Math.round(rx.penalty * weight);
+      const suppression = findSuppression(rx, suppress);
+      if (suppression) {
+        suppressed.push({ ...rx, justification: suppression.justification });
+        return;
+      }
+      open++;
+      penalty += rx.penalty;
+      prescriptions.push(rx);
+    });
+
+    const status = open ? 'failed' : findings.length ? 'suppressed' : 'passed';
+    record({ ...base, status, hits: findings.length });
+  });
+
+  return { penalty, prescriptions, suppressed, results };
+};
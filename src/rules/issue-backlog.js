@@ -0,0 +1,14 @@
+// --- Rule: Untreated Complaints ---
+export default {
+  id: 'issue-backlog',
+  severity: 'warning',
+  penalty: 5,
+  title: 'Untreated Complaints',
+  time: '2 hours',
+  vitals: true,
+  detect: ({ vitals }) => vitals.issues && vitals.issues.open >= 25 && vitals.issues.openRatio > 0.5 && vitals.issues,
+  prescribe: ({ open, closed, openRatio }) => ({
+    diagnosis: `${open} issues are open against ${closed} closed (${Math.round(openRatio * 100)}% still open).`,
+    treatment: "Label and close duplicates and stale reports; add issue templates so new ones arrive triaged."
+  })
+};
@@ -0,0 +1,17 @@
+// --- Rule: Type Safety Gap ---
+export default {
+  id: 'js-scale',
+  language: 'JavaScript',
+  severity: 'info',
+  penalty: 5,
+  title: 'Type Safety Gap',
+  time: 'Elective',
+  detect: ({ isTypeScript, languages }) => {
+    const js = languages.breakdown.find(l => l.name === 'JavaScript');
+    return !isTypeScript && js && js.files > 30;
+  },
+  prescribe: () => ({
+    diagnosis: "Large JavaScript codebase detected.",
+    treatment: "Migrate to TypeScript for better maintainability."
+  })
+};
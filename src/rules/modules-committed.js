@@ -0,0 +1,26 @@
+import { gitignoreAddition, shellQuote } from '../core/treatments.js';
+
+// Outermost node_modules directories (workspaces can have several).
+const moduleRoots = (files) => [...new Set(files
+  .filter(f => f.path.includes('node_modules/'))
+  .map(f => f.path.slice(0, f.path.indexOf('node_modules/') + 'node_modules'.length)))];
+
+// --- Rule: The Forbidden Commit ---
+export default {
+  id: 'modules-committed',
+  severity: 'critical',
+  penalty: 30,
+  title: 'The Forbidden Commit',
+  time: 'IMMEDIATE',
+  reads: ({ files }) => (files.some(f => f.path === '.gitignore') ? ['.gitignore'] : []),
+  detect: ({ files }) => files.some(f => f.path.includes('node_modules/')),
+  prescribe: (finding, { files }) => ({
+    diagnosis: "'node_modules' is committed to the repo. This is a sin.",
+    treatment: "git rm -r --cached node_modules && echo 'node_modules' >> .gitignore",
+    location: { path: moduleRoots(files)[0] }
+  }),
+  fix: (finding, ctx) => ({
+    files: gitignoreAddition(ctx, ['node_modules/']),
+    commands: moduleRoots(ctx.files).map(root => `git rm -r -q --cached ${shellQuote(root)}`)
+  })
+};
@@ -0,0 +1,32 @@
+// --- Rule: Unstable Dependencies ---
+const LOCKFILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Lockfile-only installs for the manager package.json names in "packageManager" (npm otherwise).
+const LOCK_COMMANDS = {
+  npm: ['npm install --package-lock-only', 'git add package-lock.json'],
+  yarn: ['yarn install', 'git add yarn.lock'],
+  pnpm: ['pnpm install --lockfile-only', 'git add pnpm-lock.yaml']
+};
+
+const packageManager = (text) => {
+  try { return (JSON.parse(text).packageManager || '').split('@')[0]; }
+  catch { return null; }
+};
+
+export default {
+  id: 'no-lock',
+  severity: 'warning',
+  penalty: 10,
+  title: 'Unstable Dependencies',
+  time: '2 min',
+  reads: ({ files }) => (files.some(f => f.path === 'package.json') ? ['package.json'] : []),
+  detect: ({ files }) => {
+    const hasLockFile = files.some(f => LOCKFILES.some(lock => f.path.includes(lock)));
+    return !hasLockFile && files.some(f => f.path === 'package.json');
+  },
+  prescribe: () => ({
+    diagnosis: "No lockfile detected (npm/yarn/pnpm).",
+    treatment: "Commit your lockfile to ensure deterministic builds."
+  }),
+  fix: (finding, { contents }) => ({ files: [], commands: LOCK_COMMANDS[packageManager(contents.get('package.json'))] || LOCK_COMMANDS.npm })
+};
@@ -0,0 +1,18 @@
+import { readmeFor } from '../core/treatments.js';
+
+// --- Rule: Anonymous Code ---
+export default {
+  id: 'no-readme',
+  severity: 'critical',
+  penalty: 25,
+  title: 'Anonymous Code',
+  time: '15 min',
+  // package.json's scripts fill the skeleton's Usage section.
+  reads: ({ files }) => (files.some(f => f.path === 'package.json') ? ['package.json'] : []),
+  detect: ({ files }) => !files.some(f => f.path.toLowerCase() === 'readme.md'),
+  prescribe: () => ({
+    diagnosis: "No README.md found.",
+    treatment: "Add a README to explain what this is."
+  }),
+  fix: (finding, ctx) => ({ files: [{ path: 'README.md', content: readmeFor(ctx) }], commands: [] })
+};
@@ -0,0 +1,20 @@
+// --- Rule: Living Dangerously ---
+// JavaScript/TypeScript; the other ecosystems have their own in rules/packs.
+const TEST = /\.(test|spec)\.|(^|\/)(test|tests|__tests__)\//;
+
+export default {
+  id: 'no-tests',
+  language: ['JavaScript', 'TypeScript'],
+  severity: 'info',
+  penalty: 5,
+  title: 'Living Dangerously',
+  time: '1 hour',
+  detect: ({ files, fileCount }) => {
+    const hasTests = files.some(f => TEST.test(f.path));
+    return !hasTests && fileCount > 20;
+  },
+  prescribe: () => ({
+    diagnosis: "No obvious test files detected.",
+    treatment: "Add Jest/Vitest and write basic unit tests."
+  })
+};
@@ -0,0 +1,58 @@
+// --- Rule Pack: Go ---
+const dirOf = (path) => path.split('/').slice(0, -1).join('/');
+const sources = (files) => files.filter(f => f.type === 'blob' && f.path.endsWith('.go') && !/(^|\/)(vendor|third_party)\//.test(f.path));
+const modFiles = (files) => files.filter(f => /(^|\/)go\.mod$/.test(f.path) && !/(^|\/)vendor\//.test(f.path)).map(f => f.path);
+
+export default [
+  {
+    id: 'go-mod',
+    language: 'Go',
+    severity: 'warning',
+    penalty: 10,
+    title: 'Lost in GOPATH',
+    time: '5 min',
+    detect: ({ files }) => sources(files).length > 0 && modFiles(files).length === 0,
+    prescribe: () => ({
+      diagnosis: "Go code without a go.mod. It only builds inside a GOPATH, with whatever dependency versions happen to be there.",
+      treatment: "Run go mod init <module path> && go mod tidy and commit go.mod and go.sum."
+    })
+  },
+  {
+    id: 'go-sum',
+    language: 'Go',
+    severity: 'warning',
+    penalty: 10,
+    title: 'Unverified Supply',
+    time: '2 min',
+    reads: ({ files }) => modFiles(files),
+    // One card per module that requires something but has no go.sum next to it.
+    detect: ({ files, contents }) => {
+      const paths = new Set(files.map(f => f.path));
+      return modFiles(files).filter(mod => {
+        const sum = dirOf(mod) ? `${dirOf(mod)}/go.sum` : 'go.sum';
+        return /^\s*require\b/m.test(contents.get(mod) || '') && !paths.has(sum);
+      });
+    },
+    prescribe: (mod) => ({
+      diagnosis: `${mod} requires modules but there is no go.sum beside it, so their checksums are never verified.`,
+      treatment: "Run go mod tidy and commit go.sum.",
+      location: { path: mod }
+    })
+  },
+  {
+    id: 'go-tests',
+    language: 'Go',
+    severity: 'info',
+    penalty: 5,
+    title: 'Living Dangerously',
+    time: '1 hour',
+    detect: ({ files }) => {
+      const go = sources(files);
+      return go.length >= 5 && !go.some(f => f.path.endsWith('_test.go'));
+    },
+    prescribe: () => ({
+      diagnosis: "No _test.go files found.",
+      treatment: "Add table-driven tests in _test.go files next to the code and run go test ./... in CI."
+    })
+  }
+];
@@ -0,0 +1,211 @@
+import { gitignoreFor, gitignoreAddition, shellQuote } from '../../core/treatments.js';
+
+// --- Rule Pack: Hygiene ---
+// The basics every repo should have, whatever it is written in. Treatments are commands that
+// can be pasted into a shell at the repo root, like modules-committed's.
+const baseName = (path) => path.split('/').pop();
+const atRoot = (files, pattern) => files.find(f => f.type === 'blob' && !f.path.includes('/') && pattern.test(f.path));
+const VENDORED = /(^|\/)(node_modules|vendor|third_party)\//;
+
+// Build output and OS/editor droppings that belong in .gitignore, not in the tree.
+const JUNK = [
+  { ignore: 'dist/', match: /(^|\/)dist\// },
+  { ignore: 'build/', match: /(^|\/)build\// },
+  { ignore: 'coverage/', match: /(^|\/)coverage\// },
+  { ignore: '__pycache__/', match: /(^|\/)__pycache__\/|\.pyc$/ },
+  { ignore: 'target/', match: /(^|\/)target\/(debug|release|classes)\// },
+  { ignore: '.idea/', match: /(^|\/)\.idea\// },
+  { ignore: '.DS_Store', match: /(^|\/)\.DS_Store$/ },
+  { ignore: 'Thumbs.db', match: /(^|\/)Thumbs\.db$/i },
+  { ignore: '*.log', match: /\.log$/ }
+];
+const JUNK_COMMANDS = 50;
+
+// Committed as real blobs these bloat every clone forever; Git LFS keeps only a pointer.
+const LFS_THRESHOLD = 1024 * 1024;
+const BINARY_MEDIA = /\.(png|jpe?g|gif|webp|bmp|tiff?|psd|ai|sketch|fig|mp[34]|mov|avi|mkv|webm|wav|flac|ogg|zip|gz|tgz|7z|rar|jar|pdf|exe|dll|so|dylib|bin|onnx|pt|pth|h5|ckpt|safetensors|parquet|sqlite|db)$/i;
+
+// .gitattributes patterns (`*.psd filter=lfs ...`) as regexes; patterns without a slash match the base name.
+const lfsPatterns = (text) => text.split(/\r?\n/)
+  .map(line => line.trim().split(/\s+/))
+  .filter(([pattern, ...attrs]) => pattern && !pattern.startsWith('#') && attrs.includes('filter=lfs'))
+  .map(([pattern]) => {
+    const source = pattern.replace(/^\//, '').replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\//g, '\u0000').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]').replace(/\u0000/g, '(.*/)?');
+    return { anywhere: !pattern.replace(/^\//, '').includes('/'), regex: new RegExp(`^${source}$`) };
+  });
+
+const GITIGNORE_TEMPLATES = { Python: 'Python', Go: 'Go', Rust: 'Rust', Java: 'Java', Kotlin: 'Java', Ruby: 'Ruby', 'C#': 'VisualStudio', 'C++': 'C++', C: 'C' };
+const README = /^readme(\.(md|markdown|rst|txt))?$/i;
+const CI_CONFIG = /^(\.github\/workflows\/[^/]+\.ya?ml|\.gitlab-ci\.ya?ml|\.circleci\/config\.ya?ml|\.travis\.ya?ml|azure-pipelines\.ya?ml|bitbucket-pipelines\.ya?ml|Jenkinsfile|\.drone\.ya?ml|\.woodpecker(\.ya?ml|\/[^/]+\.ya?ml)|\.(gitea|forgejo)\/workflows\/[^/]+\.ya?ml|\.buildkite\/[^/]+\.ya?ml)$/;
+const CI_STARTERS = { JavaScript: 'node.js', TypeScript: 'node.js', Python: 'python-app', Go: 'go', Rust: 'rust', Java: 'maven', Kotlin: 'gradle' };
+
+// GitHub looks in the root, .github/ and docs/.
+const COMMUNITY_FILES = [
+  { name: 'CONTRIBUTING.md', match: /^contributing(\.(md|rst|txt))?$/i, create: "printf '# Contributing\\n\\nOpen an issue before large changes. Run the tests before sending a PR.\\n' > CONTRIBUTING.md" },
+  { name: 'SECURITY.md', match: /^security(\.(md|rst|txt))?$/i, create: "printf '# Security Policy\\n\\nPlease report vulnerabilities privately to security@example.com, not in public issues.\\n' > SECURITY.md" },
+  { name: 'CODEOWNERS', match: /^CODEOWNERS$/, create: "mkdir -p .github && printf '* @your-org/maintainers\\n' > .github/CODEOWNERS" }
+];
+const inCommunityDir = (path) => !path.includes('/') || /^(\.github|docs)\/[^/]+$/.test(path);
+
+export default [
+  {
+    id: 'no-gitignore',
+    severity: 'warning',
+    penalty: 5,
+    title: 'No Sterile Field',
+    time: '2 min',
+    detect: ({ files, fileCount }) => fileCount >= 5 && !atRoot(files, /^\.gitignore$/),
+    prescribe: (finding, { languages }) => {
+      const template = GITIGNORE_TEMPLATES[languages && languages.primary] || 'Node';
+      return {
+        diagnosis: "No .gitignore: build output, logs and editor files end up in commits sooner or later.",
+        treatment: `curl -sL https://raw.githubusercontent.com/github/gitignore/main/${template}.gitignore > .gitignore`
+      };
+    },
+    fix: (finding, { languages, files }) => ({ files: [{ path: '.gitignore', content: gitignoreFor(languages, files) }], commands: [] })
+  },
+  {
+    id: 'junk-committed',
+    severity: 'warning',
+    penalty: 10,
+    title: 'Contaminated Instruments',
+    time: '5 min',
+    reads: ({ files }) => (atRoot(files, /^\.gitignore$/) ? ['.gitignore'] : []),
+    detect: ({ files, contents }) => {
+      const ignored = (contents.get('.gitignore') || '').split(/\r?\n/).map(line => line.trim().replace(/^\//, ''));
+      const hits = JUNK
+        .map(junk => ({ ...junk, count: files.filter(f => f.type === 'blob' && !VENDORED.test(f.path) && junk.match.test(f.path)).length }))
+        .filter(junk => junk.count > 0);
+      return hits.length > 0 && { hits: hits.map(({ ignore, count }) => ({ ignore, count, listed: ignored.includes(ignore) || ignored.includes(ignore.replace(/\/$/, '')) })) };
+    },
+    prescribe: ({ hits }) => {
+      const missing = hits.filter(h => !h.listed).map(h => h.ignore);
+      const append = missing.length ? `printf '${missing.join('\\n')}\\n' >> .gitignore && ` : '';
+      return {
+        diagnosis: `Generated or junk files are committed: ${hits.map(h => `${h.ignore} (${h.count})`).join(', ')}.${missing.length < hits.length ? ' Some are already in .gitignore but were added before it.' : ''}`,
+        treatment: `${append}git ls-files -ci --exclude-standard -z | xargs -0 git rm --cached`
+      };
+    },
+    // One `git rm` per junk directory or file (not inside another one, git would find nothing left
+    // to remove); past JUNK_COMMANDS of them, the ls-files sweep above.
+    fix: ({ hits }, ctx) => {
+      const found = [...new Set(hits.flatMap(({ ignore }) => {
+        const junk = JUNK.find(j => j.ignore === ignore);
+        return ctx.files
+          .filter(f => f.type === 'blob' && !VENDORED.test(f.path))
+          .map(f => {
+            const m = junk.match.exec(f.path);
+            return m && (m[0].endsWith('/') ? f.path.slice(0, m.index + m[0].length - 1) : f.path);
+          })
+          .filter(Boolean);
+      }))];
+      const targets = found.filter(path => !found.some(dir => path.startsWith(`${dir}/`)));
+      return {
+        files: gitignoreAddition(ctx, hits.map(h => h.ignore)),
+        commands: targets.length > JUNK_COMMANDS
+          ? ['git ls-files -ci --exclude-standard -z | xargs -0 git rm -q --cached']
+          : targets.map(path => `git rm -r -q --cached ${shellQuote(path)}`)
+      };
+    }
+  },
+  {
+    id: 'no-license',
+    severity: 'warning',
+    penalty: 10,
+    title: 'Unlicensed Practice',
+    time: '2 min',
+    detect: ({ files }) => !atRoot(files, /^(licen[cs]e|copying)([-.][\w.-]+)?$/i),
+    prescribe: () => ({
+      diagnosis: "No LICENSE file. Without one, nobody may legally use, copy or contribute to this code.",
+      treatment: "curl -s https://api.github.com/licenses/mit | jq -r .body | sed \"s/\\[year\\]/$(date +%Y)/; s/\\[fullname\\]/Your Name/\" > LICENSE (or pick another at choosealicense.com)"
+    })
+  },
+  {
+    id: 'no-ci',
+    severity: 'info',
+    penalty: 5,
+    title: 'No Monitoring',
+    time: '15 min',
+    detect: ({ files, fileCount }) => fileCount >= 10 && !files.some(f => CI_CONFIG.test(f.path)),
+    prescribe: (finding, { languages }) => {
+      const starter = CI_STARTERS[languages && languages.primary] || 'blank';
+      return {
+        diagnosis: "No CI configuration (GitHub Actions, GitLab CI, CircleCI...). Nothing checks a change before it lands.",
+        treatment: `mkdir -p .github/workflows && curl -sL https://raw.githubusercontent.com/actions/starter-workflows/main/ci/${starter}.yml > .github/workflows/ci.yml`
+      };
+    }
+  },
+  {
+    id: 'community-files',
+    severity: 'info',
+    penalty: 5,
+    title: 'No Visiting Hours',
+    time: '10 min',
+    detect: ({ files, fileCount }) => {
+      if (fileCount < 20) return false;
+      const present = files.filter(f => inCommunityDir(f.path));
+      const missing = COMMUNITY_FILES.filter(doc => !present.some(f => doc.match.test(baseName(f.path))));
+      return missing.length > 0 && { missing };
+    },
+    prescribe: ({ missing }) => ({
+      diagnosis: `Missing ${missing.map(doc => doc.name).join(', ')}. Contributors don't know how to help, who reviews what, or where to report a vulnerability.`,
+      treatment: missing.map(doc => doc.create).join(' && ')
+    })
+  },
+  {
+    id: 'lfs-candidates',
+    severity: 'warning',
+    penalty: 10,
+    title: 'Heavy Baggage',
+    time: '30 min',
+    reads: ({ files }) => (atRoot(files, /^\.gitattributes$/) ? ['.gitattributes'] : []),
+    detect: ({ files, contents }) => {
+      const tracked = lfsPatterns(contents.get('.gitattributes') || '');
+      const inLfs = (path) => tracked.some(p => p.regex.test(p.anywhere ? baseName(path) : path));
+      const heavy = files
+        .filter(f => f.type === 'blob' && (f.size || 0) > LFS_THRESHOLD && BINARY_MEDIA.test(f.path) && !VENDORED.test(f.path) && !inLfs(f.path))
+        .sort((a, b) => b.size - a.size);
+      return heavy.length > 0 && { heavy };
+    },
+    prescribe: ({ heavy }) => {
+      const extensions = [...new Set(heavy.map(f => `*.${f.path.split('.').pop().toLowerCase()}`))];
+      const total = heavy.reduce((sum, f) => sum + f.size, 0);
+      return {
+        diagnosis: `${heavy.length} binary/media file${heavy.length === 1 ? '' : 's'} over 1 MB committed directly (${(total / 1024 / 1024).toFixed(1)} MB, largest: ${heavy[0].path}). Every clone downloads every version of them.`,
+        treatment: `git lfs install && git lfs track ${extensions.map(e => `"${e}"`).join(' ')} && git add .gitattributes && git lfs migrate import --include="${extensions.join(',')}" --everything (rewrites history: coordinate the force-push)`,
+        location: { path: heavy[0].path }
+      };
+    }
+  },
+  {
+    id: 'thin-readme',
+    severity: 'info',
+    penalty: 5,
+    title: 'Blank Chart',
+    time: '30 min',
+    reads: ({ files }) => {
+      const readme = atRoot(files, README);
+      return readme ? [readme.path] : [];
+    },
+    // Headings, badges, images and bare links don't count as words.
+    detect: ({ files, contents }) => {
+      const readme = atRoot(files, README);
+      if (!readme || !contents.has(readme.path)) return false;
+      const words = contents.get(readme.path)
+        .split(/\r?\n/)
+        .filter(line => !/^\s*(#|=+$|-+$|\[!\[|!\[|<)/.test(line))
+        .join(' ')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/https?:\/\/\S+/g, '')
+        .split(/\s+/)
+        .filter(word => /\w/.test(word));
+      return words.length < 30 && { path: readme.path, words: words.length };
+    },
+    prescribe: ({ path, words }) => ({
+      diagnosis: `${path} exists but says almost nothing (${words} word${words === 1 ? '' : 's'} beyond headings and badges).`,
+      treatment: `printf '\\n## What it does\\n\\n## Install\\n\\n## Usage\\n\\n## Contributing\\n\\n## License\\n' >> ${path}`,
+      location: { path }
+    })
+  }
+];
@@ -0,0 +1,60 @@
+// --- Rule Pack: Java / Kotlin (JVM) ---
+const baseName = (path) => path.split('/').pop();
+const sources = (files) => files.filter(f => f.type === 'blob' && /\.(java|kt)$/.test(f.path));
+const has = (files, pattern) => files.some(f => pattern.test(baseName(f.path)));
+const find = (files, pattern) => files.find(f => pattern.test(baseName(f.path)));
+
+const MAVEN = /^pom\.xml$/;
+const GRADLE = /^(build|settings)\.gradle(\.kts)?$/;
+const TEST = /(^|\/)src\/test\/|(Test|Tests|IT)\.(java|kt)$/;
+
+export default [
+  {
+    id: 'java-build',
+    language: ['Java', 'Kotlin'],
+    severity: 'warning',
+    penalty: 10,
+    title: 'Hand-Built Jars',
+    time: '1 hour',
+    detect: ({ files }) => sources(files).length > 0 && !has(files, MAVEN) && !has(files, GRADLE),
+    prescribe: () => ({
+      diagnosis: "JVM code without a pom.xml or build.gradle. Dependencies and the build are whatever the last IDE did.",
+      treatment: "Add a Maven or Gradle build (gradle init converts most layouts)."
+    })
+  },
+  {
+    id: 'java-wrapper',
+    language: ['Java', 'Kotlin'],
+    severity: 'info',
+    penalty: 5,
+    title: 'Bring Your Own Build Tool',
+    time: '2 min',
+    detect: ({ files }) => {
+      const gradle = find(files, GRADLE);
+      if (gradle) return !has(files, /^gradlew$/) && { tool: 'Gradle', build: gradle.path };
+      const maven = find(files, MAVEN);
+      if (maven) return !has(files, /^mvnw$/) && { tool: 'Maven', build: maven.path };
+      return false;
+    },
+    prescribe: ({ tool, build }) => ({
+      diagnosis: `${tool} build without its wrapper: everyone builds with whichever ${tool} version they have installed.`,
+      treatment: tool === 'Gradle'
+        ? "Run gradle wrapper and commit gradlew, gradlew.bat and gradle/wrapper/."
+        : "Run mvn wrapper:wrapper and commit mvnw, mvnw.cmd and .mvn/wrapper/.",
+      location: { path: build }
+    })
+  },
+  {
+    id: 'java-tests',
+    language: ['Java', 'Kotlin'],
+    severity: 'info',
+    penalty: 5,
+    title: 'Living Dangerously',
+    time: '1 hour',
+    detect: ({ files }) => sources(files).length >= 5 && !files.some(f => TEST.test(f.path)),
+    prescribe: () => ({
+      diagnosis: "No src/test/ folder or *Test classes found.",
+      treatment: "Add JUnit 5 tests under src/test/ and run them in the build."
+    })
+  }
+];
@@ -0,0 +1,57 @@
+// --- Rule Pack: Python ---
+// Runs when Python is a real share of the code (see `language` in rules/index.js).
+const baseName = (path) => path.split('/').pop();
+const sources = (files) => files.filter(f => f.type === 'blob' && f.path.endsWith('.py') && !/(^|\/)(vendor|third_party|\.venv|venv)\//.test(f.path));
+
+const MANIFEST = /^(pyproject\.toml|setup\.py|setup\.cfg|Pipfile|requirements([-_.][\w-]+)?\.txt)$/;
+const TEST = /(^|\/)tests?\/|(^|\/)test_[^/]*\.py$|_test\.py$|(^|\/)conftest\.py$/;
+const TYPE_CONFIG = /^(py\.typed|mypy\.ini|\.mypy\.ini|pyrightconfig\.json)$/;
+const TYPE_SECTION = /^\[(tool\.mypy|tool\.pyright|mypy)\]/m;
+const TYPE_SETTINGS = ['pyproject.toml', 'setup.cfg'];
+
+export default [
+  {
+    id: 'py-manifest',
+    language: 'Python',
+    severity: 'warning',
+    penalty: 10,
+    title: 'Missing Intake Form',
+    time: '15 min',
+    detect: ({ files }) => sources(files).length > 0 && !files.some(f => MANIFEST.test(baseName(f.path))),
+    prescribe: () => ({
+      diagnosis: "Python code but no pyproject.toml, requirements.txt or setup.py. Nobody can rebuild the environment it runs in.",
+      treatment: "Add a pyproject.toml (uv init / poetry init) or at least a pinned requirements.txt."
+    })
+  },
+  {
+    id: 'py-tests',
+    language: 'Python',
+    severity: 'info',
+    penalty: 5,
+    title: 'Living Dangerously',
+    time: '1 hour',
+    detect: ({ files }) => sources(files).filter(f => baseName(f.path) !== 'setup.py').length >= 5 && !files.some(f => TEST.test(f.path)),
+    prescribe: () => ({
+      diagnosis: "No tests/ folder, test_*.py or conftest.py found.",
+      treatment: "Add pytest and a tests/ folder with test_*.py files, then run it in CI."
+    })
+  },
+  {
+    id: 'py-types',
+    language: 'Python',
+    severity: 'info',
+    penalty: 5,
+    title: 'Type Safety Gap',
+    time: 'Elective',
+    reads: ({ files }) => files.filter(f => TYPE_SETTINGS.includes(f.path)).map(f => f.path),
+    detect: ({ files, contents }) => {
+      if (sources(files).length < 20) return false;
+      if (files.some(f => TYPE_CONFIG.test(baseName(f.path)))) return false;
+      return !TYPE_SETTINGS.some(path => TYPE_SECTION.test(contents.get(path) || ''));
+    },
+    prescribe: () => ({
+      diagnosis: "Large Python codebase with no type checking set up (no py.typed, mypy or pyright config).",
+      treatment: "Add type hints and run mypy or pyright in CI. Libraries should also ship a py.typed marker."
+    })
+  }
+];
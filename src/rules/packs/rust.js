@@ -0,0 +1,60 @@
+// --- Rule Pack: Rust ---
+const sources = (files) => files.filter(f => f.type === 'blob' && f.path.endsWith('.rs') && !/(^|\/)(vendor|target)\//.test(f.path));
+const CRATE_ROOTS = /(^|\/)src\/(lib|main)\.rs$/;
+const CRATE_SOURCES = /(^|\/)src\/.+\.rs$/;
+const TEST_DIR = /(^|\/)tests\/[^/]+\.rs$/;
+const TEST_MODULES = /(^|\/)(tests?|[^/]+_tests?)\.rs$/;
+const UNIT_TESTS = /#\[(cfg\(test\)|test)\]/;
+// Unit tests usually live in the submodules, so rust-tests reads the crate roots first and then
+// the other files under src/, up to this many.
+const RUST_TEST_READS = 20;
+
+const crateSources = (files) => {
+  const candidates = sources(files).filter(f => CRATE_SOURCES.test(f.path));
+  return [...candidates.filter(f => CRATE_ROOTS.test(f.path)), ...candidates.filter(f => !CRATE_ROOTS.test(f.path))]
+    .slice(0, RUST_TEST_READS)
+    .map(f => f.path);
+};
+
+export default [
+  {
+    id: 'rust-lock',
+    language: 'Rust',
+    severity: 'info',
+    penalty: 5,
+    title: 'Unstable Dependencies',
+    time: '2 min',
+    detect: ({ files }) => {
+      const manifest = files.find(f => /(^|\/)Cargo\.toml$/.test(f.path));
+      if (!manifest || files.some(f => /(^|\/)Cargo\.lock$/.test(f.path))) return false;
+      return { manifest: manifest.path, binary: files.some(f => /(^|\/)src\/(main\.rs|bin\/)/.test(f.path)) };
+    },
+    // Cargo has recommended committing the lockfile for libraries too since 2023; binaries always needed it.
+    prescribe: ({ manifest, binary }) => ({
+      ...(binary ? { severity: 'warning', penalty: 10 } : {}),
+      diagnosis: binary
+        ? "No Cargo.lock committed for a binary crate. Every build may resolve different crate versions."
+        : "No Cargo.lock committed. CI and contributors test against whatever versions resolve that day.",
+      treatment: "Run cargo generate-lockfile and commit Cargo.lock.",
+      location: { path: manifest }
+    })
+  },
+  {
+    id: 'rust-tests',
+    language: 'Rust',
+    severity: 'info',
+    penalty: 5,
+    title: 'Living Dangerously',
+    time: '1 hour',
+    reads: ({ files }) => crateSources(files).map(path => ({ path, maxSize: 100 * 1024 })),
+    detect: ({ files, contents }) => {
+      if (sources(files).length < 5 || sources(files).some(f => TEST_DIR.test(f.path) || TEST_MODULES.test(f.path))) return false;
+      const checked = crateSources(files).filter(path => contents.has(path));
+      return checked.length > 0 && !checked.some(path => UNIT_TESTS.test(contents.get(path))) && { checked: checked.length };
+    },
+    prescribe: ({ checked }) => ({
+      diagnosis: `No tests/ integration tests and no #[cfg(test)] module in the ${checked} crate source file${checked === 1 ? '' : 's'} checked.`,
+      treatment: "Add a #[cfg(test)] mod tests next to the code or integration tests in tests/, and run cargo test in CI."
+    })
+  }
+];
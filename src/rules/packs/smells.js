@@ -0,0 +1,118 @@
+import { getSmellReport, sampleSources, SMELL_MAX_FILE_SIZE } from '../../core/smells.js';
+
+// --- Rule Pack: Code Smells ---
+// All six read the same sampled files (see core/smells.js), so the sample is fetched once. They are
+// deep rules: the sample costs up to 20 API calls, and its bytes count against the deep-scan budget.
+const reads = ({ files }) => sampleSources(files).map(path => ({ path, maxSize: SMELL_MAX_FILE_SIZE }));
+const names = (items, detail) => items.slice(0, 3).map(item => `${item.path} (${detail(item)})`).join(', ');
+
+export default [
+  {
+    id: 'debug-leftovers',
+    severity: 'warning',
+    penalty: 5,
+    title: 'Forgotten Sponges',
+    time: '15 min',
+    deep: true,
+    reads,
+    detect: (ctx) => {
+      const smells = getSmellReport(ctx);
+      return smells && smells.debug.count >= 3 && smells;
+    },
+    prescribe: ({ debug, sampled }) => ({
+      diagnosis: `${debug.count} debug statements (console.log, print, dbg!...) left in ${sampled} sampled files. Worst: ${names(debug.worst, f => f.debug)}.`,
+      treatment: "Delete them or route through a logger with levels; add a lint rule (no-console, flake8-print, clippy::dbg_macro) so they can't come back.",
+      location: { path: debug.worst[0].path, line: debug.worst[0].line }
+    })
+  },
+  {
+    id: 'todo-density',
+    severity: 'info',
+    penalty: 5,
+    title: 'Deferred Treatment',
+    time: 'Ongoing',
+    deep: true,
+    reads,
+    detect: (ctx) => {
+      const smells = getSmellReport(ctx);
+      return smells && smells.todos.count >= 5 && smells.todos.per1000 >= 5 && smells;
+    },
+    prescribe: ({ todos }) => ({
+      diagnosis: `${todos.count} TODO/FIXME/HACK markers, ${todos.per1000} per 1000 lines sampled. Worst: ${names(todos.worst, f => f.todos)}.`,
+      treatment: "Turn the real ones into issues and delete the rest: git grep -nE 'TODO|FIXME|HACK'",
+      location: { path: todos.worst[0].path }
+    })
+  },
+  {
+    id: 'long-files',
+    severity: 'info',
+    penalty: 5,
+    title: 'Swollen Organs',
+    time: 'Long-term',
+    deep: true,
+    reads,
+    detect: (ctx) => {
+      const smells = getSmellReport(ctx);
+      return smells && smells.longFiles.length > 0 && smells;
+    },
+    prescribe: ({ longFiles, limits }) => ({
+      diagnosis: `${longFiles.length} sampled file${longFiles.length === 1 ? '' : 's'} over ${limits.longFile} lines: ${names(longFiles, f => `${f.lines} lines`)}.`,
+      treatment: "Split by responsibility: move each cohesive group of functions into its own module.",
+      location: { path: longFiles[0].path }
+    })
+  },
+  {
+    id: 'long-functions',
+    severity: 'warning',
+    penalty: 5,
+    title: 'Marathon Surgery',
+    time: '2 hours',
+    deep: true,
+    reads,
+    detect: (ctx) => {
+      const smells = getSmellReport(ctx);
+      return smells && smells.longFunctions.length > 0 && smells;
+    },
+    prescribe: ({ longFunctions, limits }) => ({
+      diagnosis: `${longFunctions.length} function${longFunctions.length === 1 ? '' : 's'} over ${limits.longFunction} lines. Longest: ${names(longFunctions, fn => `${fn.name}, ${fn.length} lines`)}.`,
+      treatment: "Extract the steps into named helpers; each function should fit on one screen.",
+      location: { path: longFunctions[0].path, line: longFunctions[0].line }
+    })
+  },
+  {
+    id: 'deep-nesting',
+    severity: 'info',
+    penalty: 5,
+    title: 'Tangled Arteries',
+    time: '1 hour',
+    deep: true,
+    reads,
+    detect: (ctx) => {
+      const smells = getSmellReport(ctx);
+      return smells && smells.nesting.length > 0 && smells;
+    },
+    prescribe: ({ nesting, limits }) => ({
+      diagnosis: `Control flow nested more than ${limits.nesting} levels deep in ${nesting.length} sampled file${nesting.length === 1 ? '' : 's'}: ${names(nesting, f => `${f.depth} levels at line ${f.line}`)}.`,
+      treatment: "Return early (guard clauses) and pull the inner loops into their own functions.",
+      location: { path: nesting[0].path, line: nesting[0].line }
+    })
+  },
+  {
+    id: 'generic-names',
+    severity: 'info',
+    penalty: 5,
+    title: 'Nameless Patients',
+    time: '30 min',
+    deep: true,
+    reads,
+    detect: (ctx) => {
+      const smells = getSmellReport(ctx);
+      return smells && smells.generic.count >= 5 && smells;
+    },
+    prescribe: ({ generic }) => ({
+      diagnosis: `${generic.count} variables named like ${generic.names.map(n => `'${n}'`).join(', ')}. Worst: ${names(generic.worst, f => f.generic)}.`,
+      treatment: "Rename them after what they hold (users, retryDelayMs, parsedConfig); your editor's rename refactoring does it safely.",
+      location: { path: generic.worst[0].path, line: generic.worst[0].line }
+    })
+  }
+];
@@ -0,0 +1,15 @@
+// --- Rule: Overdue Checkup ---
+// Work keeps landing but nothing has shipped in a year.
+export default {
+  id: 'release-cadence',
+  severity: 'info',
+  penalty: 5,
+  title: 'Overdue Checkup',
+  time: '30 min',
+  vitals: true,
+  detect: ({ vitals }) => vitals.releases && vitals.releases.count > 0 && vitals.releases.daysSinceLast > 365 && vitals.commits.last90Days > 0 && vitals,
+  prescribe: ({ releases, commits }) => ({
+    diagnosis: `Last release was ${Math.floor(releases.daysSinceLast / 30)} months ago, yet ${commits.last90Days} commits landed in the last 90 days. Users are stuck on old code.`,
+    treatment: "Cut a release (changesets, release-please or a tagged GitHub Release) and set a regular cadence."
+  })
+};
@@ -0,0 +1,30 @@
+import { isTextCandidate } from '../core/contents.js';
+import { scanText } from '../core/secrets.js';
+
+// --- Rule: Hardcoded Secret (deep scan) ---
+// Config-looking files are read first so a tight byte budget still covers the usual suspects.
+const PRIORITY = /(^|\/)(\.env[^/]*|[^/]*(config|settings|secret|credential|key)[^/]*|[^/]*\.(ya?ml|json|ini|toml|properties|pem|key))$/i;
+const SKIP_DIRS = /(^|\/)(node_modules|vendor|dist|build)\//;
+
+export default {
+  id: 'secret-leak',
+  severity: 'critical',
+  penalty: 40,
+  title: 'Hardcoded Secret',
+  time: 'EMERGENCY',
+  deep: true,
+  reads: ({ files }) => {
+    const candidates = files.filter(f => isTextCandidate(f) && !SKIP_DIRS.test(f.path));
+    return [
+      ...candidates.filter(f => PRIORITY.test(f.path)),
+      ...candidates.filter(f => !PRIORITY.test(f.path))
+    ].map(f => f.path);
+  },
+  detect: ({ contents }) => Array.from(contents, ([path, text]) => scanText(path, text)).flat(),
+  prescribe: ({ label, path, line, preview }) => ({
+    title: `Hardcoded Secret: ${label}`,
+    diagnosis: `${label} found in ${path}:${line} (${preview}).`,
+    treatment: "Rotate the credential NOW, then move it to an environment variable or secret manager and purge it from history (git filter-repo).",
+    location: { path, line }
+  })
+};
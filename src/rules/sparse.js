@@ -0,0 +1,13 @@
+// --- Rule: Empty Shell ---
+export default {
+  id: 'sparse',
+  severity: 'info',
+  penalty: 10,
+  title: 'Empty Shell',
+  time: 'Ongoing',
+  detect: ({ fileCount, profile }) => fileCount < profile.thresholds.sparseFiles,
+  prescribe: () => ({
+    diagnosis: "Repository is extremely sparse.",
+    treatment: "Needs more features/code."
+  })
+};
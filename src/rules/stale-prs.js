@@ -0,0 +1,16 @@
+import { STALE_PR_DAYS } from '../core/vitals.js';
+
+// --- Rule: Stale Referrals ---
+export default {
+  id: 'stale-prs',
+  severity: 'warning',
+  penalty: 5,
+  title: 'Stale Referrals',
+  time: '1 hour',
+  vitals: true,
+  detect: ({ vitals }) => vitals.pulls && vitals.pulls.stale >= 5 && vitals.pulls,
+  prescribe: ({ open, stale }) => ({
+    diagnosis: `${stale} of ${open} open pull requests have not been touched in over ${STALE_PR_DAYS} days.`,
+    treatment: "Triage the queue: merge, request changes or close with a thank-you. Consider a stale-bot."
+  })
+};
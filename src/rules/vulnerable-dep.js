@@ -0,0 +1,23 @@
+import { dependencyFiles, getDependencyReport } from '../core/deps/index.js';
+import { auditTargets, matchAdvisories } from '../core/advisories/index.js';
+
+// --- Rule: Known Infection ---
+// One card per advisory hit; severity and penalty come from the advisory itself.
+export default {
+  id: 'vulnerable-dep',
+  severity: 'critical',
+  penalty: 25,
+  title: 'Known Infection',
+  time: 'ASAP',
+  reads: ({ files }) => dependencyFiles(files),
+  detect: (ctx) => (ctx.advisories ? matchAdvisories(ctx.advisories, auditTargets(getDependencyReport(ctx))) : []),
+  prescribe: (hit) => ({
+    title: `Known Infection: ${hit.name}@${hit.version}`,
+    severity: hit.severity,
+    penalty: hit.penalty,
+    diagnosis: `${hit.id} (${hit.label}) in ${hit.file}: ${hit.summary}.`,
+    treatment: hit.fixed ? `Upgrade ${hit.name} to ${hit.fixed} or later.` : `No fixed release yet. Replace ${hit.name} or mitigate per ${hit.url}.`,
+    location: { path: hit.file },
+    advisory: { id: hit.id, aliases: hit.aliases, severity: hit.label, fixed: hit.fixed, url: hit.url }
+  })
+};
@@ -0,0 +1,67 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRepo } from '../src/core/index.js';
+import { startMockGithub } from './mock-github.js';
+import { HEALTHY, SICK, SUPPRESSED } from './fixtures.js';
+
+let github;
+before(async () => { github = await startMockGithub({ 'demo/healthy': HEALTHY, 'demo/sick': SICK, 'demo/suppressed': SUPPRESSED }); });
+after(() => github.close());
+
+test('a healthy repo scores 100 with no prescriptions', async () => {
+  const diagnosis = await analyzeRepo('demo/healthy', { apiBase: github.apiBase });
+  assert.equal(diagnosis.score, 100);
+  assert.equal(diagnosis.status, 'Peak Form');
+  assert.deepEqual(diagnosis.prescriptions, []);
+  assert.equal(diagnosis.meta.name, 'demo/healthy');
+  assert.equal(diagnosis.meta.fileCount, Object.keys(HEALTHY.files).length);
+});
+
+test('a sick repo gets a prescription for each complaint', async () => {
+  const diagnosis = await analyzeRepo('https://github.com/demo/sick', { apiBase: github.apiBase });
+  const ids = diagnosis.prescriptions.map(rx => rx.id);
+  assert.ok(ids.includes('no-readme'));
+  assert.ok(ids.includes('env-leak'));
+  assert.equal(diagnosis.score, 100 - diagnosis.prescriptions.reduce((sum, rx) => sum + rx.penalty, 0));
+  assert.equal(diagnosis.status, 'Critical');
+});
+
+test('disabled rules cost nothing', async () => {
+  const diagnosis = await analyzeRepo('demo/sick', { apiBase: github.apiBase, disabledRules: ['env-leak'] });
+  assert.ok(!diagnosis.prescriptions.some(rx => rx.id === 'env-leak'));
+  assert.equal(diagnosis.rules.find(r => r.id === 'env-leak').status, 'disabled');
+});
+
+test('a path-scoped suppression covers a file-level prescription', async () => {
+  const diagnosis = await analyzeRepo('demo/suppressed', { apiBase: github.apiBase });
+  assert.ok(!diagnosis.prescriptions.some(rx => rx.id === 'env-leak'));
+  const rx = diagnosis.suppressed.find(s => s.id === 'env-leak');
+  assert.deepEqual(rx.location, { path: 'fixtures/.env' });
+  assert.equal(rx.justification, 'Dummy values for the test suite');
+});
+
+test('the token goes out as a Bearer header on every request', async () => {
+  const from = github.requests.length;
+  await analyzeRepo('demo/healthy', { apiBase: github.apiBase, token: 'test-token', cache: null });
+  const sent = github.requests.slice(from);
+  assert.ok(sent.length > 0);
+  assert.ok(sent.every(r => r.authorization === 'Bearer test-token'));
+});
+
+test('an unknown owner is reported as not found', async () => {
+  await assert.rejects(analyzeRepo('nobody/nothing', { apiBase: github.apiBase }), { code: 'NOT_FOUND' });
+});
+
+test('an exhausted quota rejects with RATELIMIT and when it resets', async () => {
+  const limited = await startMockGithub({}, { rateLimited: true });
+  try {
+    await assert.rejects(analyzeRepo('demo/healthy', { apiBase: limited.apiBase, cache: null }), err => {
+      assert.equal(err.message, 'RATELIMIT');
+      assert.equal(err.rateLimit.remaining, 0);
+      assert.ok(err.rateLimit.reset > Date.now());
+      return true;
+    });
+  } finally {
+    await limited.close();
+  }
+});
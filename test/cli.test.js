@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { startMockGithub } from './mock-github.js';
+import { HEALTHY, SICK } from './fixtures.js';
+
+const CLI = fileURLToPath(new URL('../bin/drvibe.js', import.meta.url));
+
+// Runs the CLI without a token from the environment; resolves { code, stdout, stderr }.
+const drvibe = (...args) => new Promise(resolve => {
+  const env = { ...process.env, GITHUB_TOKEN: '' };
+  execFile(process.execPath, [CLI, ...args], { env, timeout: 30000 }, (err, stdout, stderr) => {
+    resolve({ code: err ? err.code : 0, stdout, stderr });
+  });
+});
+
+let github;
+before(async () => { github = await startMockGithub({ 'demo/healthy': HEALTHY, 'demo/sick': SICK }); });
+after(() => github.close());
+
+test('exits 0 and prints the diagnosis when the score clears the threshold', async () => {
+  const { code, stdout } = await drvibe('demo/healthy', '--api', github.apiBase, '--format', 'json');
+  assert.equal(code, 0);
+  assert.equal(JSON.parse(stdout).score, 100);
+});
+
+test('exits 1 when the score falls below the threshold', async () => {
+  const { code, stdout } = await drvibe('demo/sick', '--api', github.apiBase, '--format', 'json');
+  assert.equal(code, 1);
+  assert.ok(JSON.parse(stdout).score < 50);
+});
+
+test('--threshold moves the bar', async () => {
+  assert.equal((await drvibe('demo/sick', '--api', github.apiBase, '--threshold', '0')).code, 0);
+  assert.equal((await drvibe('demo/healthy', '--api', github.apiBase, '--threshold', '101')).code, 1);
+});
+
+test('exits 2 when the scan fails', async () => {
+  const { code, stderr } = await drvibe('nobody/nothing', '--api', github.apiBase);
+  assert.equal(code, 2);
+  assert.match(stderr, /nobody/);
+});
+
+test('exits 2 on bad arguments', async () => {
+  assert.equal((await drvibe()).code, 2);
+  assert.equal((await drvibe('demo/healthy', '--format', 'pdf')).code, 2);
+  assert.equal((await drvibe('demo/healthy', '--frobnicate')).code, 2);
+});
+
+test('--help exits 0', async () => {
+  const { code, stdout } = await drvibe('--help');
+  assert.equal(code, 0);
+  assert.match(stdout, /Exit codes/);
+});
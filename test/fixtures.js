@@ -0,0 +1,31 @@
+// --- Test Patients ---
+// Repos for the mock GitHub server: one in peak form, one with every classic complaint.
+
+export const HEALTHY = {
+  files: {
+    'README.md': `# Demo\n\n${'A small library that does one thing well. '.repeat(12)}\n`,
+    'LICENSE': 'MIT License\n',
+    '.gitignore': 'node_modules/\n.env\n',
+    '.github/workflows/ci.yml': 'on: push\n',
+    'package.json': '{ "name": "demo", "dependencies": { "left-pad": "1.3.0" } }\n',
+    'package-lock.json': '{ "lockfileVersion": 3, "packages": { "": {}, "node_modules/left-pad": { "version": "1.3.0" } } }\n',
+    'src/index.js': 'export const pad = (text) => ` ${text}`;\n',
+    'test/index.test.js': "import { pad } from '../src/index.js';\n"
+  }
+};
+
+export const SICK = {
+  files: {
+    '.env': 'DATABASE_URL=postgres://localhost/demo\n',
+    'index.js': 'console.log("hi");\n'
+  }
+};
+
+// The README's example: a dummy .env under fixtures/, suppressed by path.
+export const SUPPRESSED = {
+  files: {
+    ...HEALTHY.files,
+    'fixtures/.env': 'DATABASE_URL=postgres://localhost/test\n',
+    '.drvibe.json': JSON.stringify({ suppress: [{ id: 'env-leak', path: 'fixtures/', justification: 'Dummy values for the test suite' }] })
+  }
+};
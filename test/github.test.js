@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchGithubTree, listGithubRefs } from '../src/core/index.js';
+import { startMockGithub } from './mock-github.js';
+import { HEALTHY } from './fixtures.js';
+
+// fetch stand-in that records every URL and lists a single ref, main.
+const recordingFetch = (urls) => async (url) => {
+  urls.push(url);
+  return new Response('[{ "name": "main" }]', { status: 200, headers: { 'content-type': 'application/json' } });
+};
+
+test('snapshots keep the owner, repo and API base apart from the display name', async () => {
+  const github = await startMockGithub({ 'team/app': HEALTHY });
+  try {
+    const { meta } = await fetchGithubTree('team/app', { apiBase: github.apiBase, host: 'ghe.corp.example' });
+    assert.equal(meta.name, 'ghe.corp.example/team/app');
+    assert.deepEqual([meta.owner, meta.repo, meta.apiBase], ['team', 'app', github.apiBase]);
+  } finally {
+    await github.close();
+  }
+});
+
+test('listGithubRefs takes a snapshot meta and its API base', async () => {
+  const urls = [];
+  const refs = await listGithubRefs({ owner: 'team', repo: 'app' }, { apiBase: 'https://ghe.corp.example/api/v3', fetch: recordingFetch(urls), cache: null });
+  assert.deepEqual(refs, { branches: ['main'], tags: ['main'] });
+  assert.deepEqual(urls.sort(), [
+    'https://ghe.corp.example/api/v3/repos/team/app/branches?per_page=100',
+    'https://ghe.corp.example/api/v3/repos/team/app/tags?per_page=100'
+  ]);
+});
@@ -0,0 +1,55 @@
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+
+// --- Mock GitHub REST API ---
+// Serves just enough of api.github.com for fetchGithubTree() and the vitals rules:
+// repo metadata, commit SHAs, recursive trees, blobs, languages and the activity listings.
+
+const sha = (text) => createHash('sha1').update(text).digest('hex');
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'content-type': 'application/json', ...headers });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+};
+
+/**
+ * startMockGithub({ 'owner/repo': { files: { path: text }, pushedAt?, private? } }, { rateLimited? })
+ * Resolves { apiBase, requests, close() }. Every request is recorded as { method, url, authorization }.
+ * With rateLimited, every call answers 403 with an exhausted quota.
+ */
+export const startMockGithub = (repos, { rateLimited = false } = {}) => new Promise(resolve => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization || null });
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    if (rateLimited) return send(res, 403, { message: 'API rate limit exceeded' }, { 'x-ratelimit-limit': '60', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+
+    const [path] = req.url.split('?');
+    const match = path.match(/^\/repos\/([^/]+)\/([^/]+)(\/.*)?$/);
+    const repo = match && repos[`${match[1]}/${match[2]}`];
+    if (!repo) return send(res, 404, { message: 'Not Found' });
+
+    const files = Object.entries(repo.files).map(([file, text]) => ({ path: file, type: 'blob', size: Buffer.byteLength(text), sha: sha(text) }));
+    const head = sha(JSON.stringify(repo.files));
+    const rest = match[3] || '';
+
+    if (rest === '') return send(res, 200, { name: match[2], full_name: `${match[1]}/${match[2]}`, default_branch: 'main', pushed_at: repo.pushedAt || new Date().toISOString(), private: !!repo.private, has_issues: true, open_issues_count: 0 });
+    if (rest === '/commits/main') return send(res, 200, head, { 'content-type': 'application/vnd.github.sha' });
+    if (rest.startsWith('/commits/')) return send(res, 404, { message: 'No commit found' });
+    if (rest === `/git/trees/${head}`) return send(res, 200, { sha: head, tree: files, truncated: false });
+    if (rest.startsWith('/git/blobs/')) {
+      const text = Object.values(repo.files).find(t => sha(t) === rest.slice('/git/blobs/'.length));
+      return text === undefined ? send(res, 404, { message: 'Not Found' }) : send(res, 200, { encoding: 'base64', content: Buffer.from(text).toString('base64') });
+    }
+    if (rest === '/languages') return send(res, 200, {});
+    if (rest === '/commits') return send(res, 200, [{ commit: { author: { date: new Date().toISOString(), email: 'dev@example.com' } }, author: { login: 'dev' } }]);
+    if (['/pulls', '/issues', '/releases'].includes(rest)) return send(res, 200, []);
+    return send(res, 404, { message: 'Not Found' });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve({
+    apiBase: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  }));
+});
@@ -0,0 +1,52 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRepo, encodeReport, decodeReport } from '../src/core/index.js';
+import { parseRoute, routePath } from '../src/routes.js';
+import { startMockGithub } from './mock-github.js';
+import { SICK } from './fixtures.js';
+
+let diagnosis;
+before(async () => {
+  const github = await startMockGithub({ 'demo/sick': SICK });
+  try {
+    diagnosis = await analyzeRepo('demo/sick', { apiBase: github.apiBase });
+  } finally {
+    await github.close();
+  }
+});
+
+// Packs a payload the way encodeReport() does, without its help.
+const pack = async (payload) => {
+  const stream = new Blob([JSON.stringify(payload)]).stream().pipeThrough(new CompressionStream('deflate'));
+  return Buffer.from(await new Response(stream).arrayBuffer()).toString('base64url');
+};
+
+test('a report survives the round trip, minus its treatment kits', async () => {
+  const { diagnosis: decoded, sharedAt } = await decodeReport(await encodeReport(diagnosis, 1700000000000));
+  assert.equal(sharedAt, 1700000000000);
+  assert.equal(decoded.score, diagnosis.score);
+  assert.deepEqual(decoded.prescriptions.map(rx => rx.id), diagnosis.prescriptions.map(rx => rx.id));
+  assert.ok(decoded.prescriptions.every(rx => !rx.fix));
+});
+
+test('links with a malformed report are rejected', async () => {
+  const broken = [
+    { ...diagnosis, score: '100' },
+    { ...diagnosis, files: null },
+    { ...diagnosis, prescriptions: [{ id: 'env-leak' }] },
+    { ...diagnosis, rules: 'all passed' },
+    { ...diagnosis, meta: [] }
+  ];
+  for (const report of broken) {
+    await assert.rejects(decodeReport(await pack({ v: 1, diagnosis: report })), /damaged or incomplete/);
+  }
+  await assert.rejects(decodeReport(await pack({ v: 99, diagnosis })), /different version/);
+});
+
+test('route paths escape # and ? in refs and patient names', () => {
+  const diagnose = routePath({ name: 'diagnose', target: 'owner/repo', ref: 'feature/#12?draft' });
+  assert.equal(diagnose, '/diagnose/owner/repo@feature/%2312%3Fdraft');
+  assert.deepEqual(parseRoute({ pathname: diagnose }), { name: 'diagnose', target: 'owner/repo', ref: 'feature/#12?draft' });
+  const records = routePath({ name: 'records', patient: 'gitlab.com/group/c#' });
+  assert.deepEqual(parseRoute({ pathname: records }), { name: 'records', patient: 'gitlab.com/group/c#' });
+});
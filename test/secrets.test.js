@@ -0,0 +1,30 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanText } from '../src/core/secrets.js';
+
+// Fake secrets are assembled at runtime so Dr. Vibe's own deep scan does not flag this file.
+const FAKE_AWS_KEY = ['AKIA', 'IOSFODNN7EXAMPLE'].join('');
+const FAKE_API_KEY = ['q8Zr2LxV', '0mT4kP9sWc7N'].join('');
+
+const detectorsIn = (text) => scanText('src/config.js', text).map(f => f.detector);
+
+test('finds provider keys and keeps them out of the preview', () => {
+  const [finding] = scanText('src/aws.js', `const id = "${FAKE_AWS_KEY}";`);
+  assert.equal(finding.detector, 'aws-access-key');
+  assert.equal(finding.line, 1);
+  assert.ok(!finding.preview.includes(FAKE_AWS_KEY));
+});
+
+test('flags high-entropy values under secret-looking keys', () => {
+  assert.deepEqual(detectorsIn(`const apiKey = "${FAKE_API_KEY}";`), ['high-entropy']);
+});
+
+test('ignores placeholders', () => {
+  assert.deepEqual(detectorsIn('const apiKey = "your-api-key-goes-here";'), []);
+});
+
+test('ignores URLs and paths under token-like keys', () => {
+  assert.deepEqual(detectorsIn('githubTokenUrl: "https://github.com/settings/tokens/new?scopes=repo&description=DrVibe",'), []);
+  assert.deepEqual(detectorsIn('const tokenFile = "/var/run/secrets/k8s/9fQ2xLm7Tz";'), []);
+  assert.deepEqual(detectorsIn('const tokenFile = "./config/credentials/9fQ2xLm7Tz.json";'), []);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchGitlabTree, fetchGiteaTree } from '../src/core/index.js';
+
+// fetch stand-in: the first [pattern, status, body] whose pattern the URL contains answers.
+const routedFetch = (routes) => async (url) => {
+  const [, status, body] = routes.find(([pattern]) => url.includes(pattern)) || [null, 404, { message: 'Not Found' }];
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+};
+
+const now = new Date().toISOString();
+
+test('GitLab vitals survive disabled issues and merge requests', async () => {
+  const fetch = routedFetch([
+    ['/repository/commits/main', 200, { id: 'c1' }],
+    ['/repository/tree', 200, [{ path: 'README.md', type: 'blob', id: 'b1' }]],
+    ['/repository/commits?', 200, [{ committed_date: now, author_email: 'dev@example.com' }]],
+    ['/issues_statistics', 403, { message: '403 Forbidden' }],
+    ['/merge_requests', 404, { message: '404 Not Found' }],
+    ['/releases', 200, [{ released_at: now }]],
+    ['/languages', 200, {}],
+    ['/projects/group%2Fapp', 200, { default_branch: 'main', last_activity_at: now }]
+  ]);
+  const snapshot = await fetchGitlabTree('group/app', { fetch, cache: null });
+  const vitals = await snapshot.readVitals();
+  assert.equal(vitals.commits.length, 1);
+  assert.equal(vitals.issues, null);
+  assert.equal(vitals.pulls, null);
+  assert.deepEqual(vitals.releases, [now]);
+});
+
+test('Gitea vitals survive disabled issues and pull requests', async () => {
+  const fetch = routedFetch([
+    ['/commits?sha=main', 200, [{ sha: 'c1' }]],
+    ['/git/trees/c1', 200, { tree: [{ path: 'README.md', type: 'blob', size: 10, sha: 'b1' }], total_count: 1 }],
+    ['/commits?sha=c1', 200, [{ commit: { author: { date: now, email: 'dev@example.com' } }, author: { login: 'dev' } }]],
+    ['/issues', 404, { message: 'Not Found' }],
+    ['/pulls', 403, { message: 'Forbidden' }],
+    ['/releases', 200, [{ published_at: now }]],
+    ['/languages', 200, {}],
+    ['/repos/owner/app', 200, { default_branch: 'main', updated_at: now }]
+  ]);
+  const snapshot = await fetchGiteaTree('owner/app', { fetch, cache: null });
+  const vitals = await snapshot.readVitals();
+  assert.equal(vitals.commits.length, 1);
+  assert.equal(vitals.issues, null);
+  assert.equal(vitals.pulls, null);
+  assert.deepEqual(vitals.releases, [now]);
+});